@@ -0,0 +1,302 @@
+/**
+ * File Analysis
+ * Offline measurements on a decoded AudioBuffer
+ *
+ * - overview:  min/max envelope per column for the waveform strip
+ * - loudness:  integrated loudness (ITU-R BS.1770-4, LUFS), loudness
+ *              range (EBU Tech 3342, LU), true peak (4x oversampled,
+ *              dBTP), sample peak (dBFS) and peak-to-loudness ratio
+ *
+ * Loudness runs in slices and yields to the event loop between them, so
+ * a long file does not freeze the UI while it is measured.
+ */
+
+const Analysis = (function() {
+  'use strict';
+
+  const BLOCK_TIME = 0.4;         // gating block (s)
+  const SHORT_TERM_TIME = 3;      // LRA window (s)
+  const HOP_TIME = 0.1;           // step between blocks (s)
+  const ABSOLUTE_GATE = -70;      // LUFS
+  const RELATIVE_GATE = -10;      // LU below the absolute-gated loudness
+  const LRA_RELATIVE_GATE = -20;  // LU
+  const SLICE_SECONDS = 2;        // audio processed between yields
+
+  // 4x oversampling interpolator for true peak
+  const OVERSAMPLE = 4;
+  const TAPS_PER_PHASE = 12;
+
+  const MIN_DB = -120;
+
+  /**
+   * BS.1770 K-weighting as two biquads for any sample rate
+   */
+  function kWeighting(sampleRate) {
+    // Stage 1: high shelf modelling the acoustic effect of the head
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan(Math.PI * f0 / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+
+    const shelf = {
+      b0: (vh + vb * k / q + k * k) / a0,
+      b1: 2 * (k * k - vh) / a0,
+      b2: (vh - vb * k / q + k * k) / a0,
+      a1: 2 * (k * k - 1) / a0,
+      a2: (1 - k / q + k * k) / a0,
+    };
+
+    // Stage 2: RLB high-pass
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan(Math.PI * f0 / sampleRate);
+    a0 = 1 + k / q + k * k;
+
+    const highpass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (k * k - 1) / a0,
+      a2: (1 - k / q + k * k) / a0,
+    };
+
+    return [shelf, highpass];
+  }
+
+  /**
+   * Channel weights: surrounds count 1.41, LFE is ignored (5.1 order)
+   */
+  function channelWeights(count) {
+    if (count === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    if (count === 5) return [1, 1, 1, 1.41, 1.41];
+    return new Array(count).fill(1);
+  }
+
+  /**
+   * Windowed-sinc lowpass split into OVERSAMPLE polyphase branches
+   */
+  function interpolationFilter() {
+    const length = OVERSAMPLE * TAPS_PER_PHASE;
+    const center = (length - 1) / 2;
+    const phases = [];
+
+    for (let p = 0; p < OVERSAMPLE; p++) {
+      const taps = new Float64Array(TAPS_PER_PHASE);
+      let sum = 0;
+      for (let k = 0; k < TAPS_PER_PHASE; k++) {
+        const n = p + k * OVERSAMPLE;
+        const x = (n - center) / OVERSAMPLE;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+        taps[k] = sinc * window;
+        sum += taps[k];
+      }
+      // Unity gain per branch so DC passes unchanged
+      for (let k = 0; k < TAPS_PER_PHASE; k++) taps[k] /= sum;
+      phases.push(taps);
+    }
+    return phases;
+  }
+
+  function toDb(linear) {
+    return linear > 0 ? Math.max(MIN_DB, 20 * Math.log10(linear)) : MIN_DB;
+  }
+
+  function powerToLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  }
+
+  function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Min/max envelope, all channels combined, one pair per column
+   */
+  function overview(buffer, columns) {
+    const count = Math.max(1, Math.floor(columns));
+    const min = new Float32Array(count);
+    const max = new Float32Array(count);
+    const perColumn = buffer.length / count;
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let column = 0; column < count; column++) {
+        const start = Math.floor(column * perColumn);
+        const end = Math.max(start + 1, Math.floor((column + 1) * perColumn));
+        let lo = min[column];
+        let hi = max[column];
+        for (let i = start; i < end && i < data.length; i++) {
+          const sample = data[i];
+          if (sample < lo) lo = sample;
+          if (sample > hi) hi = sample;
+        }
+        min[column] = lo;
+        max[column] = hi;
+      }
+    }
+
+    return { min: min, max: max, duration: buffer.duration };
+  }
+
+  /**
+   * Percentile of a sorted array (0-1), linear between neighbours
+   */
+  function percentile(sorted, fraction) {
+    if (!sorted.length) return -Infinity;
+    const position = (sorted.length - 1) * fraction;
+    const index = Math.floor(position);
+    const next = Math.min(sorted.length - 1, index + 1);
+    return sorted[index] + (sorted[next] - sorted[index]) * (position - index);
+  }
+
+  /**
+   * Integrated and short-term gating over per-hop weighted powers
+   */
+  function gate(hopPowers, hopsPerWindow, relativeGate) {
+    const windows = [];
+    let running = 0;
+
+    for (let i = 0; i < hopPowers.length; i++) {
+      running += hopPowers[i];
+      if (i >= hopsPerWindow) running -= hopPowers[i - hopsPerWindow];
+      if (i >= hopsPerWindow - 1) windows.push(Math.max(0, running / hopsPerWindow));
+    }
+
+    const aboveAbsolute = windows.filter(power => powerToLufs(power) > ABSOLUTE_GATE);
+    if (!aboveAbsolute.length) return { windows: [], loudness: -Infinity };
+
+    const mean = aboveAbsolute.reduce((sum, power) => sum + power, 0) / aboveAbsolute.length;
+    const threshold = powerToLufs(mean) + relativeGate;
+    const gated = aboveAbsolute.filter(power => powerToLufs(power) > threshold);
+    const gatedMean = gated.reduce((sum, power) => sum + power, 0) / (gated.length || 1);
+
+    return { windows: gated, loudness: powerToLufs(gatedMean) };
+  }
+
+  /**
+   * Measure loudness and peaks. options.onProgress(0-1) is called after
+   * each slice; options.shouldStop() aborts with an error when it
+   * returns true (e.g. another file was loaded).
+   */
+  async function loudness(buffer, options) {
+    const opts = options || {};
+    const sampleRate = buffer.sampleRate;
+    const channels = buffer.numberOfChannels;
+    const weights = channelWeights(channels);
+    const filters = kWeighting(sampleRate);
+    const phases = interpolationFilter();
+
+    const hopSize = Math.round(sampleRate * HOP_TIME);
+    const hopCount = Math.floor(buffer.length / hopSize);
+    const hopPowers = new Float64Array(hopCount);
+    const sliceHops = Math.max(1, Math.round(SLICE_SECONDS / HOP_TIME));
+
+    let samplePeak = 0;
+    let truePeak = 0;
+
+    // Filter state per channel: two biquads plus the interpolator history
+    const channelState = [];
+    for (let c = 0; c < channels; c++) {
+      channelState.push({
+        data: buffer.getChannelData(c),
+        z: [0, 0, 0, 0],
+        // Written twice so the newest TAPS_PER_PHASE samples are contiguous
+        history: new Float64Array(TAPS_PER_PHASE * 2),
+        historyIndex: 0,
+      });
+    }
+
+    for (let hop = 0; hop < hopCount; hop++) {
+      const start = hop * hopSize;
+
+      for (let c = 0; c < channels; c++) {
+        const cs = channelState[c];
+        const data = cs.data;
+        const s1 = filters[0];
+        const s2 = filters[1];
+        const z = cs.z;
+        const history = cs.history;
+        let sum = 0;
+
+        for (let i = start; i < start + hopSize; i++) {
+          const x = data[i];
+
+          // Sample and true peak
+          const magnitude = x < 0 ? -x : x;
+          if (magnitude > samplePeak) samplePeak = magnitude;
+
+          cs.historyIndex = (cs.historyIndex + 1) % TAPS_PER_PHASE;
+          history[cs.historyIndex] = x;
+          history[cs.historyIndex + TAPS_PER_PHASE] = x;
+          const newest = cs.historyIndex + TAPS_PER_PHASE;
+          for (let p = 0; p < OVERSAMPLE; p++) {
+            const taps = phases[p];
+            let y = 0;
+            for (let k = 0; k < TAPS_PER_PHASE; k++) {
+              y += taps[k] * history[newest - k];
+            }
+            const peak = y < 0 ? -y : y;
+            if (peak > truePeak) truePeak = peak;
+          }
+
+          // K-weighting (transposed direct form II)
+          const y1 = s1.b0 * x + z[0];
+          z[0] = s1.b1 * x - s1.a1 * y1 + z[1];
+          z[1] = s1.b2 * x - s1.a2 * y1;
+          const y2 = s2.b0 * y1 + z[2];
+          z[2] = s2.b1 * y1 - s2.a1 * y2 + z[3];
+          z[3] = s2.b2 * y1 - s2.a2 * y2;
+
+          sum += y2 * y2;
+        }
+
+        hopPowers[hop] += weights[c] * sum / hopSize;
+      }
+
+      if ((hop + 1) % sliceHops === 0) {
+        if (typeof opts.onProgress === 'function') opts.onProgress((hop + 1) / hopCount);
+        await yieldToEventLoop();
+        if (typeof opts.shouldStop === 'function' && opts.shouldStop()) {
+          throw new Error('ANALYSIS CANCELLED');
+        }
+      }
+    }
+
+    // The interpolator cannot undershoot a sample it passes through
+    truePeak = Math.max(truePeak, samplePeak);
+
+    const hopsPerBlock = Math.round(BLOCK_TIME / HOP_TIME);
+    const hopsPerShortTerm = Math.round(SHORT_TERM_TIME / HOP_TIME);
+
+    const integrated = gate(hopPowers, hopsPerBlock, RELATIVE_GATE).loudness;
+
+    const shortTerm = gate(hopPowers, hopsPerShortTerm, LRA_RELATIVE_GATE).windows
+      .map(powerToLufs)
+      .sort((a, b) => a - b);
+    const range = shortTerm.length ? percentile(shortTerm, 0.95) - percentile(shortTerm, 0.10) : 0;
+
+    return {
+      duration: buffer.duration,
+      sampleRate: sampleRate,
+      channels: channels,
+      integrated: integrated,
+      range: range,
+      truePeak: toDb(truePeak),
+      samplePeak: toDb(samplePeak),
+      peakToLoudness: isFinite(integrated) ? toDb(truePeak) - integrated : null,
+    };
+  }
+
+  // Public API
+  return {
+    overview: overview,
+    loudness: loudness,
+  };
+
+})();
+
+console.log('[Analysis] Module loaded');
@@ -18,12 +18,82 @@
 
   const CONFIG = {
     eqBarCount: 16,
+    eqMinBars: 4,
+    eqMaxBars: 48,
+    eqScale: 'log',
+    eqTilt: 1.2, // dB/octave high-frequency boost
+    eqMinFreq: 20,
+    eqMaxFreq: 20000,
     eqSegmentCount: 12,
+    eqView: 'mono', // 'mono', 'mirrored' (L | R) or 'stacked' (L over R)
     eqUpdateInterval: 50,
     fftSize: 512,
+    minFftSize: 512,
+    maxFftSize: 32768,
+    scopeFftSize: 2048,
+    meterFftSize: 2048,
+    beatFftSize: 1024,
+    beatFlashTime: 100, // ms the POWER LED stays lit on a beat
+    tunerInterval: 50, // ms between pitch detections
+    tunerStreamInterval: 500, // ms between readings streamed to the terminal
+    tunerReference: 440, // Hz for A4
+    meterReadoutInterval: 100,
+    overviewColumns: 2048,
+    analysisMaxDuration: 1800, // s; a decoded hour of 48 kHz stereo is over 1 GB
+    lcdColumns: 20,
+    lcdStyle: 'plain', // 'plain', 'segment' or 'dotmatrix'
+    lcdAnnounceTime: 3000,
+    recFormat: 'wav', // 'wav' or 'webm'
+    recPreRoll: 0, // seconds kept from before REC (WAV only)
+    recMaxTakes: 20, // older takes are dropped from memory
+    generatorSignal: 'sine',
+    generatorFrequency: 1000, // Hz
+    generatorLevel: -12, // dBFS peak
+    generatorMonitor: false, // test signals also go to the speakers
+    demoPattern: 'wave',
+    demoSeed: 1,
+    demoRotateInterval: 20000, // ms on each pattern while rotating
+    restartThreshold: 3, // seconds into a track before PREV restarts it
+    gaplessLookahead: 1, // s before a track ends that the handover is timed
+    gaplessLead: 0.05, // s the next track starts early, covering play() latency
     smoothing: 0.6,
     peakDecay: 0.02,
     peakHoldTime: 500,
+    terminalScrollback: 1000,
+    logScrollback: 200,
+    minScrollback: 10,
+  };
+
+  const EQ_VIEWS = ['mono', 'mirrored', 'stacked'];
+
+  // Playlist edits that can change which track plays next
+  const PLAYLIST_ORDER_CHANGES = ['add', 'remove', 'shuffle', 'repeat'];
+
+  // Ask for both channels with browser processing off: echo cancellation
+  // downmixes to mono, and all three reshape the spectrum being measured
+  const MIC_DEFAULTS = {
+    deviceId: null, // null = browser default
+    channelCount: 2,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+  };
+
+  // Short names for the processing switches in the mic command
+  const MIC_PROCESSING = {
+    echo: 'echoCancellation',
+    noise: 'noiseSuppression',
+    agc: 'autoGainControl',
+  };
+
+  // localStorage keys for state that survives reloads
+  const STORAGE_KEYS = {
+    terminalHistory: 'stereoApp.terminalHistory',
+    commandHistory: 'stereoApp.commandHistory',
+    intensityKnob: 'stereoApp.knob.intensity',
+    focusKnob: 'stereoApp.knob.focus',
+    dspPresets: 'stereoApp.dsp.presets',
+    micSettings: 'stereoApp.mic',
   };
 
   // ================================
@@ -37,6 +107,8 @@
     // Audio interface state
     output: 'READY...',
     logs: ['SYSTEM INITIALIZED', 'AWAITING INPUT...'],
+    logBytes: 0,
+    logsEvicted: 0,
     eqAnimationId: null,
     lastEqUpdate: 0,
     
@@ -44,11 +116,93 @@
     audioContext: null,
     analyser: null,
     frequencyData: null,
+    scopeAnalyser: null,
+    meterAnalyser: null,
+    meterData: null,
+    channelUpmix: null,
+    splitter: null,
+    channelAnalysers: null,
+    channelFrequencyData: null,
+    channelSampleData: null,
     audioSource: null,
     audioElement: null,
     micStream: null,
-    audioMode: 'demo',
+    micRequest: 0, // bumped on every open and close; late streams are dropped
+    micOpening: 0, // request still waiting for its stream
+    micSettings: null,
+    micDevices: [],
+    micFallback: false, // on the default input because the chosen one is gone
+    generatorMonitor: CONFIG.generatorMonitor,
+    audioMode: 'demo', // 'demo', 'mic', 'file' or 'generator'
     isPlaying: false,
+    outputGain: null,
+    volume: 1,
+    fileName: null,
+    nextPlayer: null,
+    outgoingPlayer: null, // previous track playing out after a handover
+    handoverTimer: null,
+    currentLevels: null,
+    
+    // Level meter
+    lastMeterUpdate: 0,
+    lastMeterReadout: 0,
+    
+    // Stereo correlation meter
+    lastStereoUpdate: 0,
+    
+    // Beat and tempo detection
+    beatAnalyser: null,
+    beatSpectrum: null,
+    beatEnabled: true,
+    beatFlashUntil: 0,
+    tempoLocked: false,
+    
+    // Tuner
+    tunerEnabled: false,
+    tunerStream: true,
+    tunerAnalyser: null,
+    tunerData: null,
+    tunerText: '',
+    tunerSavedOutput: null,
+    lastTunerUpdate: 0,
+    lastTunerLine: 0,
+    tunerLineShown: false, // last streamed line was a reading
+    
+    // Offline file analysis
+    analysisToken: 0,
+    analysis: null,
+    analysisProgress: 0,
+    analysisError: null,
+    overview: null,
+    duration: NaN,
+    
+    // Embedded tags of the loaded file
+    tagsToken: 0,
+    tagsReading: false,
+    tags: null,
+    coverArtEnabled: true,
+    coverArtUrl: null,
+    
+    // Recording
+    recordTaps: null,
+    recordTap: 'source', // 'source' or 'post' (after the DSP chain)
+    recordStarting: false,
+    recordStopping: false, // a WAV take keeps recording until its flush is in
+    takes: [],
+    takeCount: 0,
+    lastRecSecond: -1,
+    
+    // Spectrogram
+    waterfallEnabled: false,
+    waterfallData: null,
+    lastWaterfallUpdate: 0,
+    
+    // EQ band layout (edges in Hz and gain per band)
+    eqLayout: null,
+    
+    // Demo animation shown without a source
+    demoStart: null, // timestamp the current pattern started
+    demoRotate: true,
     
     // EQ smoothing and peaks
     smoothedLevels: null,
@@ -57,8 +211,20 @@
     
     // Terminal state
     terminalLines: ['> SYSTEM READY', '> AWAITING DATA FEED...'],
+    terminalBytes: 0,
+    terminalEvicted: 0,
+    
+    // Transcript replay
+    replay: null,
+    pendingImportSpeed: 1,
     terminalStartTime: null,
     uptimeIntervalId: null,
+    
+    // Oscilloscope trace
+    scopeEnabled: true,
+    scopeAnimationId: null,
+    scopeData: null,
+    scopeChannelData: null,
   };
 
   // ================================
@@ -75,17 +241,55 @@
     // Audio interface
     eqBars: null,
     outputDisplay: null,
+    lcdCanvas: null,
+    meterReadout: null,
+    meterCanvas: null,
+    meterMode: null,
+    clipLed: null,
+    stereoCanvas: null,
+    timeDisplay: null,
+    coverArt: null,
+    overviewStrip: null,
+    overviewCanvas: null,
+    overviewProgress: null,
+    overviewPlayhead: null,
+    overviewMessage: null,
+    waterfallPanel: null,
+    waterfallCanvas: null,
+    waterfallOverlay: null,
+    waterfallReadout: null,
+    dspPanel: null,
+    dspCanvas: null,
+    dspReadout: null,
+    tunerCanvas: null,
     logContent: null,
     commandInput: null,
     submitBtn: null,
     micBtn: null,
+    micSelect: null,
+    genBtn: null,
     audioFileInput: null,
     playPauseBtn: null,
+    prevBtn: null,
+    nextBtn: null,
+    recBtn: null,
+    recTime: null,
+    powerLed: null,
+    tempoReadout: null,
+    stereoUnit: null,
     
     // Terminal interface
     terminalOutput: null,
     terminalInput: null,
     terminalSubmitBtn: null,
+    terminalPrompt: null,
+    exportBtn: null,
+    importBtn: null,
+    transcriptFileInput: null,
+    crtPhosphor: null,
+    crtTrace: null,
+    intensityKnob: null,
+    focusKnob: null,
     uptimeValue: null,
     feedStatus: null,
     bufferStatus: null,
@@ -94,17 +298,71 @@
   // Cached segment references
   let segments = [];
 
+  // Shell-style editors for the two command inputs
+  let commandEditor = null;
+  let terminalEditor = null;
+
+  // Oscilloscope panel knobs
+  const scopeKnobs = {};
+
+  // CRT trace renderer
+  let scope = null;
+
+  // Level meter on the stereo unit
+  let meter = null;
+
+  // Phase correlation and balance meter
+  let stereoMeter = null;
+
+  // Scrolling spectrogram
+  let waterfall = null;
+  
+  // Character-grid renderer for the output display
+  let lcd = null;
+  
+  // Playback processing chain (created with the audio context)
+  let dsp = null;
+  
+  // Take recorder (created with the audio context)
+  let recorder = null;
+  
+  // Onset and tempo detector
+  let beat = null;
+  
+  // Pitch detector and needle
+  let tuner = null;
+  
+  // Test signal source (created with the audio context)
+  let generator = null;
+  
+  // Seeded attract-mode patterns
+  let demo = null;
+
   // ================================
   // INITIALIZATION
   // ================================
 
   function init() {
     cacheElements();
-    buildEQBars();
+    updateEQLayout();
+    initMeter();
+    initStereoMeter();
+    initWaterfall();
+    initLcd();
+    initBeat();
+    initTuner();
+    initDemo();
+    initMicInput();
     renderLogs();
+    initLineEditors();
     bindEvents();
     startEQAnimation();
     initTerminal();
+    initScopeKnobs();
+    initScope();
+    initFeed();
+    registerTranscriptCommands();
+    initPlaylist();
   }
 
   function cacheElements() {
@@ -117,22 +375,82 @@
     // Audio interface
     elements.eqBars = document.getElementById('eqBars');
     elements.outputDisplay = document.getElementById('outputDisplay');
+    elements.lcdCanvas = document.getElementById('lcdCanvas');
+    elements.meterReadout = document.getElementById('meterReadout');
+    elements.meterCanvas = document.getElementById('meterCanvas');
+    elements.meterMode = document.getElementById('meterMode');
+    elements.clipLed = document.getElementById('clipLed');
+    elements.stereoCanvas = document.getElementById('stereoCanvas');
+    elements.timeDisplay = document.getElementById('timeDisplay');
+    elements.coverArt = document.getElementById('coverArt');
+    elements.overviewStrip = document.getElementById('overviewStrip');
+    elements.overviewCanvas = document.getElementById('overviewCanvas');
+    elements.overviewProgress = document.getElementById('overviewProgress');
+    elements.overviewPlayhead = document.getElementById('overviewPlayhead');
+    elements.overviewMessage = document.getElementById('overviewMessage');
+    elements.waterfallPanel = document.getElementById('waterfallPanel');
+    elements.waterfallCanvas = document.getElementById('waterfallCanvas');
+    elements.waterfallOverlay = document.getElementById('waterfallOverlay');
+    elements.waterfallReadout = document.getElementById('waterfallReadout');
+    elements.dspPanel = document.getElementById('dspPanel');
+    elements.dspCanvas = document.getElementById('dspCanvas');
+    elements.dspReadout = document.getElementById('dspReadout');
+    elements.tunerCanvas = document.getElementById('tunerCanvas');
     elements.logContent = document.getElementById('logContent');
     elements.commandInput = document.getElementById('commandInput');
     elements.submitBtn = document.getElementById('submitBtn');
     elements.micBtn = document.getElementById('micBtn');
+    elements.micSelect = document.getElementById('micSelect');
+    elements.genBtn = document.getElementById('genBtn');
     elements.audioFileInput = document.getElementById('audioFileInput');
     elements.playPauseBtn = document.getElementById('playPauseBtn');
+    elements.prevBtn = document.getElementById('prevBtn');
+    elements.nextBtn = document.getElementById('nextBtn');
+    elements.recBtn = document.getElementById('recBtn');
+    elements.recTime = document.getElementById('recTime');
+    elements.powerLed = document.getElementById('powerLed');
+    elements.tempoReadout = document.getElementById('tempoReadout');
+    elements.stereoUnit = document.getElementById('stereoUnit');
     
     // Terminal interface
     elements.terminalOutput = document.getElementById('terminalOutput');
     elements.terminalInput = document.getElementById('terminalInput');
     elements.terminalSubmitBtn = document.getElementById('terminalSubmitBtn');
+    elements.terminalPrompt = document.getElementById('terminalPrompt');
+    elements.exportBtn = document.getElementById('exportBtn');
+    elements.importBtn = document.getElementById('importBtn');
+    elements.transcriptFileInput = document.getElementById('transcriptFileInput');
+    elements.crtPhosphor = document.getElementById('crtPhosphor');
+    elements.crtTrace = document.getElementById('crtTrace');
+    elements.intensityKnob = document.getElementById('intensityKnob');
+    elements.focusKnob = document.getElementById('focusKnob');
     elements.uptimeValue = document.getElementById('uptimeValue');
     elements.feedStatus = document.getElementById('feedStatus');
     elements.bufferStatus = document.getElementById('bufferStatus');
   }
 
+  // ================================
+  // SOUND EFFECTS
+  // ================================
+
+  function initSounds() {
+    if (typeof Sounds === 'undefined') return;
+    Sounds.attachContext(state.audioContext, state.analyser);
+    Sounds.preloadAll();
+  }
+
+  function playSound(name) {
+    if (typeof Sounds === 'undefined') return;
+
+    // UI sounds share the visualizer's context, created on the first one
+    if (!state.audioContext) initAudioContext();
+    if (state.audioContext.state === 'suspended') {
+      state.audioContext.resume();
+    }
+
+    Sounds.play(name);
+  }
+
   // ================================
   // WEB AUDIO API SETUP
   // ================================
@@ -147,21 +465,220 @@
     state.analyser.minDecibels = -85;
     state.analyser.maxDecibels = -10;
     state.frequencyData = new Uint8Array(state.analyser.frequencyBinCount);
+    state.waterfallData = new Float32Array(state.analyser.frequencyBinCount);
     
-    // Initialize smoothing arrays
-    state.smoothedLevels = new Array(CONFIG.eqBarCount).fill(0);
-    state.peakLevels = new Array(CONFIG.eqBarCount).fill(0);
-    state.peakHoldTimes = new Array(CONFIG.eqBarCount).fill(0);
+    // Playback volume sits after the analyser tap so the display ignores it
+    state.outputGain = state.audioContext.createGain();
+    state.outputGain.gain.value = state.volume;
+    state.outputGain.connect(state.audioContext.destination);
+    
+    // Recording taps: the raw source, and what is played after the DSP
+    // chain but before the volume so takes ignore the listening level
+    state.recordTaps = {
+      source: state.audioContext.createGain(),
+      post: state.audioContext.createGain(),
+    };
+    
+    // File playback runs through the DSP chain on its way to the volume
+    initDsp();
+    initRecorder();
+    initGenerator();
     
+    // Oscilloscope tap: mono analyser for YT
+    state.scopeAnalyser = state.audioContext.createAnalyser();
+    state.scopeAnalyser.fftSize = CONFIG.scopeFftSize;
+    
+    // L/R split for the XY scope, stereo EQ views and correlation meter.
+    // The analyser above sees a downmix; these see each channel on its own.
+    // A splitter's channel handling is fixed at 'discrete', so a mono
+    // source is up-mixed to both sides in front of it and reads centred
+    // at +1 instead of hard left.
+    state.channelUpmix = state.audioContext.createGain();
+    state.channelUpmix.channelCount = 2;
+    state.channelUpmix.channelCountMode = 'explicit';
+    state.channelUpmix.channelInterpretation = 'speakers';
+    state.splitter = state.audioContext.createChannelSplitter(2);
+    state.channelUpmix.connect(state.splitter);
+    state.channelAnalysers = [0, 1].map(channel => {
+      const analyser = state.audioContext.createAnalyser();
+      analyser.fftSize = CONFIG.scopeFftSize;
+      // Same dB window and smoothing as the main analyser so views match
+      analyser.smoothingTimeConstant = state.analyser.smoothingTimeConstant;
+      analyser.minDecibels = state.analyser.minDecibels;
+      analyser.maxDecibels = state.analyser.maxDecibels;
+      state.splitter.connect(analyser, channel);
+      return analyser;
+    });
+    state.channelFrequencyData = state.channelAnalysers.map(analyser =>
+      new Uint8Array(analyser.frequencyBinCount));
+    state.channelSampleData = state.channelAnalysers.map(analyser =>
+      new Float32Array(analyser.fftSize));
+    
+    // Level meter tap (float samples for true dBFS)
+    state.meterAnalyser = state.audioContext.createAnalyser();
+    state.meterAnalyser.fftSize = CONFIG.meterFftSize;
+    state.meterData = new Float32Array(state.meterAnalyser.fftSize);
+    
+    // Beat detection tap: unsmoothed, since smoothing blurs the onsets
+    state.beatAnalyser = state.audioContext.createAnalyser();
+    state.beatAnalyser.fftSize = CONFIG.beatFftSize;
+    state.beatAnalyser.smoothingTimeConstant = 0;
+    state.beatSpectrum = new Float32Array(state.beatAnalyser.frequencyBinCount);
+    
+    // Tuner tap: mono downmix, long enough for the lowest note's period
+    state.tunerAnalyser = state.audioContext.createAnalyser();
+    state.tunerAnalyser.fftSize = typeof Tuner !== 'undefined'
+      ? Tuner.blockSize(state.audioContext.sampleRate)
+      : CONFIG.meterFftSize;
+    state.tunerData = new Float32Array(state.tunerAnalyser.fftSize);
+    
+    initSounds();
     addLog('AUDIO ENGINE INITIALIZED');
   }
 
+  /**
+   * Feed a source into every analysis tap (EQ, scope, L/R split)
+   */
+  function connectToAnalysers(node) {
+    node.connect(state.analyser);
+    node.connect(state.scopeAnalyser);
+    node.connect(state.channelUpmix);
+    node.connect(state.meterAnalyser);
+    node.connect(state.beatAnalyser);
+    node.connect(state.tunerAnalyser);
+    node.connect(state.recordTaps.source);
+  }
+
   // ================================
   // MICROPHONE INPUT
   // ================================
 
+  function initMicInput() {
+    state.micSettings = loadMicSettings();
+    elements.micSelect.addEventListener('change', () => {
+      useMicDevice(elements.micSelect.value || null);
+    });
+
+    if (!navigator.mediaDevices) return;
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    refreshMicDevices();
+  }
+
+  function loadMicSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.micSettings));
+      return Object.assign({}, MIC_DEFAULTS, saved && typeof saved === 'object' ? saved : {});
+    } catch (err) {
+      return Object.assign({}, MIC_DEFAULTS);
+    }
+  }
+
+  function saveMicSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.micSettings, JSON.stringify(state.micSettings));
+    } catch (err) {
+      console.warn('Could not save mic settings:', err);
+    }
+  }
+
+  function getMicConstraints(deviceId) {
+    const settings = state.micSettings;
+    const constraints = {
+      channelCount: { ideal: settings.channelCount },
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+      autoGainControl: settings.autoGainControl,
+    };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    return constraints;
+  }
+
+  /**
+   * Open the chosen input, or the default one when useDefault is set.
+   * A remembered device that has gone away falls back to the default.
+   */
+  async function openMicStream(useDefault) {
+    const wanted = useDefault ? null : state.micSettings.deviceId;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: getMicConstraints(wanted) });
+      return { stream: stream, fallback: !!state.micSettings.deviceId && !wanted };
+    } catch (err) {
+      if (!wanted || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) throw err;
+      addLog('MIC DEVICE UNAVAILABLE, USING DEFAULT');
+      return openMicStream(true);
+    }
+  }
+
+  /**
+   * openMicStream for the latest request only. Opening can wait on a
+   * permission prompt; if the mic was stopped or reopened meanwhile the
+   * stream is closed again and this resolves null.
+   */
+  async function requestMicStream(useDefault) {
+    const request = ++state.micRequest;
+    state.micOpening = request;
+    let opened;
+
+    try {
+      opened = await openMicStream(useDefault);
+    } catch (err) {
+      if (request !== state.micRequest) return null;
+      state.micOpening = 0;
+      throw err;
+    }
+
+    if (request !== state.micRequest) {
+      opened.stream.getTracks().forEach(track => track.stop());
+      return null;
+    }
+    state.micOpening = 0;
+    state.micFallback = opened.fallback;
+    return opened.stream;
+  }
+
+  function isMicOpening() {
+    return state.micOpening !== 0 && state.micOpening === state.micRequest;
+  }
+
+  function attachMicStream(stream) {
+    state.micStream = stream;
+    state.audioSource = state.audioContext.createMediaStreamSource(stream);
+    connectToAnalysers(state.audioSource);
+    state.audioSource.connect(state.recordTaps.post); // The mic never passes the DSP chain
+
+    // Unplugging the device ends the track
+    const track = stream.getAudioTracks()[0];
+    track.addEventListener('ended', () => handleMicTrackEnded(stream));
+
+    addLog('MIC INPUT: ' + (track.label || 'DEFAULT').toUpperCase());
+    const channels = track.getSettings().channelCount;
+    if (channels) addLog('MIC CHANNELS: ' + channels + (channels === 1 ? ' (MONO)' : ''));
+
+    // Device names are only listed once access has been granted
+    refreshMicDevices();
+  }
+
+  function detachMicStream() {
+    state.micRequest++;
+    if (state.micStream) {
+      state.micStream.getTracks().forEach(track => track.stop());
+      state.micStream = null;
+    }
+    
+    if (state.audioSource) {
+      state.audioSource.disconnect();
+      state.audioSource = null;
+    }
+  }
+
+  /**
+   * Start or stop the mic; stopping also cancels an open still waiting
+   * for permission. Resolves false if a later open or stop superseded
+   * this one.
+   */
   async function toggleMicrophone() {
-    if (state.audioMode === 'mic') {
+    if (state.audioMode === 'mic' || isMicOpening()) {
       stopMicrophone();
       return;
     }
@@ -177,10 +694,9 @@
         await state.audioContext.resume();
       }
 
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      state.micStream = stream;
-      state.audioSource = state.audioContext.createMediaStreamSource(stream);
-      state.audioSource.connect(state.analyser);
+      const stream = await requestMicStream(false);
+      if (!stream) return false;
+      attachMicStream(stream);
       
       state.audioMode = 'mic';
       elements.micBtn.classList.add('control-btn--active');
@@ -188,6 +704,7 @@
       
       setOutput('MICROPHONE ACTIVE');
       addLog('MICROPHONE CONNECTED');
+      playSound('micConnected');
       
     } catch (err) {
       console.error('Microphone access error:', err);
@@ -197,22 +714,138 @@
   }
 
   function stopMicrophone() {
-    if (state.micStream) {
-      state.micStream.getTracks().forEach(track => track.stop());
-      state.micStream = null;
-    }
-    
-    if (state.audioSource) {
-      state.audioSource.disconnect();
-      state.audioSource = null;
-    }
+    detachMicStream();
     
     state.audioMode = 'demo';
+    state.demoStart = null;
     elements.micBtn.classList.remove('control-btn--active');
     elements.micBtn.textContent = 'MIC';
     
     setOutput('READY...');
     addLog('MICROPHONE DISCONNECTED');
+    playSound('micDisconnected');
+  }
+
+  /**
+   * Reopen a running mic after a device or constraint change.
+   * Resolves true once reopened, false on failure and null if a later
+   * open or stop superseded this one.
+   */
+  async function restartMicrophone(useDefault) {
+    if (state.audioMode !== 'mic') return false;
+
+    detachMicStream();
+    try {
+      const stream = await requestMicStream(useDefault);
+      if (!stream) return null;
+      attachMicStream(stream);
+      return true;
+    } catch (err) {
+      console.error('Microphone restart error:', err);
+      addLog('MIC ERROR: ' + err.message);
+      stopMicrophone();
+      return false;
+    }
+  }
+
+  /**
+   * Audio inputs with real ids (the browser's default/communications
+   * aliases are covered by the default entry)
+   */
+  async function refreshMicDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      state.micDevices = devices.filter(device => device.kind === 'audioinput' && device.deviceId &&
+        device.deviceId !== 'default' && device.deviceId !== 'communications');
+    } catch (err) {
+      console.warn('Could not list audio inputs:', err);
+      state.micDevices = [];
+    }
+
+    renderMicSelect();
+    return state.micDevices;
+  }
+
+  function getMicDeviceLabel(device, index) {
+    return (device.label || 'INPUT ' + (index + 1)).toUpperCase();
+  }
+
+  function renderMicSelect() {
+    const select = elements.micSelect;
+    const chosen = state.micSettings.deviceId;
+    select.textContent = '';
+
+    const options = [['', 'DEFAULT INPUT']].concat(state.micDevices.map((device, index) =>
+      [device.deviceId, getMicDeviceLabel(device, index)]));
+    if (chosen && !state.micDevices.some(device => device.deviceId === chosen)) {
+      options.push([chosen, 'SAVED INPUT (NOT FOUND)']);
+    }
+
+    options.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry[0];
+      option.textContent = entry[1];
+      select.appendChild(option);
+    });
+    select.value = chosen || '';
+  }
+
+  /**
+   * Choose the input (null for the default) and remember it
+   */
+  async function useMicDevice(deviceId) {
+    state.micSettings.deviceId = deviceId;
+    saveMicSettings();
+    renderMicSelect();
+
+    if (state.audioMode === 'mic') return restartMicrophone(false);
+    addLog('MIC INPUT SET: ' + describeMicDevice(deviceId));
+    return true;
+  }
+
+  function describeMicDevice(deviceId) {
+    if (!deviceId) return 'DEFAULT';
+    const index = state.micDevices.findIndex(device => device.deviceId === deviceId);
+    return index === -1 ? 'SAVED INPUT' : getMicDeviceLabel(state.micDevices[index], index);
+  }
+
+  /**
+   * Change a processing switch or the channel count; a running mic
+   * is reopened with the new constraints
+   */
+  async function setMicOption(name, value) {
+    state.micSettings[name] = value;
+    saveMicSettings();
+    return restartMicrophone(state.micFallback);
+  }
+
+  function handleMicTrackEnded(stream) {
+    if (stream !== state.micStream) return;
+    addLog('MIC INPUT LOST');
+    restartMicrophone(true);
+  }
+
+  /**
+   * Inputs were plugged in or removed: update the list, leave a device
+   * that has gone, and go back to the chosen one when it returns
+   */
+  async function handleDeviceChange() {
+    const devices = await refreshMicDevices();
+    if (state.audioMode !== 'mic' || !state.micStream) return;
+
+    const present = id => devices.some(device => device.deviceId === id);
+    const track = state.micStream.getAudioTracks()[0];
+    const current = track ? track.getSettings().deviceId : null;
+
+    if (state.micFallback && present(state.micSettings.deviceId)) {
+      addLog('MIC DEVICE RECONNECTED');
+      restartMicrophone(false);
+    } else if (current && current !== 'default' && !present(current)) {
+      addLog('MIC DEVICE REMOVED');
+      restartMicrophone(true);
+    }
   }
 
   // ================================
@@ -220,578 +853,4448 @@
   // ================================
 
   function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+
+    // Clear the input so the same file can be re-selected
+    event.target.value = '';
+
+    addFiles(files);
+  }
+
+  function isAudioFile(file) {
+    return /^audio\//.test(file.type) || /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)$/i.test(file.name);
+  }
+
+  /**
+   * Queue files and load the first new one. Without the Playlist module
+   * only the first file is loaded, as before.
+   */
+  async function addFiles(files) {
+    const audioFiles = files.filter(isAudioFile);
+    if (!audioFiles.length) {
+      if (files.length) addLog('NOT AN AUDIO FILE: ' + files[0].name);
+      return;
+    }
+
+    // Created while still inside the user gesture
+    initAudioContext();
+
+    if (typeof Playlist === 'undefined') {
+      loadTrack({ name: audioFiles[0].name, blob: audioFiles[0] });
+      return;
+    }
+
+    const first = await Playlist.add(audioFiles);
+    if (audioFiles.length > 1) {
+      addLog('QUEUED ' + audioFiles.length + ' FILES (' + Playlist.size() + ' IN PLAYLIST)');
+    }
+
+    Playlist.select(first);
+    loadTrack(Playlist.getTrack(first));
+  }
+
+  /**
+   * One track's media element and its Web Audio source node
+   */
+  function createTrackPlayer(track) {
+    const element = new Audio();
+    element.preload = 'auto';
+    element.src = URL.createObjectURL(track.blob);
+
+    return {
+      track: track,
+      element: element,
+      source: state.audioContext.createMediaElementSource(element),
+    };
+  }
+
+  function disposePlayer(player) {
+    if (!player) return;
+    player.element.pause();
+    URL.revokeObjectURL(player.element.src);
+    player.element.src = '';
+    player.source.disconnect();
+  }
+
+  /**
+   * Make a track the current source.
+   * options: { autoplay, gapless } - gapless skips the load chime and
+   * lets the previous track play out its last moments
+   */
+  function loadTrack(track, options) {
+    const opts = options || {};
+
+    // Reuse the element buffered for gapless playback if it matches
+    const preloaded = state.nextPlayer && state.nextPlayer.track === track ? state.nextPlayer : null;
+    if (preloaded) state.nextPlayer = null;
+
+    let outgoing = null;
+    if (opts.gapless && state.audioElement) {
+      outgoing = { element: state.audioElement, source: state.audioSource };
+      outgoing.element.removeEventListener('loadedmetadata', updateTimeDisplay);
+      outgoing.element.removeEventListener('timeupdate', updateTimeDisplay);
+      outgoing.element.removeEventListener('timeupdate', scheduleHandover);
+      outgoing.element.removeEventListener('ended', handleTrackEnded);
+      state.audioElement = null;
+      state.audioSource = null;
+    }
 
     // Stop any existing audio source
     stopAudioSource();
+    if (outgoing) retirePlayer(outgoing);
 
     initAudioContext();
 
-    // Create audio element for playback
-    if (state.audioElement) {
-      state.audioElement.pause();
-      state.audioElement.src = '';
-    }
+    const player = preloaded || createTrackPlayer(track);
+    state.audioElement = player.element;
+    state.audioSource = player.source;
     
-    state.audioElement = new Audio();
-    state.audioElement.src = URL.createObjectURL(file);
-    
-    // Create media element source and connect to analyser
-    state.audioSource = state.audioContext.createMediaElementSource(state.audioElement);
-    state.audioSource.connect(state.analyser);
-    state.analyser.connect(state.audioContext.destination); // So we hear it
+    // The analyser stays a pure tap so other sources (UI sounds) can feed it
+    connectToAnalysers(state.audioSource);
+    state.audioSource.connect(dsp ? dsp.input : state.outputGain); // So we hear it
+    if (!dsp) state.audioSource.connect(state.recordTaps.post);
     
     state.audioMode = 'file';
     state.isPlaying = false;
+    state.fileName = track.name;
     
-    elements.playPauseBtn.disabled = false;
+    updateTransportButtons();
     elements.playPauseBtn.textContent = 'PLAY';
     
-    // Truncate filename for display
-    const displayName = file.name.length > 20 
-      ? file.name.substring(0, 17) + '...' 
-      : file.name;
+    // Filename until the tags are read; long names scroll
+    setOutput(track.name.toUpperCase());
+    addLog('LOADED: ' + track.name);
+    if (!opts.gapless) playSound('fileLoaded');
+
+    // Position readout; timeupdate also fires after seeking
+    state.audioElement.addEventListener('loadedmetadata', updateTimeDisplay);
+    state.audioElement.addEventListener('timeupdate', updateTimeDisplay);
+    state.audioElement.addEventListener('timeupdate', scheduleHandover);
+    state.audioElement.addEventListener('ended', handleTrackEnded);
     
-    setOutput(displayName.toUpperCase());
-    addLog('LOADED: ' + file.name);
+    readTrackTags(track);
+    analyzeFile(track.blob, state.audioElement);
+    preloadNextTrack();
 
-    // Handle playback end
-    state.audioElement.addEventListener('ended', () => {
-      state.isPlaying = false;
-      elements.playPauseBtn.textContent = 'PLAY';
-      addLog('PLAYBACK COMPLETE');
-    });
+    if (opts.autoplay) playAudio();
+  }
 
-    // Clear the input so the same file can be re-selected
-    event.target.value = '';
+  /**
+   * Buffer the track that will follow so it can start before the
+   * current one ends, without waiting for the file to open
+   */
+  function preloadNextTrack() {
+    if (typeof Playlist === 'undefined' || state.audioMode !== 'file') return;
+
+    const index = Playlist.peekNext(true);
+    const track = index === -1 ? null : Playlist.getTrack(index);
+    if (state.nextPlayer && state.nextPlayer.track === track) return;
+
+    disposePlayer(state.nextPlayer);
+    state.nextPlayer = track ? createTrackPlayer(track) : null;
   }
 
-  async function togglePlayPause() {
-    if (!state.audioElement) return;
+  /**
+   * Start the buffered next track just before the current one ends.
+   * timeupdate only fires every quarter second or so, so near the end a
+   * timer picks the moment. The outgoing track plays on until its own
+   * end, so starting a little early overlaps by a few milliseconds
+   * rather than leaving a gap.
+   */
+  function scheduleHandover() {
+    const audio = state.audioElement;
+    if (state.handoverTimer || !audio || audio.paused || !state.nextPlayer) return;
 
-    // Resume context if suspended
-    if (state.audioContext && state.audioContext.state === 'suspended') {
-      await state.audioContext.resume();
-    }
+    const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+    if (!(remaining <= CONFIG.gaplessLookahead)) return;
 
-    if (state.isPlaying) {
-      state.audioElement.pause();
-      state.isPlaying = false;
-      elements.playPauseBtn.textContent = 'PLAY';
-      addLog('PAUSED');
-    } else {
-      state.audioElement.play();
-      state.isPlaying = true;
-      elements.playPauseBtn.textContent = 'PAUSE';
-      addLog('PLAYING');
+    state.handoverTimer = setTimeout(() => {
+      state.handoverTimer = null;
+      if (audio !== state.audioElement || audio.paused) return;
+
+      // Seeked back since the timer was set
+      const left = (audio.duration - audio.currentTime) / audio.playbackRate;
+      if (left > CONFIG.gaplessLead * 2) {
+        scheduleHandover();
+        return;
+      }
+
+      const next = Playlist.next(true);
+      if (next !== -1) loadTrack(Playlist.getTrack(next), { autoplay: true, gapless: true });
+    }, Math.max(0, remaining - CONFIG.gaplessLead) * 1000);
+  }
+
+  /**
+   * Let a handed-over track finish, then release it
+   */
+  function retirePlayer(player) {
+    if (player.element.ended || player.element.paused) {
+      disposePlayer(player);
+      return;
     }
+    state.outgoingPlayer = player;
+    player.element.addEventListener('ended', () => {
+      if (state.outgoingPlayer === player) state.outgoingPlayer = null;
+      disposePlayer(player);
+    }, { once: true });
   }
 
-  // ================================
-  // AUDIO SOURCE MANAGEMENT
-  // ================================
+  function handleTrackEnded() {
+    const next = typeof Playlist !== 'undefined' ? Playlist.next(true) : -1;
+    if (next !== -1) {
+      loadTrack(Playlist.getTrack(next), { autoplay: true, gapless: true });
+      return;
+    }
 
-  function stopAudioSource() {
-    // Stop microphone if active
-    if (state.micStream) {
-      state.micStream.getTracks().forEach(track => track.stop());
-      state.micStream = null;
+    state.isPlaying = false;
+    elements.playPauseBtn.textContent = 'PLAY';
+    addLog('PLAYBACK COMPLETE');
+    playSound('playbackComplete');
+  }
+
+  /**
+   * Manual skip; keeps playing if something was playing
+   */
+  function nextTrack() {
+    const index = Playlist.next(false);
+    if (index === -1) {
+      addLog('END OF PLAYLIST');
+      return false;
     }
-    
-    // Stop audio file if playing
-    if (state.audioElement) {
-      state.audioElement.pause();
-      state.audioElement.src = '';
-      state.audioElement = null;
+    loadTrack(Playlist.getTrack(index), { autoplay: state.isPlaying });
+    return true;
+  }
+
+  /**
+   * Past the first few seconds, previous restarts the current track
+   */
+  function previousTrack() {
+    if (state.audioElement && state.audioElement.currentTime > CONFIG.restartThreshold) {
+      seekAudio(0);
+      return true;
     }
-    
-    // Disconnect source
-    if (state.audioSource) {
-      state.audioSource.disconnect();
-      state.audioSource = null;
+
+    const index = Playlist.previous();
+    if (index === -1) {
+      if (state.audioElement) seekAudio(0);
+      return false;
     }
-    
-    // Reset UI
-    elements.micBtn.classList.remove('control-btn--active');
-    elements.micBtn.textContent = 'MIC';
-    elements.playPauseBtn.disabled = true;
-    elements.playPauseBtn.textContent = 'PLAY';
-    
-    state.audioMode = 'demo';
-    state.isPlaying = false;
+    loadTrack(Playlist.getTrack(index), { autoplay: state.isPlaying });
+    return true;
   }
 
-  // ================================
-  // EQ VISUALIZER
-  // ================================
+  /**
+   * Load the current playlist entry when nothing is loaded yet
+   */
+  function loadCurrentTrack(autoplay) {
+    if (typeof Playlist === 'undefined' || !Playlist.size()) return false;
 
-  function buildEQBars() {
-    const fragment = document.createDocumentFragment();
-    segments = [];
-    
-    // Initialize smoothing arrays
-    state.smoothedLevels = new Array(CONFIG.eqBarCount).fill(0);
-    state.peakLevels = new Array(CONFIG.eqBarCount).fill(0);
-    state.peakHoldTimes = new Array(CONFIG.eqBarCount).fill(0);
+    let index = Playlist.getCurrentIndex();
+    if (index === -1) index = Playlist.select(0);
+    loadTrack(Playlist.getTrack(index), { autoplay: autoplay });
+    return true;
+  }
 
-    for (let i = 0; i < CONFIG.eqBarCount; i++) {
-      const bar = document.createElement('div');
-      bar.className = 'eq-bar';
-      
-      const barSegments = [];
+  function updateTransportButtons() {
+    const queued = typeof Playlist !== 'undefined' ? Playlist.size() : 0;
+    elements.playPauseBtn.disabled = !state.audioElement && !queued;
+    elements.prevBtn.disabled = !queued;
+    elements.nextBtn.disabled = queued < 2;
+  }
 
-      for (let j = 0; j < CONFIG.eqSegmentCount; j++) {
-        const segment = document.createElement('div');
-        segment.className = 'eq-segment';
-        bar.appendChild(segment);
-        
-        barSegments.push({
-          el: segment,
-          lit: false,
-          color: null,
-          peak: false,
-          isPeakHold: false
-        });
-      }
+  function handleDragOver(event) {
+    if (!event.dataTransfer || Array.from(event.dataTransfer.types).indexOf('Files') === -1) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    elements.stereoUnit.classList.add('stereo-unit--drop');
+  }
 
-      segments.push(barSegments);
-      fragment.appendChild(bar);
-    }
+  function handleDragLeave(event) {
+    if (event.relatedTarget && elements.stereoUnit.contains(event.relatedTarget)) return;
+    elements.stereoUnit.classList.remove('stereo-unit--drop');
+  }
 
-    elements.eqBars.appendChild(fragment);
+  function handleDrop(event) {
+    event.preventDefault();
+    elements.stereoUnit.classList.remove('stereo-unit--drop');
+    addFiles(Array.from(event.dataTransfer.files));
   }
 
-  function getEQLevels(timestamp) {
-    const levels = new Array(CONFIG.eqBarCount);
+  function initPlaylist() {
+    if (typeof Playlist === 'undefined') return;
 
-    if (state.audioMode !== 'demo' && state.analyser && state.frequencyData) {
-      state.analyser.getByteFrequencyData(state.frequencyData);
-      
-      const binCount = state.frequencyData.length;
-      const sampleRate = state.audioContext.sampleRate;
-      const nyquist = sampleRate / 2;
-      
-      // Define frequency bands (in Hz) - more resolution in bass/mids
-      // These roughly correspond to: sub-bass, bass, low-mid, mid, upper-mid, presence, brilliance
-      const frequencyBands = [
-        20, 40, 60, 90, 130, 180, 250, 350,
-        500, 700, 1000, 1400, 2000, 3500, 6000, 12000, 20000
-      ];
-      
-      // Per-band gain compensation (boost highs since they're naturally quieter)
-      const bandGains = [
-        1.0, 1.0, 1.0, 1.1, 1.2, 1.3, 1.4, 1.5,
-        1.6, 1.8, 2.0, 2.2, 2.5, 2.8, 3.2, 3.6
-      ];
-
-      for (let i = 0; i < CONFIG.eqBarCount; i++) {
-        const lowFreq = frequencyBands[i];
-        const highFreq = frequencyBands[i + 1];
-        
-        // Convert frequency to bin index
-        const lowBin = Math.floor(lowFreq / nyquist * binCount);
-        const highBin = Math.min(Math.ceil(highFreq / nyquist * binCount), binCount - 1);
-        
-        // Get average amplitude for this frequency range
-        let sum = 0;
-        let count = 0;
-        
-        for (let bin = lowBin; bin <= highBin; bin++) {
-          sum += state.frequencyData[bin];
-          count++;
-        }
-        
-        // Normalize and apply gain compensation
-        let level = count > 0 ? (sum / count) / 255 : 0;
-        level = Math.min(1, level * bandGains[i]);
-        
-        // Apply smoothing (lerp between previous and current)
-        const smoothed = state.smoothedLevels[i] * CONFIG.smoothing + 
-                        level * (1 - CONFIG.smoothing);
-        state.smoothedLevels[i] = smoothed;
-        
-        levels[i] = smoothed;
-      }
-    } else {
-      // Demo mode - more interesting animated pattern
-      for (let i = 0; i < CONFIG.eqBarCount; i++) {
-        const wave1 = Math.sin(timestamp / 400 + i * 0.4) * 0.3;
-        const wave2 = Math.sin(timestamp / 250 + i * 0.7) * 0.2;
-        const wave3 = Math.sin(timestamp / 600 - i * 0.3) * 0.15;
-        const noise = Math.random() * 0.15;
-        const base = 0.35 + wave1 + wave2 + wave3 + noise;
-        
-        const smoothed = state.smoothedLevels[i] * CONFIG.smoothing + 
-                        base * (1 - CONFIG.smoothing);
-        state.smoothedLevels[i] = smoothed;
-        
-        levels[i] = Math.max(0.05, Math.min(1, smoothed));
-      }
-    }
+    Playlist.on('change', reason => {
+      updateTransportButtons();
+      // Moves are followed by loadTrack, which consumes the buffered track
+      if (PLAYLIST_ORDER_CHANGES.indexOf(reason) !== -1) preloadNextTrack();
+    });
 
-    return levels;
+    Playlist.load().then(count => {
+      if (count) addLog('PLAYLIST RESTORED: ' + count + ' TRACK' + (count === 1 ? '' : 'S'));
+    });
+
+    registerPlaylistCommands();
   }
 
-  function updateEQBars(timestamp) {
-    // Throttle updates
-    if (timestamp - state.lastEqUpdate < CONFIG.eqUpdateInterval) {
-      state.eqAnimationId = requestAnimationFrame(updateEQBars);
+  function printQueue() {
+    const tracks = Playlist.getTracks();
+    const settings = Playlist.getSettings();
+
+    if (!tracks.length) {
+      addTerminalLine('PLAYLIST EMPTY - LOAD OR DROP FILES', 'dim');
       return;
     }
-    state.lastEqUpdate = timestamp;
 
-    const levels = getEQLevels(timestamp);
+    addTerminalLine('PLAYLIST (' + tracks.length + ' TRACKS, SHUFFLE ' +
+      (settings.shuffle ? 'ON' : 'OFF') + ', REPEAT ' + settings.repeat.toUpperCase() + '):', 'dim');
+    tracks.forEach(track => {
+      const number = (track.index + 1).toString().padStart(3);
+      addTerminalLine((track.current ? '>' : ' ') + number + '. ' + track.name.toUpperCase(),
+        track.current ? 'success' : '');
+    });
 
-    for (let i = 0; i < CONFIG.eqBarCount; i++) {
-      const level = levels[i];
-      const litCount = Math.floor(level * CONFIG.eqSegmentCount);
-      
-      // Update peak tracking
-      if (level >= state.peakLevels[i]) {
-        state.peakLevels[i] = level;
-        state.peakHoldTimes[i] = timestamp;
-      } else if (timestamp - state.peakHoldTimes[i] > CONFIG.peakHoldTime) {
-        // Peak hold time expired, let it fall
-        state.peakLevels[i] = Math.max(level, state.peakLevels[i] - CONFIG.peakDecay);
-      }
-      
-      const peakSegment = Math.min(
-        CONFIG.eqSegmentCount - 1,
-        Math.floor(state.peakLevels[i] * CONFIG.eqSegmentCount)
-      );
-      
-      const barSegments = segments[i];
+    if (settings.shuffle) {
+      const upcoming = Playlist.getUpcoming().slice(1, 6).map(index => index + 1);
+      if (upcoming.length) addTerminalLine('  UP NEXT: ' + upcoming.join(', '), 'dim');
+    }
+  }
 
-      for (let j = 0; j < CONFIG.eqSegmentCount; j++) {
-        const seg = barSegments[j];
-        const shouldBeLit = j < litCount;
-        const shouldBePeak = !shouldBeLit && j === peakSegment && peakSegment >= litCount;
-        const isTopLit = shouldBeLit && (j === litCount - 1);
-        
-        let targetColor = null;
-        if (shouldBeLit || shouldBePeak) {
-          if (j >= 10) {
-            targetColor = 'red';
-          } else if (j >= 8) {
-            targetColor = 'amber';
-          } else {
-            targetColor = 'blue';
-          }
-        }
+  function parseTrackNumber(text) {
+    const number = Number(text);
+    if (!Number.isInteger(number) || number < 1 || number > Playlist.size()) {
+      throw new Error('TRACK MUST BE 1-' + Playlist.size());
+    }
+    return number - 1;
+  }
 
-        const needsUpdate = seg.lit !== shouldBeLit || 
-                           seg.color !== targetColor || 
-                           seg.peak !== isTopLit ||
-                           seg.isPeakHold !== shouldBePeak;
+  function registerPlaylistCommands() {
+    registerCommand('queue', {
+      usage: 'queue [play <n>|remove <n>|clear]',
+      description: 'List the playlist or edit it',
+      aliases: ['playlist'],
+      complete: function(args) {
+        return args.length ? [] : ['play', 'remove', 'clear'];
+      },
+      run: function(ctx) {
+        const action = (ctx.args[0] || '').toLowerCase();
 
-        if (needsUpdate) {
-          const cl = seg.el.classList;
+        switch (action) {
+          case '':
+            printQueue();
+            return;
 
-          if (seg.lit !== shouldBeLit) {
-            cl.toggle('eq-segment--lit', shouldBeLit);
-            seg.lit = shouldBeLit;
+          case 'play': {
+            const index = Playlist.select(parseTrackNumber(ctx.args[1]));
+            loadTrack(Playlist.getTrack(index), { autoplay: true });
+            addTerminalLine('PLAYING: ' + state.fileName.toUpperCase(), 'success');
+            return;
           }
 
-          if (seg.color !== targetColor) {
-            if (seg.color) cl.remove('eq-segment--' + seg.color);
-            if (targetColor) cl.add('eq-segment--' + targetColor);
-            seg.color = targetColor;
-          }
+          case 'remove': {
+            const index = parseTrackNumber(ctx.args[1]);
+            const wasCurrent = index === Playlist.getCurrentIndex() && state.audioMode === 'file';
+            const track = Playlist.remove(index);
+            addTerminalLine('REMOVED: ' + track.name.toUpperCase(), 'success');
 
-          if (seg.peak !== isTopLit) {
-            cl.toggle('eq-segment--peak', isTopLit);
-            seg.peak = isTopLit;
-          }
-          
-          if (seg.isPeakHold !== shouldBePeak) {
-            cl.toggle('eq-segment--peak-hold', shouldBePeak);
-            seg.isPeakHold = shouldBePeak;
+            if (wasCurrent) {
+              stopAudioSource();
+              setOutput('READY...');
+              loadCurrentTrack(false);
+            }
+            return;
           }
+
+          case 'clear':
+            if (state.audioMode === 'file') {
+              stopAudioSource();
+              setOutput('READY...');
+            }
+            Playlist.clear();
+            addTerminalLine('PLAYLIST CLEARED', 'success');
+            return;
+
+          default:
+            addTerminalLine('USAGE: queue [play <n>|remove <n>|clear]', 'error');
         }
-      }
-    }
+      },
+    });
 
-    state.eqAnimationId = requestAnimationFrame(updateEQBars);
+    registerCommand('next', {
+      description: 'Skip to the next track',
+      run: function() {
+        if (!Playlist.size()) throw new Error('PLAYLIST EMPTY');
+        if (!nextTrack()) {
+          addTerminalLine('END OF PLAYLIST', 'dim');
+          return;
+        }
+        addTerminalLine('TRACK ' + (Playlist.getCurrentIndex() + 1) + ': ' + state.fileName.toUpperCase(), 'success');
+      },
+    });
+
+    registerCommand('prev', {
+      description: 'Previous track (restarts the current one after ' + CONFIG.restartThreshold + 's)',
+      aliases: ['previous'],
+      run: function() {
+        if (!Playlist.size()) throw new Error('PLAYLIST EMPTY');
+        previousTrack();
+        if (state.fileName) {
+          addTerminalLine('TRACK ' + (Playlist.getCurrentIndex() + 1) + ': ' + state.fileName.toUpperCase(), 'success');
+        }
+      },
+    });
+
+    registerCommand('shuffle', {
+      usage: 'shuffle [on|off]',
+      description: 'Show or toggle shuffled play order',
+      complete: function(args) {
+        return args.length ? [] : ['on', 'off'];
+      },
+      run: function(ctx) {
+        const action = (ctx.args[0] || '').toLowerCase();
+        if (action && action !== 'on' && action !== 'off') {
+          addTerminalLine('USAGE: shuffle [on|off]', 'error');
+          return;
+        }
+        const enabled = action ? action === 'on' : !Playlist.getSettings().shuffle;
+        Playlist.setShuffle(enabled);
+        addTerminalLine('SHUFFLE ' + (enabled ? 'ON' : 'OFF'), 'success');
+      },
+    });
+
+    registerCommand('repeat', {
+      usage: 'repeat [off|one|all]',
+      description: 'Show or set the repeat mode',
+      complete: function(args) {
+        return args.length ? [] : Playlist.REPEAT_MODES;
+      },
+      run: function(ctx) {
+        if (ctx.args.length) Playlist.setRepeat(ctx.args[0].toLowerCase());
+        addTerminalLine('REPEAT: ' + Playlist.getSettings().repeat.toUpperCase(), ctx.args.length ? 'success' : '');
+      },
+    });
   }
 
-  function startEQAnimation() {
-    if (!state.eqAnimationId) {
-      state.eqAnimationId = requestAnimationFrame(updateEQBars);
+  async function togglePlayPause() {
+    if (!state.audioElement) {
+      loadCurrentTrack(true);
+      return;
     }
-  }
 
-  function stopEQAnimation() {
-    if (state.eqAnimationId) {
-      cancelAnimationFrame(state.eqAnimationId);
-      state.eqAnimationId = null;
+    if (state.isPlaying) {
+      pauseAudio();
+    } else {
+      await playAudio();
     }
   }
 
-  // ================================
-  // OUTPUT DISPLAY
-  // ================================
+  /**
+   * Start file playback. Resolves false instead of rejecting when the
+   * browser will not play, so callers need no catch.
+   */
+  async function playAudio() {
+    if (!state.audioElement) return false;
+    if (state.isPlaying) return true;
+    const audio = state.audioElement;
 
-  function setOutput(text) {
-    state.output = text;
-    elements.outputDisplay.textContent = text;
-  }
+    // Show PAUSE straight away so a second click can stop a start that
+    // is still pending; put it back if the browser refuses to play
+    state.isPlaying = true;
+    elements.playPauseBtn.textContent = 'PAUSE';
 
-  // ================================
-  // LOGGING
-  // ================================
+    try {
+      // Resume context if suspended
+      if (state.audioContext && state.audioContext.state === 'suspended') {
+        await state.audioContext.resume();
+      }
+      await audio.play();
+    } catch (error) {
+      // AbortError when paused or replaced before starting,
+      // NotAllowedError without a user gesture
+      if (audio === state.audioElement && state.isPlaying) {
+        state.isPlaying = false;
+        elements.playPauseBtn.textContent = 'PLAY';
+      }
+      if (error.name !== 'AbortError') addLog('PLAYBACK BLOCKED: ' + error.name);
+      return false;
+    }
 
-  function addLog(message) {
-    state.logs.push(message);
-    
-    const entry = document.createElement('div');
-    entry.className = 'log-entry';
-    entry.textContent = message;
-    elements.logContent.appendChild(entry);
-    
-    updateLogOpacity();
-    scrollLogsToBottom();
+    addLog('PLAYING');
+    return true;
   }
 
-  function updateLogOpacity() {
-    const entries = elements.logContent.children;
-    const total = entries.length;
-    for (let i = 0; i < total; i++) {
-      entries[i].style.opacity = 0.6 + (i / total) * 0.4;
-    }
-  }
+  function pauseAudio() {
+    if (!state.audioElement || !state.isPlaying) return;
 
-  function renderLogs() {
-    const fragment = document.createDocumentFragment();
-    const totalLogs = state.logs.length;
+    state.audioElement.pause();
+    state.isPlaying = false;
+    elements.playPauseBtn.textContent = 'PLAY';
+    addLog('PAUSED');
+  }
 
-    state.logs.forEach((log, index) => {
-      const entry = document.createElement('div');
-      entry.className = 'log-entry';
-      entry.style.opacity = 0.6 + (index / totalLogs) * 0.4;
-      entry.textContent = log;
-      fragment.appendChild(entry);
-    });
+  function rewindAudio() {
+    if (!state.audioElement) return;
 
-    elements.logContent.innerHTML = '';
-    elements.logContent.appendChild(fragment);
+    state.audioElement.pause();
+    state.audioElement.currentTime = 0;
+    state.isPlaying = false;
+    elements.playPauseBtn.textContent = 'PLAY';
+    addLog('STOPPED');
   }
 
-  function scrollLogsToBottom() {
-    elements.logContent.scrollTop = elements.logContent.scrollHeight;
+  function seekAudio(seconds) {
+    if (!state.audioElement) return;
+
+    const duration = state.audioElement.duration;
+    const target = Math.max(0, isFinite(duration) ? Math.min(seconds, duration) : seconds);
+    state.audioElement.currentTime = target;
+    addLog('SEEK ' + formatTime(target));
   }
 
-  function getTimestamp() {
-    return new Date().toLocaleTimeString('en-US', { hour12: false });
+  /**
+   * Playback volume (0-1), applied after the analyser tap
+   */
+  function setVolume(volume) {
+    state.volume = Math.max(0, Math.min(1, volume));
+    if (state.outputGain) {
+      state.outputGain.gain.setValueAtTime(state.volume, state.audioContext.currentTime);
+    }
   }
 
   // ================================
-  // INPUT HANDLING
+  // FILE ANALYSIS
   // ================================
 
-  function handleSubmit() {
-    const input = elements.commandInput.value.trim();
-    if (!input) return;
+  /**
+   * Decode the whole file in the background for the overview strip
+   * and loudness stats. Loading another file cancels a running analysis.
+   * Files longer than CONFIG.analysisMaxDuration are not decoded, since
+   * the whole decoded file is held in memory.
+   */
+  async function analyzeFile(file, audio) {
+    if (typeof Analysis === 'undefined') return;
 
-    const timestamp = getTimestamp();
+    const token = ++state.analysisToken;
+    const isStale = () => token !== state.analysisToken;
 
-    addLog('[' + timestamp + '] > ' + input);
-    setOutput(input.toUpperCase());
-    addLog('[' + timestamp + '] OUTPUT UPDATED');
+    try {
+      const length = await mediaDuration(audio);
+      if (isStale()) return;
+      if (length > CONFIG.analysisMaxDuration) {
+        throw new Error('FILE LONGER THAN ' + formatTime(CONFIG.analysisMaxDuration));
+      }
 
-    elements.commandInput.value = '';
-  }
+      const data = await file.arrayBuffer();
+      const buffer = await state.audioContext.decodeAudioData(data);
+      if (isStale()) return;
 
-  function handleKeyDown(event) {
-    if (event.key === 'Enter') {
-      handleSubmit();
+      state.duration = buffer.duration;
+      state.overview = Analysis.overview(buffer, CONFIG.overviewColumns);
+      elements.overviewStrip.hidden = false;
+      drawOverview();
+      updateTimeDisplay();
+      addLog('ANALYZING ' + formatTime(buffer.duration) + ' ' +
+        buffer.numberOfChannels + 'CH ' + buffer.sampleRate + ' HZ');
+
+      state.analysis = await Analysis.loudness(buffer, {
+        shouldStop: isStale,
+        onProgress: progress => { state.analysisProgress = progress; },
+      });
+      state.analysisProgress = 1;
+      logAnalysis(state.analysis);
+      
+    } catch (err) {
+      if (isStale()) return;
+      console.error('Analysis error:', err);
+      state.analysisError = (err.message || 'UNSUPPORTED FORMAT').toUpperCase();
+      elements.overviewMessage.textContent = 'NO OVERVIEW: ' + state.analysisError;
+      elements.overviewMessage.hidden = false;
+      elements.overviewStrip.hidden = false;
+      addLog('ANALYSIS FAILED: ' + state.analysisError);
     }
   }
 
-  // ================================
-  // EVENT BINDING
-  // ================================
+  /**
+   * The element's duration once its metadata is in, NaN if it cannot tell
+   */
+  function mediaDuration(audio) {
+    if (!audio || audio.readyState >= 1 || audio.error) {
+      return Promise.resolve(audio ? audio.duration : NaN);
+    }
+    return new Promise(resolve => {
+      const done = () => {
+        audio.removeEventListener('loadedmetadata', done);
+        audio.removeEventListener('error', done);
+        resolve(audio.duration);
+      };
+      audio.addEventListener('loadedmetadata', done);
+      audio.addEventListener('error', done);
+    });
+  }
 
-  function bindEvents() {
-    // Audio interface
-    elements.submitBtn.addEventListener('click', handleSubmit);
-    elements.commandInput.addEventListener('keydown', handleKeyDown);
-    elements.micBtn.addEventListener('click', toggleMicrophone);
-    elements.audioFileInput.addEventListener('change', handleFileSelect);
-    elements.playPauseBtn.addEventListener('click', togglePlayPause);
-    
-    // Mode toggle
-    elements.audioModeBtn.addEventListener('click', () => switchMode('audio'));
-    elements.terminalModeBtn.addEventListener('click', () => switchMode('terminal'));
-    
-    // Terminal interface
-    elements.terminalSubmitBtn.addEventListener('click', handleTerminalSubmit);
-    elements.terminalInput.addEventListener('keydown', handleTerminalKeyDown);
+  function clearFileAnalysis() {
+    state.analysisToken++;
+    state.analysis = null;
+    state.analysisProgress = 0;
+    state.analysisError = null;
+    elements.overviewMessage.hidden = true;
+    state.overview = null;
+    state.duration = NaN;
+    elements.overviewStrip.hidden = true;
+    elements.timeDisplay.textContent = '';
   }
 
-  // ================================
-  // MODE SWITCHING
-  // ================================
+  function formatLoudness(value, unit) {
+    return isFinite(value) ? value.toFixed(1) + ' ' + unit : '-INF ' + unit;
+  }
 
-  function switchMode(mode) {
-    if (state.currentMode === mode) return;
-    
-    state.currentMode = mode;
-    
-    // Update button states
-    elements.audioModeBtn.classList.toggle('mode-btn--active', mode === 'audio');
-    elements.terminalModeBtn.classList.toggle('mode-btn--active', mode === 'terminal');
-    
-    // Update interface visibility
-    elements.audioInterface.classList.toggle('active', mode === 'audio');
-    elements.terminalInterface.classList.toggle('active', mode === 'terminal');
-    
-    // Update body background
-    document.body.classList.toggle('terminal-mode', mode === 'terminal');
-    
-    // Start/stop terminal uptime
-    if (mode === 'terminal') {
-      startUptimeCounter();
-    } else {
-      stopUptimeCounter();
+  function logAnalysis(stats) {
+    addLog('LOUDNESS: ' + formatLoudness(stats.integrated, 'LUFS'));
+    addLog('TRUE PEAK: ' + formatLoudness(stats.truePeak, 'DBTP'));
+    addLog('DYNAMIC RANGE: ' + formatLoudness(stats.range, 'LU'));
+    if (stats.peakToLoudness !== null) {
+      addLog('PLR: ' + formatLoudness(stats.peakToLoudness, 'DB'));
     }
   }
 
-  // ================================
-  // TERMINAL FUNCTIONS
-  // ================================
-
-  function initTerminal() {
-    state.terminalStartTime = Date.now();
-    renderTerminalOutput();
+  /**
+   * Duration from the element once it knows, else from the decoded buffer
+   */
+  function getDuration() {
+    const duration = state.audioElement ? state.audioElement.duration : NaN;
+    return isFinite(duration) ? duration : state.duration;
   }
 
-  function startUptimeCounter() {
-    if (state.uptimeIntervalId) return;
-    
-    state.uptimeIntervalId = setInterval(updateUptime, 1000);
-    updateUptime();
+  function updateTimeDisplay() {
+    if (!state.audioElement) return;
+
+    const elapsed = state.audioElement.currentTime;
+    const duration = getDuration();
+    const remaining = isFinite(duration) ? '-' + formatTime(duration - elapsed) : '--:--';
+    elements.timeDisplay.textContent = formatTime(elapsed) + '  ' + remaining;
   }
 
-  function stopUptimeCounter() {
-    if (state.uptimeIntervalId) {
-      clearInterval(state.uptimeIntervalId);
-      state.uptimeIntervalId = null;
+  function drawOverview() {
+    const canvas = elements.overviewCanvas;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (!state.overview || !width) return;
+
+    const min = state.overview.min;
+    const max = state.overview.max;
+    const perPixel = min.length / width;
+    const center = height / 2;
+
+    ctx.fillStyle = 'rgba(0, 212, 255, 0.2)';
+    ctx.fillRect(0, Math.floor(center), width, 1);
+    ctx.fillStyle = '#00d4ff';
+
+    for (let x = 0; x < width; x++) {
+      const start = Math.floor(x * perPixel);
+      const end = Math.max(start + 1, Math.floor((x + 1) * perPixel));
+      let lo = 0;
+      let hi = 0;
+      for (let i = start; i < end && i < min.length; i++) {
+        if (min[i] < lo) lo = min[i];
+        if (max[i] > hi) hi = max[i];
+      }
+      const top = center - hi * center;
+      ctx.fillRect(x, top, 1, Math.max(1, (hi - lo) * center));
     }
   }
 
-  function updateUptime() {
-    const elapsed = Math.floor((Date.now() - state.terminalStartTime) / 1000);
+  function updatePlayhead() {
+    if (!state.overview || !state.audioElement) return;
+
+    // Redraw when the strip changes size
+    const ratio = window.devicePixelRatio || 1;
+    if (elements.overviewCanvas.width !== Math.round(elements.overviewCanvas.clientWidth * ratio)) {
+      drawOverview();
+    }
+
+    const duration = getDuration();
+    const position = isFinite(duration) && duration > 0
+      ? Math.min(1, state.audioElement.currentTime / duration) * 100
+      : 0;
+    elements.overviewProgress.style.width = position + '%';
+    elements.overviewPlayhead.style.left = position + '%';
+  }
+
+  function handleOverviewClick(event) {
+    const duration = getDuration();
+    if (!state.audioElement || !isFinite(duration)) return;
+
+    const rect = elements.overviewStrip.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    seekAudio(ratio * duration);
+  }
+
+  // ================================
+  // TRACK TAGS
+  // ================================
+
+  /**
+   * Read the file's embedded tags: artist/title replace the filename on
+   * the LCD, album, year and bitrate go to the log, cover art to its panel
+   */
+  async function readTrackTags(track) {
+    if (typeof Tags === 'undefined') return;
+
+    const token = ++state.tagsToken;
+    const isStale = () => token !== state.tagsToken;
+    state.tagsReading = true;
+
+    try {
+      const tags = await Tags.read(track.blob);
+      if (isStale()) return;
+
+      state.tagsReading = false;
+      state.tags = tags;
+      const title = Tags.displayName(tags);
+
+      // Leave the LCD alone if something else has been shown since loading
+      if (title && state.output === track.name.toUpperCase()) {
+        setOutput(title.toUpperCase(), { effect: 'wipe' });
+      }
+      logTags(tags);
+      setCoverArt(tags.picture);
+      
+    } catch (err) {
+      if (isStale()) return;
+      state.tagsReading = false;
+      console.error('Tag read error:', err);
+      addLog('TAGS UNREADABLE: ' + (err.message || 'UNKNOWN ERROR').toUpperCase());
+    }
+  }
+
+  function clearTrackTags() {
+    state.tagsToken++;
+    state.tagsReading = false;
+    state.tags = null;
+    setCoverArt(null);
+  }
+
+  function formatBitrate(tags) {
+    if (!tags.bitrate) return null;
+    const details = [tags.bitrate + ' KBPS'];
+    if (tags.sampleRate) details.push(tags.sampleRate + ' HZ');
+    if (tags.channels) details.push(tags.channels + 'CH');
+    return details.join(' ');
+  }
+
+  function logTags(tags) {
+    const name = Tags.displayName(tags);
+    if (name) addLog('TRACK: ' + name.toUpperCase());
+    if (tags.album) addLog('ALBUM: ' + tags.album.toUpperCase());
+    if (tags.year) addLog('YEAR: ' + tags.year);
+
+    const bitrate = formatBitrate(tags);
+    if (bitrate) addLog('BITRATE: ' + bitrate + (tags.format ? ' (' + tags.format + ')' : ''));
+  }
+
+  /**
+   * Show embedded artwork, or hide the panel for null
+   */
+  function setCoverArt(picture) {
+    if (state.coverArtUrl) {
+      URL.revokeObjectURL(state.coverArtUrl);
+      state.coverArtUrl = null;
+    }
+
+    if (picture && picture.data.length) {
+      state.coverArtUrl = URL.createObjectURL(new Blob([picture.data], { type: picture.mime }));
+      elements.coverArt.src = state.coverArtUrl;
+    } else {
+      elements.coverArt.removeAttribute('src');
+    }
+    elements.coverArt.hidden = !state.coverArtUrl || !state.coverArtEnabled;
+  }
+
+  function setCoverArtEnabled(enabled) {
+    state.coverArtEnabled = enabled;
+    elements.coverArt.hidden = !state.coverArtUrl || !enabled;
+    return enabled;
+  }
+
+  // ================================
+  // DEMO PATTERNS
+  // ================================
+
+  function initDemo() {
+    if (typeof Demo === 'undefined') return;
+    demo = Demo.create({ pattern: CONFIG.demoPattern, seed: CONFIG.demoSeed });
+    state.demoRotate = CONFIG.demoRotateInterval > 0;
+  }
+
+  function requireDemo() {
+    if (!demo) throw new Error('DEMO MODULE NOT LOADED');
+    return demo;
+  }
+
+  /**
+   * The current pattern's frame. Frames depend only on the pattern, the
+   * seed and the time since the pattern started, and are not smoothed,
+   * so a seed replays exactly.
+   */
+  function getDemoLevels(timestamp) {
+    if (state.demoStart === null) state.demoStart = timestamp;
+
+    if (state.demoRotate && timestamp - state.demoStart >= CONFIG.demoRotateInterval) {
+      demo.next();
+      state.demoStart = timestamp;
+    }
+
+    return demo.render((timestamp - state.demoStart) / 1000, state.eqLayout.bars, getEQChannelCount());
+  }
+
+  /**
+   * Show a pattern from its first frame; choosing one stops the rotation
+   */
+  function setDemoPattern(pattern, seed) {
+    const animation = requireDemo();
+    animation.setPattern(pattern, seed);
+    state.demoStart = null;
+    state.demoRotate = false;
+    addLog('DEMO: ' + pattern.toUpperCase() + ' (SEED ' + animation.getSeed() + ')');
+    return pattern;
+  }
+
+  function setDemoRotate(enabled, interval) {
+    requireDemo();
+    if (interval !== undefined) CONFIG.demoRotateInterval = interval;
+    state.demoRotate = enabled;
+    state.demoStart = null;
+  }
+
+  // ================================
+  // SIGNAL GENERATOR
+  // ================================
+
+  function initGenerator() {
+    if (typeof Generator === 'undefined') return;
+
+    generator = Generator.create(state.audioContext, {
+      signal: CONFIG.generatorSignal,
+      frequency: CONFIG.generatorFrequency,
+      level: CONFIG.generatorLevel,
+    });
+  }
+
+  /**
+   * The generator, creating the audio context if needed
+   */
+  function requireGenerator() {
+    initAudioContext();
+    if (!generator) throw new Error('GENERATOR MODULE NOT LOADED');
+    return generator;
+  }
+
+  /**
+   * Feed the analysers, and the speakers too when monitoring. Test
+   * signals pass the DSP chain like a file so its curve can be measured.
+   */
+  function routeGenerator() {
+    const output = generator.output;
+    output.disconnect();
+    connectToAnalysers(output);
+
+    if (!state.generatorMonitor) {
+      output.connect(state.recordTaps.post);
+      return;
+    }
+    output.connect(dsp ? dsp.input : state.outputGain);
+    if (!dsp) output.connect(state.recordTaps.post);
+  }
+
+  async function startGenerator() {
+    const gen = requireGenerator();
+
+    // Stop any existing audio source
+    stopAudioSource();
+
+    if (state.audioContext.state === 'suspended') {
+      await state.audioContext.resume();
+    }
+
+    state.audioSource = gen.output;
+    routeGenerator();
+    gen.start();
+
+    state.audioMode = 'generator';
+    elements.genBtn.classList.add('control-btn--active');
+    elements.genBtn.textContent = 'GEN ON';
+
+    setOutput(gen.describe());
+    addLog('GENERATOR: ' + gen.describe() + (state.generatorMonitor ? ' (MONITOR)' : ''));
+  }
+
+  function stopGenerator() {
+    if (state.audioMode !== 'generator') return;
+    stopAudioSource();
+    setOutput('READY...');
+    addLog('GENERATOR OFF');
+  }
+
+  function toggleGenerator() {
+    if (state.audioMode === 'generator') {
+      stopGenerator();
+      return;
+    }
+    startGenerator().catch(err => {
+      console.error('Generator error:', err);
+      addLog('GENERATOR ERROR: ' + err.message);
+    });
+  }
+
+  /**
+   * Show a settings change on the LCD while the generator runs
+   */
+  function announceGenerator() {
+    if (state.audioMode !== 'generator') return;
+    setOutput(generator.describe());
+  }
+
+  function setGeneratorMonitor(enabled) {
+    state.generatorMonitor = enabled;
+    if (state.audioMode === 'generator') routeGenerator();
+    addLog('GENERATOR MONITOR ' + (enabled ? 'ON' : 'OFF'));
+  }
+
+  /**
+   * Change the generator from an object of settings, e.g.
+   * { signal: 'sweep', sweep: { from: 20, to: 20000, time: 10 }, level: -6 }
+   */
+  function setGenerator(options) {
+    const gen = requireGenerator();
+    const opts = options || {};
+
+    if (opts.level !== undefined) gen.setLevel(opts.level);
+    if (opts.frequency !== undefined) gen.setFrequency(opts.frequency);
+    if (opts.sweep) gen.setSweep(opts.sweep.from, opts.sweep.to, opts.sweep.time, opts.sweep.mode);
+    if (opts.tones) gen.setTones(opts.tones);
+    if (opts.signal) gen.setSignal(opts.signal);
+    if (opts.monitor !== undefined) setGeneratorMonitor(!!opts.monitor);
+
+    announceGenerator();
+    return gen.getSettings();
+  }
+
+  // ================================
+  // AUDIO SOURCE MANAGEMENT
+  // ================================
+
+  function stopAudioSource() {
+    // The generator fades out and disconnects its own output afterwards
+    if (generator) generator.stop();
+    
+    // Stop microphone if active, or still waiting for permission
+    state.micRequest++;
+    if (state.micStream) {
+      state.micStream.getTracks().forEach(track => track.stop());
+      state.micStream = null;
+    }
+    
+    // Stop audio file if playing
+    if (state.audioElement) {
+      state.audioElement.pause();
+      URL.revokeObjectURL(state.audioElement.src);
+      state.audioElement.src = '';
+      state.audioElement = null;
+    }
+    
+    // Disconnect source
+    if (state.audioSource) {
+      if (!generator || state.audioSource !== generator.output) state.audioSource.disconnect();
+      state.audioSource = null;
+    }
+    
+    // Drop the buffered next track and any handover in progress
+    disposePlayer(state.nextPlayer);
+    state.nextPlayer = null;
+    disposePlayer(state.outgoingPlayer);
+    state.outgoingPlayer = null;
+    clearTimeout(state.handoverTimer);
+    state.handoverTimer = null;
+    
+    state.audioMode = 'demo';
+    state.demoStart = null;
+    state.isPlaying = false;
+    state.fileName = null;
+    
+    // Reset UI
+    elements.micBtn.classList.remove('control-btn--active');
+    elements.micBtn.textContent = 'MIC';
+    elements.genBtn.classList.remove('control-btn--active');
+    elements.genBtn.textContent = 'GEN';
+    updateTransportButtons();
+    elements.playPauseBtn.textContent = 'PLAY';
+    
+    clearFileAnalysis();
+    clearTrackTags();
+  }
+
+  // ================================
+  // EQ VISUALIZER
+  // ================================
+
+  // Fallback when the Spectrum module is missing: the original 16-band table
+  const FALLBACK_LAYOUT = {
+    bars: 16,
+    edges: [
+      20, 40, 60, 90, 130, 180, 250, 350,
+      500, 700, 1000, 1400, 2000, 3500, 6000, 12000, 20000
+    ],
+    gains: [
+      1.0, 1.0, 1.0, 1.1, 1.2, 1.3, 1.4, 1.5,
+      1.6, 1.8, 2.0, 2.2, 2.5, 2.8, 3.2, 3.6
+    ],
+  };
+
+  /**
+   * Recompute band edges and gains from CONFIG and rebuild the bars
+   */
+  function updateEQLayout() {
+    if (typeof Spectrum === 'undefined') {
+      state.eqLayout = FALLBACK_LAYOUT;
+    } else {
+      state.eqLayout = Spectrum.createLayout({
+        bars: CONFIG.eqBarCount,
+        scale: CONFIG.eqScale,
+        tilt: CONFIG.eqTilt,
+        minFreq: CONFIG.eqMinFreq,
+        maxFreq: CONFIG.eqMaxFreq,
+      });
+    }
+
+    // ISO scales may produce fewer bars than requested; CONFIG.eqBarCount
+    // keeps the request so other scales get it back, the layout has the
+    // count actually drawn
+    buildEQBars();
+
+    // The graphic EQ follows the visualizer bands
+    if (dsp) dsp.setBands(state.eqLayout.edges);
+  }
+
+  /**
+   * Change the spectrum layout live
+   * options: { bars, scale, tilt, minFreq, maxFreq }
+   */
+  function setSpectrumLayout(options) {
+    if (options.scale !== undefined && typeof Spectrum !== 'undefined' &&
+        Spectrum.SCALES.indexOf(options.scale) === -1) {
+      throw new Error('UNKNOWN SCALE: ' + options.scale);
+    }
+
+    const next = {
+      bars: options.bars !== undefined
+        ? Math.max(CONFIG.eqMinBars, Math.min(CONFIG.eqMaxBars, Math.floor(options.bars)))
+        : CONFIG.eqBarCount,
+      scale: options.scale !== undefined ? options.scale : CONFIG.eqScale,
+      tilt: options.tilt !== undefined ? options.tilt : CONFIG.eqTilt,
+      minFreq: options.minFreq !== undefined ? options.minFreq : CONFIG.eqMinFreq,
+      maxFreq: options.maxFreq !== undefined ? options.maxFreq : CONFIG.eqMaxFreq,
+    };
+    if (!(next.minFreq > 0) || !(next.maxFreq > next.minFreq)) {
+      throw new Error('RANGE NEEDS 0 < LO < HI');
+    }
+
+    // Throws for a range with no ISO band, leaving the current layout
+    if (typeof Spectrum !== 'undefined') Spectrum.createLayout(next);
+
+    CONFIG.eqBarCount = next.bars;
+    CONFIG.eqScale = next.scale;
+    CONFIG.eqTilt = next.tilt;
+    CONFIG.eqMinFreq = next.minFreq;
+    CONFIG.eqMaxFreq = next.maxFreq;
+
+    updateEQLayout();
+    return getSpectrumLayout();
+  }
+
+  function getSpectrumLayout() {
+    return {
+      bars: state.eqLayout.bars,
+      requestedBars: CONFIG.eqBarCount,
+      scale: CONFIG.eqScale,
+      tilt: CONFIG.eqTilt,
+      minFreq: CONFIG.eqMinFreq,
+      maxFreq: CONFIG.eqMaxFreq,
+      edges: state.eqLayout.edges.slice(),
+      gains: state.eqLayout.gains.slice(),
+    };
+  }
+
+  /**
+   * Number of level slots: one set of bands per displayed channel
+   */
+  function getEQChannelCount() {
+    return CONFIG.eqView === 'mono' ? 1 : 2;
+  }
+
+  function createEQBar(index) {
+    const bar = document.createElement('div');
+    bar.className = 'eq-bar';
+    
+    const barSegments = [];
+
+    for (let j = 0; j < CONFIG.eqSegmentCount; j++) {
+      const segment = document.createElement('div');
+      segment.className = 'eq-segment';
+      bar.appendChild(segment);
+      
+      barSegments.push({
+        el: segment,
+        lit: false,
+        color: null,
+        peak: false,
+        isPeakHold: false
+      });
+    }
+
+    // Slots are channel-major (L bands, then R bands) whatever the DOM order
+    segments[index] = barSegments;
+    return bar;
+  }
+
+  function buildEQBars() {
+    const fragment = document.createDocumentFragment();
+    const bands = state.eqLayout.bars;
+    const total = bands * getEQChannelCount();
+    segments = new Array(total);
+    state.currentLevels = null;
+    
+    // Tighter spacing as the bar count grows
+    const gap = total > 32 ? 1 : total > 20 ? 3 : 6;
+    elements.eqBars.style.setProperty('--eq-gap', gap + 'px');
+    elements.eqBars.className = 'eq-bars eq-bars--' + CONFIG.eqView;
+    
+    // Initialize smoothing arrays
+    state.smoothedLevels = new Array(total).fill(0);
+    state.peakLevels = new Array(total).fill(0);
+    state.peakHoldTimes = new Array(total).fill(0);
+
+    if (CONFIG.eqView === 'mirrored') {
+      // Lows meet in the middle: L runs high to low, R low to high
+      const left = document.createElement('div');
+      const right = document.createElement('div');
+      left.className = 'eq-group eq-group--left';
+      right.className = 'eq-group eq-group--right';
+      for (let i = bands - 1; i >= 0; i--) left.appendChild(createEQBar(i));
+      for (let i = 0; i < bands; i++) right.appendChild(createEQBar(bands + i));
+      fragment.appendChild(left);
+      fragment.appendChild(right);
+    } else if (CONFIG.eqView === 'stacked') {
+      ['left', 'right'].forEach((side, channel) => {
+        const row = document.createElement('div');
+        row.className = 'eq-group eq-group--' + side;
+        for (let i = 0; i < bands; i++) row.appendChild(createEQBar(channel * bands + i));
+        fragment.appendChild(row);
+      });
+    } else {
+      for (let i = 0; i < bands; i++) fragment.appendChild(createEQBar(i));
+    }
+
+    elements.eqBars.innerHTML = '';
+    elements.eqBars.appendChild(fragment);
+  }
+
+  /**
+   * Switch between the downmixed and the per-channel EQ views
+   */
+  function setEQView(view) {
+    if (EQ_VIEWS.indexOf(view) === -1) {
+      throw new Error('UNKNOWN VIEW: ' + view);
+    }
+    CONFIG.eqView = view;
+    buildEQBars();
+    return view;
+  }
+
+  /**
+   * Fill levels[offset..offset + bands) from one analyser's spectrum
+   */
+  function readBandLevels(analyser, data, levels, offset) {
+    analyser.getByteFrequencyData(data);
+    
+    const binCount = data.length;
+    const sampleRate = state.audioContext.sampleRate;
+    const nyquist = sampleRate / 2;
+    
+    // Band edges (in Hz) and per-band gain compensation from the layout
+    const frequencyBands = state.eqLayout.edges;
+    const bandGains = state.eqLayout.gains;
+
+    for (let i = 0; i < state.eqLayout.bars; i++) {
+      const lowFreq = frequencyBands[i];
+      const highFreq = frequencyBands[i + 1];
+      
+      // Convert frequency to bin index
+      const lowBin = Math.min(Math.floor(lowFreq / nyquist * binCount), binCount - 1);
+      const highBin = Math.min(Math.ceil(highFreq / nyquist * binCount), binCount - 1);
+      
+      // Get average amplitude for this frequency range
+      let sum = 0;
+      let count = 0;
+      
+      for (let bin = lowBin; bin <= highBin; bin++) {
+        sum += data[bin];
+        count++;
+      }
+      
+      // Normalize and apply gain compensation
+      let level = count > 0 ? (sum / count) / 255 : 0;
+      level = Math.min(1, level * bandGains[i]);
+      
+      // Apply smoothing (lerp between previous and current)
+      const slot = offset + i;
+      const smoothed = state.smoothedLevels[slot] * CONFIG.smoothing + 
+                      level * (1 - CONFIG.smoothing);
+      state.smoothedLevels[slot] = smoothed;
+      
+      levels[slot] = smoothed;
+    }
+  }
+
+  function getEQLevels(timestamp) {
+    const total = state.eqLayout.bars * getEQChannelCount();
+    const levels = new Array(total);
+
+    if (state.audioMode !== 'demo' && state.analyser && state.frequencyData) {
+      if (CONFIG.eqView === 'mono') {
+        readBandLevels(state.analyser, state.frequencyData, levels, 0);
+      } else {
+        state.channelAnalysers.forEach((analyser, channel) => {
+          readBandLevels(analyser, state.channelFrequencyData[channel], levels, channel * state.eqLayout.bars);
+        });
+      }
+    } else if (demo) {
+      return getDemoLevels(timestamp);
+    } else {
+      levels.fill(0);
+    }
+
+    return levels;
+  }
+
+  function updateEQBars(timestamp) {
+    // Meter ballistics run every frame, the bars are throttled
+    updateMeter(timestamp);
+    updateStereoMeter(timestamp);
+    updateWaterfall(timestamp);
+    updatePlayhead();
+    updateLcd(timestamp);
+    updateDsp();
+    updateRecording();
+    updateBeat(timestamp);
+    updateTuner(timestamp);
+
+    // Throttle updates
+    if (timestamp - state.lastEqUpdate < CONFIG.eqUpdateInterval) {
+      state.eqAnimationId = requestAnimationFrame(updateEQBars);
+      return;
+    }
+    state.lastEqUpdate = timestamp;
+
+    const levels = getEQLevels(timestamp);
+    state.currentLevels = levels;
+
+    for (let i = 0; i < levels.length; i++) {
+      const level = levels[i];
+      const litCount = Math.floor(level * CONFIG.eqSegmentCount);
+      
+      // Update peak tracking
+      if (level >= state.peakLevels[i]) {
+        state.peakLevels[i] = level;
+        state.peakHoldTimes[i] = timestamp;
+      } else if (timestamp - state.peakHoldTimes[i] > CONFIG.peakHoldTime) {
+        // Peak hold time expired, let it fall
+        state.peakLevels[i] = Math.max(level, state.peakLevels[i] - CONFIG.peakDecay);
+      }
+      
+      const peakSegment = Math.min(
+        CONFIG.eqSegmentCount - 1,
+        Math.floor(state.peakLevels[i] * CONFIG.eqSegmentCount)
+      );
+      
+      const barSegments = segments[i];
+
+      for (let j = 0; j < CONFIG.eqSegmentCount; j++) {
+        const seg = barSegments[j];
+        const shouldBeLit = j < litCount;
+        const shouldBePeak = !shouldBeLit && j === peakSegment && peakSegment >= litCount;
+        const isTopLit = shouldBeLit && (j === litCount - 1);
+        
+        let targetColor = null;
+        if (shouldBeLit || shouldBePeak) {
+          if (j >= 10) {
+            targetColor = 'red';
+          } else if (j >= 8) {
+            targetColor = 'amber';
+          } else {
+            targetColor = 'blue';
+          }
+        }
+
+        const needsUpdate = seg.lit !== shouldBeLit || 
+                           seg.color !== targetColor || 
+                           seg.peak !== isTopLit ||
+                           seg.isPeakHold !== shouldBePeak;
+
+        if (needsUpdate) {
+          const cl = seg.el.classList;
+
+          if (seg.lit !== shouldBeLit) {
+            cl.toggle('eq-segment--lit', shouldBeLit);
+            seg.lit = shouldBeLit;
+          }
+
+          if (seg.color !== targetColor) {
+            if (seg.color) cl.remove('eq-segment--' + seg.color);
+            if (targetColor) cl.add('eq-segment--' + targetColor);
+            seg.color = targetColor;
+          }
+
+          if (seg.peak !== isTopLit) {
+            cl.toggle('eq-segment--peak', isTopLit);
+            seg.peak = isTopLit;
+          }
+          
+          if (seg.isPeakHold !== shouldBePeak) {
+            cl.toggle('eq-segment--peak-hold', shouldBePeak);
+            seg.isPeakHold = shouldBePeak;
+          }
+        }
+      }
+    }
+
+    state.eqAnimationId = requestAnimationFrame(updateEQBars);
+  }
+
+  function startEQAnimation() {
+    if (!state.eqAnimationId) {
+      state.eqAnimationId = requestAnimationFrame(updateEQBars);
+    }
+  }
+
+  function stopEQAnimation() {
+    if (state.eqAnimationId) {
+      cancelAnimationFrame(state.eqAnimationId);
+      state.eqAnimationId = null;
+    }
+  }
+
+  // ================================
+  // LEVEL METER
+  // ================================
+
+  function initMeter() {
+    if (typeof Meter === 'undefined') return;
+
+    meter = Meter.create(elements.meterCanvas, { mode: 'vu', reference: -18 });
+    elements.clipLed.addEventListener('click', resetClip);
+    elements.meterMode.textContent = meter.getReadings().label;
+    meter.draw();
+  }
+
+  function updateMeter(timestamp) {
+    if (!meter) return;
+
+    const dt = state.lastMeterUpdate ? (timestamp - state.lastMeterUpdate) / 1000 : 0;
+    state.lastMeterUpdate = timestamp;
+
+    if (state.audioMode === 'demo' || !state.meterAnalyser) {
+      meter.reset();
+    } else {
+      state.meterAnalyser.getFloatTimeDomainData(state.meterData);
+      meter.process(state.meterData, dt);
+    }
+
+    meter.draw();
+
+    const readings = meter.getReadings();
+    elements.clipLed.classList.toggle('clip-led--on', readings.clipped);
+
+    // Numbers change too fast to read at frame rate
+    if (timestamp - state.lastMeterReadout >= CONFIG.meterReadoutInterval) {
+      state.lastMeterReadout = timestamp;
+      elements.meterReadout.textContent = formatMeterReadout(readings);
+    }
+  }
+
+  function formatMeterReadout(readings) {
+    return 'RMS ' + Meter.formatDb(readings.rmsDb).padStart(5) +
+      '  PK ' + Meter.formatDb(readings.heldPeakDb).padStart(5) + ' DBFS';
+  }
+
+  function resetClip() {
+    if (!meter) return;
+    meter.resetClip();
+    elements.clipLed.classList.remove('clip-led--on');
+  }
+
+  function setMeterMode(mode) {
+    meter.setMode(mode);
+    elements.meterMode.textContent = meter.getReadings().label;
+  }
+
+  // ================================
+  // STEREO IMAGE
+  // ================================
+
+  function initStereoMeter() {
+    if (typeof Stereo === 'undefined') return;
+
+    stereoMeter = Stereo.create(elements.stereoCanvas);
+    stereoMeter.draw();
+  }
+
+  function updateStereoMeter(timestamp) {
+    if (!stereoMeter) return;
+
+    const dt = state.lastStereoUpdate ? (timestamp - state.lastStereoUpdate) / 1000 : 0;
+    state.lastStereoUpdate = timestamp;
+
+    if (state.audioMode === 'demo' || !state.channelAnalysers) {
+      stereoMeter.reset();
+    } else {
+      state.channelAnalysers[0].getFloatTimeDomainData(state.channelSampleData[0]);
+      state.channelAnalysers[1].getFloatTimeDomainData(state.channelSampleData[1]);
+      stereoMeter.process(state.channelSampleData[0], state.channelSampleData[1], dt);
+    }
+
+    stereoMeter.draw();
+  }
+
+  // ================================
+  // SPECTROGRAM
+  // ================================
+
+  function initWaterfall() {
+    if (typeof Waterfall === 'undefined') return;
+
+    waterfall = Waterfall.create(elements.waterfallCanvas, elements.waterfallOverlay);
+
+    // Click to freeze, then move over the image to inspect it
+    elements.waterfallOverlay.addEventListener('click', () => setWaterfallFrozen(!waterfall.isFrozen()));
+    elements.waterfallOverlay.addEventListener('pointermove', handleWaterfallInspect);
+    updateWaterfallReadout();
+  }
+
+  function updateWaterfall(timestamp) {
+    const dt = state.lastWaterfallUpdate ? (timestamp - state.lastWaterfallUpdate) / 1000 : 0;
+    state.lastWaterfallUpdate = timestamp;
+
+    // Hidden canvases have no size; skip them rather than lose the history
+    if (!waterfall || !state.waterfallEnabled || state.currentMode !== 'audio') return;
+
+    if (state.audioMode === 'demo' || !state.analyser) {
+      waterfall.push(null, state.audioContext ? state.audioContext.sampleRate : 48000, dt);
+      return;
+    }
+
+    state.analyser.getFloatFrequencyData(state.waterfallData);
+    waterfall.push(state.waterfallData, state.audioContext.sampleRate, dt);
+  }
+
+  function handleWaterfallInspect(event) {
+    if (!waterfall.isFrozen()) return;
+
+    const rect = elements.waterfallOverlay.getBoundingClientRect();
+    const point = waterfall.inspect(event.clientX - rect.left, event.clientY - rect.top);
+
+    elements.waterfallReadout.textContent = point
+      ? formatWaterfallPoint(point)
+      : 'FROZEN - NO DATA HERE';
+  }
+
+  function formatWaterfallPoint(point) {
+    const frequency = point.frequency >= 1000
+      ? (point.frequency / 1000).toFixed(2) + ' KHZ'
+      : Math.round(point.frequency) + ' HZ';
+    const level = isFinite(point.db) ? point.db.toFixed(1) + ' DB' : '-INF';
+    return frequency + '  ' + level + '  -' + point.secondsAgo.toFixed(2) + ' S';
+  }
+
+  function updateWaterfallReadout() {
+    if (!waterfall) return;
+
+    const settings = waterfall.getSettings();
+    elements.waterfallReadout.textContent = waterfall.isFrozen()
+      ? 'FROZEN - POINT TO INSPECT'
+      : 'FFT ' + CONFIG.fftSize + '  ' + settings.minDb + '..' + settings.maxDb + ' DB  ' +
+        settings.colormap.toUpperCase();
+  }
+
+  function setWaterfallEnabled(enabled) {
+    state.waterfallEnabled = enabled;
+    elements.waterfallPanel.hidden = !enabled;
+    if (!enabled) waterfall.setFrozen(false);
+    updateWaterfallReadout();
+  }
+
+  function setWaterfallFrozen(frozen) {
+    waterfall.setFrozen(frozen);
+    updateWaterfallReadout();
+  }
+
+  /**
+   * Analyser FFT size, shared by the EQ bands and the spectrogram
+   */
+  function setFftSize(size) {
+    const value = Number(size);
+    if (!isFinite(value) || value < CONFIG.minFftSize || value > CONFIG.maxFftSize ||
+        (value & (value - 1)) !== 0) {
+      throw new Error('FFT SIZE MUST BE A POWER OF 2 FROM ' + CONFIG.minFftSize + ' TO ' + CONFIG.maxFftSize);
+    }
+
+    CONFIG.fftSize = value;
+    if (state.analyser) {
+      state.analyser.fftSize = value;
+      state.frequencyData = new Uint8Array(state.analyser.frequencyBinCount);
+      state.waterfallData = new Float32Array(state.analyser.frequencyBinCount);
+    }
+    updateWaterfallReadout();
+    return value;
+  }
+
+  // ================================
+  // DSP CHAIN
+  // ================================
+
+  function initDsp() {
+    if (typeof Dsp === 'undefined') return;
+
+    // Starts bypassed so playback sounds as it always has
+    dsp = Dsp.create(state.audioContext, elements.dspCanvas, { bypassed: true });
+    dsp.setBands(state.eqLayout.edges);
+    dsp.output.connect(state.outputGain);
+    dsp.output.connect(state.recordTaps.post);
+
+    // Drag on the panel to set band gains
+    elements.dspCanvas.addEventListener('pointerdown', handleDspDrag);
+    elements.dspCanvas.addEventListener('pointermove', handleDspDrag);
+  }
+
+  /**
+   * The DSP chain, creating the audio context if needed
+   */
+  function requireDsp() {
+    initAudioContext();
+    if (!dsp) throw new Error('DSP MODULE NOT LOADED');
+    return dsp;
+  }
+
+  function updateDsp() {
+    if (!dsp || elements.dspPanel.hidden || state.currentMode !== 'audio') return;
+    dsp.draw();
+    updateDspReadout();
+  }
+
+  function updateDspReadout() {
+    const settings = dsp.getSettings();
+    let text = 'PRE ' + formatDb(settings.preamp) + '  DYN ' + settings.dynamics.toUpperCase();
+    if (settings.dynamics !== 'off') text += ' GR ' + dsp.getReduction().toFixed(1);
+    elements.dspReadout.textContent = text;
+  }
+
+  function formatDb(value) {
+    return (value > 0 ? '+' : '') + value.toFixed(1) + ' DB';
+  }
+
+  function handleDspDrag(event) {
+    if (event.type === 'pointermove' && !event.buttons) return;
+
+    const rect = elements.dspCanvas.getBoundingClientRect();
+    const point = dsp.pick(event.clientX - rect.left, event.clientY - rect.top);
+    if (point) dsp.setGain(point.band, point.gain);
+  }
+
+  /**
+   * Switch processing in or out; the panel shows while it is in
+   */
+  function setDspEnabled(enabled) {
+    requireDsp().setBypass(!enabled);
+    elements.dspPanel.hidden = !enabled;
+    return enabled;
+  }
+
+  function loadUserPresets() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.dspPresets));
+      return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function saveUserPresets(presets) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.dspPresets, JSON.stringify(presets));
+    } catch (err) {
+      console.warn('[Dsp] Could not save presets:', err);
+      throw new Error('COULD NOT SAVE PRESETS');
+    }
+  }
+
+  function getPresetNames() {
+    const builtIn = typeof Dsp !== 'undefined' ? Object.keys(Dsp.PRESETS) : [];
+    return builtIn.concat(Object.keys(loadUserPresets()));
+  }
+
+  /**
+   * Apply a built-in or saved preset by name
+   */
+  function applyDspPreset(name) {
+    const chain = requireDsp();
+    const key = name.toLowerCase();
+    const preset = Dsp.PRESETS[key] || loadUserPresets()[key];
+    if (!preset) throw new Error('UNKNOWN PRESET: ' + name);
+
+    chain.applyCurve(preset.points);
+    chain.setPreamp(preset.preamp || 0);
+    if (preset.dynamics) chain.setDynamics(preset.dynamics);
+    return key;
+  }
+
+  /**
+   * Store the current EQ, preamp and dynamics under a name
+   */
+  function saveDspPreset(name) {
+    const chain = requireDsp();
+    const key = name.toLowerCase();
+    if (Dsp.PRESETS[key]) throw new Error('CANNOT OVERWRITE BUILT-IN PRESET: ' + name);
+
+    const settings = chain.getSettings();
+    const presets = loadUserPresets();
+    presets[key] = {
+      points: chain.getCurve(),
+      preamp: settings.preamp,
+      dynamics: settings.dynamics,
+    };
+    saveUserPresets(presets);
+    return key;
+  }
+
+  function deleteDspPreset(name) {
+    const key = name.toLowerCase();
+    const presets = loadUserPresets();
+    if (!presets[key]) throw new Error('NO SAVED PRESET: ' + name);
+    delete presets[key];
+    saveUserPresets(presets);
+  }
+
+  // ================================
+  // RECORDING
+  // ================================
+
+  function initRecorder() {
+    if (typeof Recorder === 'undefined') return;
+
+    recorder = Recorder.create(state.audioContext, {
+      format: Recorder.isSupported(CONFIG.recFormat) ? CONFIG.recFormat : 'webm',
+      preRoll: CONFIG.recPreRoll,
+    });
+    state.recordTaps[state.recordTap].connect(recorder.input);
+  }
+
+  /**
+   * The recorder, creating the audio context if needed
+   */
+  function requireRecorder() {
+    initAudioContext();
+    if (!recorder) throw new Error('RECORDER MODULE NOT LOADED');
+    return recorder;
+  }
+
+  /**
+   * Record the raw source or the processed playback; can change mid-take
+   */
+  function setRecordTap(tap) {
+    const rec = requireRecorder();
+    if (tap === state.recordTap) return tap;
+
+    state.recordTaps[state.recordTap].disconnect(rec.input);
+    state.recordTaps[tap].connect(rec.input);
+    state.recordTap = tap;
+    return tap;
+  }
+
+  async function startRecording() {
+    const rec = requireRecorder();
+    if (rec.isRecording() || state.recordStarting) throw new Error('ALREADY RECORDING');
+
+    state.recordStarting = true;
+    try {
+      if (state.audioContext.state === 'suspended') {
+        await state.audioContext.resume();
+      }
+      await rec.start();
+    } finally {
+      state.recordStarting = false;
+    }
+
+    state.lastRecSecond = -1;
+    elements.recBtn.classList.add('control-btn--active', 'rec-btn--recording');
+    updateRecording();
+
+    const settings = rec.getSettings();
+    addLog('REC STARTED: ' + settings.format.toUpperCase() + ', ' +
+      (state.recordTap === 'post' ? 'POST-DSP' : 'SOURCE') +
+      (state.audioMode === 'demo' ? ' (NO SOURCE)' : ''));
+    setOutput('RECORDING', { duration: CONFIG.lcdAnnounceTime });
+  }
+
+  /**
+   * Finish the take and keep it for download. Resolves with the take.
+   */
+  async function stopRecording() {
+    const rec = requireRecorder();
+    if (!rec.isRecording()) throw new Error('NOT RECORDING');
+    if (state.recordStopping) throw new Error('ALREADY STOPPING');
+
+    resetRecButton();
+    state.recordStopping = true;
+    let result;
+    try {
+      result = await rec.stop();
+    } finally {
+      state.recordStopping = false;
+    }
+
+    state.takeCount++;
+    const take = Object.assign({ number: state.takeCount, time: Date.now() }, result);
+    state.takes.push(take);
+    while (state.takes.length > CONFIG.recMaxTakes) {
+      addLog('TAKE ' + state.takes.shift().number + ' DROPPED');
+    }
+
+    addLog('TAKE ' + take.number + ': ' + describeTake(take));
+    setOutput('TAKE ' + take.number + ' SAVED', { duration: CONFIG.lcdAnnounceTime });
+    return take;
+  }
+
+  function cancelRecording() {
+    const rec = requireRecorder();
+    if (!rec.cancel()) throw new Error('NOT RECORDING');
+
+    resetRecButton();
+    addLog('REC CANCELLED');
+  }
+
+  async function toggleRecording() {
+    // A click while the last one is still being handled would start or
+    // stop a second take
+    if (state.recordStarting || state.recordStopping) return;
+
+    try {
+      if (recorder && recorder.isRecording()) {
+        await stopRecording();
+      } else {
+        await startRecording();
+      }
+    } catch (err) {
+      console.error('Recording error:', err);
+      addLog('REC ERROR: ' + err.message);
+    }
+  }
+
+  function resetRecButton() {
+    elements.recBtn.classList.remove('control-btn--active', 'rec-btn--recording');
+    elements.recTime.textContent = 'REC';
+  }
+
+  /**
+   * Elapsed time on the REC button, redrawn when the second changes
+   */
+  function updateRecording() {
+    if (!recorder || !recorder.isRecording()) return;
+
+    const second = Math.floor(recorder.getElapsed());
+    if (second === state.lastRecSecond) return;
+    state.lastRecSecond = second;
+    elements.recTime.textContent = formatTime(second);
+  }
+
+  function describeTake(take) {
+    const size = take.blob.size >= 1048576
+      ? (take.blob.size / 1048576).toFixed(1) + ' MB'
+      : formatBytes(take.blob.size);
+    const preRoll = take.preRoll ? ', ' + take.preRoll.toFixed(1) + ' S PRE-ROLL' : '';
+    return formatTime(take.duration) + ' ' + take.format.toUpperCase() + ' ' + size + preRoll;
+  }
+
+  function getTake(number) {
+    if (!state.takes.length) throw new Error('NO TAKES');
+    if (number === undefined) return state.takes[state.takes.length - 1];
+
+    const take = state.takes.find(item => item.number === number);
+    if (!take) throw new Error('NO TAKE ' + number);
+    return take;
+  }
+
+  function downloadTake(number) {
+    const take = getTake(number);
+    Recorder.download(take, 'stereo-take-' + take.number + '-' + fileStamp());
+    addLog('TAKE ' + take.number + ' DOWNLOADED');
+    return take;
+  }
+
+  // ================================
+  // BEAT DETECTION
+  // ================================
+
+  function initBeat() {
+    if (typeof Beat === 'undefined') return;
+    beat = Beat.create();
+  }
+
+  function requireBeat() {
+    if (!beat) throw new Error('BEAT MODULE NOT LOADED');
+    return beat;
+  }
+
+  /**
+   * Feed the detector one spectrum per frame and flash the POWER LED
+   */
+  function updateBeat(timestamp) {
+    if (state.beatFlashUntil && timestamp >= state.beatFlashUntil) {
+      elements.powerLed.classList.remove('led-indicator--beat');
+      state.beatFlashUntil = 0;
+    }
+
+    if (!beat || !state.beatEnabled || !state.audioSource) {
+      if (elements.tempoReadout.textContent) resetBeat();
+      return;
+    }
+
+    state.beatAnalyser.getFloatFrequencyData(state.beatSpectrum);
+    const result = beat.process(state.beatSpectrum, timestamp / 1000);
+
+    if (result.beat) {
+      elements.powerLed.classList.add('led-indicator--beat');
+      state.beatFlashUntil = timestamp + CONFIG.beatFlashTime;
+
+      const tempo = beat.getTempo();
+      emitAppEvent('beat', {
+        time: timestamp,
+        bpm: tempo.bpm,
+        confidence: tempo.confidence,
+        strength: result.strength,
+        predicted: result.strength === 0,
+      });
+    }
+
+    updateTempoReadout();
+  }
+
+  function updateTempoReadout() {
+    const tempo = beat.getTempo();
+    const text = describeTempo(tempo);
+    if (elements.tempoReadout.textContent !== text) elements.tempoReadout.textContent = text;
+
+    if (tempo.locked && !state.tempoLocked) {
+      addLog('TEMPO: ' + text);
+      setOutput(text, { duration: CONFIG.lcdAnnounceTime });
+    }
+    state.tempoLocked = tempo.locked;
+  }
+
+  function describeTempo(tempo) {
+    return tempo.locked ? Math.round(tempo.bpm) + ' BPM' : '--- BPM';
+  }
+
+  function resetBeat() {
+    if (beat) beat.reset();
+    state.tempoLocked = false;
+    elements.tempoReadout.textContent = '';
+  }
+
+  function setBeatEnabled(enabled) {
+    state.beatEnabled = enabled;
+    if (!enabled) resetBeat();
+    addLog('BEAT DETECTION ' + (enabled ? 'ON' : 'OFF'));
+  }
+
+  // ================================
+  // TUNER
+  // ================================
+
+  function initTuner() {
+    if (typeof Tuner === 'undefined') return;
+    tuner = Tuner.create(elements.tunerCanvas, { reference: CONFIG.tunerReference });
+  }
+
+  function requireTuner() {
+    if (!tuner) throw new Error('TUNER MODULE NOT LOADED');
+    return tuner;
+  }
+
+  /**
+   * Tuner mode takes over the LCD and covers the EQ with the needle
+   */
+  function setTunerEnabled(enabled) {
+    const detector = requireTuner();
+    if (enabled === state.tunerEnabled) return;
+
+    state.tunerEnabled = enabled;
+    elements.tunerCanvas.hidden = !enabled;
+    detector.reset();
+    state.tunerText = '';
+    state.lastTunerUpdate = 0;
+    state.tunerLineShown = false;
+
+    if (enabled) {
+      state.tunerSavedOutput = state.output;
+      addLog('TUNER ON (A4 = ' + detector.getReference() + ' HZ)');
+    } else {
+      setOutput(state.tunerSavedOutput || 'READY...');
+      addLog('TUNER OFF');
+    }
+  }
+
+  function updateTuner(timestamp) {
+    if (!tuner || !state.tunerEnabled) return;
+    if (timestamp - state.lastTunerUpdate < CONFIG.tunerInterval) return;
+
+    const dt = state.lastTunerUpdate ? (timestamp - state.lastTunerUpdate) / 1000 : 0;
+    state.lastTunerUpdate = timestamp;
+
+    let reading = null;
+    if (state.audioSource && state.tunerAnalyser) {
+      state.tunerAnalyser.getFloatTimeDomainData(state.tunerData);
+      reading = tuner.process(state.tunerData, state.audioContext.sampleRate, dt);
+    } else {
+      tuner.reset();
+    }
+    tuner.draw();
+
+    const text = reading
+      ? reading.name + reading.octave + ' ' + Tuner.formatCents(reading.cents) + ' CENTS'
+      : 'TUNER ---';
+    if (text !== state.tunerText) {
+      state.tunerText = text;
+      setOutput(text);
+    }
+
+    if (state.tunerStream) streamTunerReading(reading, timestamp);
+  }
+
+  /**
+   * One terminal line per interval while there is a note, and one when it goes
+   */
+  function streamTunerReading(reading, timestamp) {
+    if (reading) {
+      if (timestamp - state.lastTunerLine < CONFIG.tunerStreamInterval) return;
+      state.lastTunerLine = timestamp;
+      state.tunerLineShown = true;
+      addTerminalLine(formatTunerReading(reading));
+    } else if (state.tunerLineShown) {
+      state.tunerLineShown = false;
+      addTerminalLine('  NO SIGNAL', 'dim');
+    }
+  }
+
+  function formatTunerReading(reading) {
+    const note = (reading.name + reading.octave).padEnd(4);
+    const cents = Tuner.formatCents(reading.cents).padStart(3);
+    const flag = Math.abs(reading.cents) <= Tuner.IN_TUNE ? '  IN TUNE' : '';
+    return '  ' + note + reading.frequency.toFixed(1).padStart(7) + ' HZ  ' + cents + ' CENTS' + flag;
+  }
+
+  // ================================
+  // APP EVENTS
+  // ================================
+
+  const appListeners = {
+    beat: [],
+  };
+
+  /**
+   * Subscribe to an app event; returns an unsubscribe function.
+   * beat: { time, bpm, confidence, strength, predicted }
+   */
+  function onAppEvent(event, callback) {
+    if (!appListeners[event]) {
+      throw new Error('Unknown event: ' + event);
+    }
+    appListeners[event].push(callback);
+    return function() { offAppEvent(event, callback); };
+  }
+
+  function offAppEvent(event, callback) {
+    const list = appListeners[event];
+    if (!list) return;
+    const index = list.indexOf(callback);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  function emitAppEvent(event, payload) {
+    appListeners[event].forEach(callback => {
+      try {
+        callback(payload);
+      } catch (err) {
+        console.error('[StereoApp] ' + event + ' listener failed:', err);
+      }
+    });
+  }
+
+  // ================================
+  // OUTPUT DISPLAY
+  // ================================
+
+  function initLcd() {
+    if (typeof Lcd === 'undefined') return;
+
+    lcd = Lcd.create(elements.lcdCanvas, {
+      columns: CONFIG.lcdColumns,
+      style: CONFIG.lcdStyle,
+    });
+    lcd.show(state.output);
+
+    // The text element stays in the page for screen readers
+    elements.lcdCanvas.hidden = false;
+    elements.outputDisplay.classList.add('lcd-text--rendered');
+  }
+
+  function updateLcd(timestamp) {
+    if (lcd) lcd.update(timestamp);
+  }
+
+  /**
+   * Show text on the LCD.
+   * options: { effect, duration, blink, inverse } - with a duration the
+   * text is an announcement and the previous text returns afterwards.
+   */
+  function setOutput(text, options) {
+    const opts = options || {};
+    if (lcd) lcd.show(text, opts);
+
+    elements.outputDisplay.textContent = text;
+    if (!opts.duration) {
+      state.output = text;
+    } else if (!lcd) {
+      setTimeout(() => { elements.outputDisplay.textContent = state.output; }, opts.duration);
+    }
+  }
+
+  // ================================
+  // LOGGING
+  // ================================
+
+  function addLog(message) {
+    state.logs.push({ text: message, time: Date.now() });
+    state.logBytes += byteLength(message);
+    
+    const entry = document.createElement('div');
+    entry.className = 'log-entry';
+    entry.textContent = message;
+    elements.logContent.appendChild(entry);
+    
+    trimLogs();
+    updateLogOpacity();
+    scrollLogsToBottom();
+  }
+
+  function updateLogOpacity() {
+    const entries = elements.logContent.children;
+    const total = entries.length;
+    for (let i = 0; i < total; i++) {
+      entries[i].style.opacity = 0.6 + (i / total) * 0.4;
+    }
+  }
+
+  function renderLogs() {
+    const fragment = document.createDocumentFragment();
+    const totalLogs = state.logs.length;
+    const now = Date.now();
+
+    state.logs = state.logs.map(log => {
+      return typeof log === 'string' ? { text: log, time: now } : log;
+    });
+
+    state.logs.forEach((log, index) => {
+      const entry = document.createElement('div');
+      entry.className = 'log-entry';
+      entry.style.opacity = 0.6 + (index / totalLogs) * 0.4;
+      entry.textContent = log.text;
+      fragment.appendChild(entry);
+    });
+
+    elements.logContent.innerHTML = '';
+    elements.logContent.appendChild(fragment);
+
+    state.logBytes = state.logs.reduce((total, log) => total + byteLength(log.text), 0);
+    trimLogs();
+  }
+
+  /**
+   * Evict the oldest log entries beyond the scrollback limit
+   */
+  function trimLogs() {
+    while (state.logs.length > CONFIG.logScrollback) {
+      state.logBytes -= byteLength(state.logs.shift().text);
+      state.logsEvicted++;
+      elements.logContent.removeChild(elements.logContent.firstChild);
+    }
+  }
+
+  function clearLogs() {
+    state.logs = [];
+    renderLogs();
+  }
+
+  function scrollLogsToBottom() {
+    elements.logContent.scrollTop = elements.logContent.scrollHeight;
+  }
+
+  // ================================
+  // BUFFER ACCOUNTING
+  // ================================
+
+  const textEncoder = new TextEncoder();
+
+  /**
+   * UTF-8 size of a buffered line
+   */
+  function byteLength(text) {
+    return textEncoder.encode(text).length;
+  }
+
+  function formatBytes(bytes) {
+    return (bytes / 1024).toFixed(1) + ' KB';
+  }
+
+  function updateBufferStatus() {
+    elements.bufferStatus.textContent = formatBytes(state.terminalBytes);
+  }
+
+  /**
+   * Change a scrollback limit ('terminal' or 'log') and evict immediately
+   */
+  function setScrollback(target, lines) {
+    const limit = Math.max(CONFIG.minScrollback, Math.floor(lines));
+
+    if (target === 'terminal') {
+      CONFIG.terminalScrollback = limit;
+      trimTerminal();
+      updateBufferStatus();
+    } else if (target === 'log') {
+      CONFIG.logScrollback = limit;
+      trimLogs();
+      updateLogOpacity();
+    } else {
+      throw new Error('UNKNOWN BUFFER: ' + target);
+    }
+
+    return limit;
+  }
+
+  function getBufferStats() {
+    return {
+      terminal: {
+        lines: state.terminalLines.length,
+        maxLines: CONFIG.terminalScrollback,
+        bytes: state.terminalBytes,
+        evicted: state.terminalEvicted,
+      },
+      log: {
+        lines: state.logs.length,
+        maxLines: CONFIG.logScrollback,
+        bytes: state.logBytes,
+        evicted: state.logsEvicted,
+      },
+    };
+  }
+
+  function getTimestamp() {
+    return new Date().toLocaleTimeString('en-US', { hour12: false });
+  }
+
+  /**
+   * Seconds to m:ss (or h:mm:ss past an hour)
+   */
+  function formatTime(seconds) {
+    if (!isFinite(seconds)) return '--:--';
+
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+
+    return hours > 0
+      ? hours + ':' + minutes.toString().padStart(2, '0') + ':' + secs
+      : minutes + ':' + secs;
+  }
+
+  /**
+   * UTC timestamp for download names, e.g. 20240101-120000
+   */
+  function fileStamp() {
+    return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+  }
+
+  /**
+   * Parse "ss", "mm:ss" or "hh:mm:ss" into seconds, NaN if invalid
+   */
+  function parseTime(text) {
+    const parts = String(text).split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
+  // ================================
+  // INPUT HANDLING
+  // ================================
+
+  function handleSubmit() {
+    const input = elements.commandInput.value.trim();
+    if (!input) return;
+
+    const timestamp = getTimestamp();
+
+    playSound('submit');
+    addLog('[' + timestamp + '] > ' + input);
+    setOutput(input.toUpperCase());
+    addLog('[' + timestamp + '] OUTPUT UPDATED');
+
+    if (commandEditor) commandEditor.push(input);
+    elements.commandInput.value = '';
+  }
+
+  function handleKeyDown(event) {
+    if (commandEditor && commandEditor.handleKeyDown(event)) return;
+
+    if (event.key === 'Enter') {
+      handleSubmit();
+    }
+  }
+
+  // ================================
+  // LINE EDITING
+  // ================================
+
+  function initLineEditors() {
+    if (typeof LineEditor === 'undefined') return;
+
+    commandEditor = LineEditor.create(elements.commandInput, {
+      storageKey: STORAGE_KEYS.commandHistory,
+      onClear: clearLogs,
+    });
+
+    terminalEditor = LineEditor.create(elements.terminalInput, {
+      storageKey: STORAGE_KEYS.terminalHistory,
+      promptEl: elements.terminalPrompt,
+      complete: completeTerminalLine,
+      onCandidates: function(candidates) {
+        addTerminalLine(candidates.join('  '), 'dim');
+      },
+      onClear: clearTerminal,
+      onCancel: function(line) {
+        addTerminalLine('> ' + line + '^C', 'dim');
+      },
+    });
+  }
+
+  /**
+   * Completion candidates for the word ending at the cursor
+   * First word completes command names, later words ask the command
+   */
+  function completeTerminalLine(line) {
+    const word = line.match(/\S*$/)[0];
+    const start = line.length - word.length;
+    const before = line.substring(0, start).trim();
+
+    if (!before) {
+      return {
+        start: start,
+        candidates: Object.keys(commands).concat(Object.keys(commandAliases)),
+      };
+    }
+
+    let tokens;
+    try {
+      tokens = tokenize(before);
+    } catch (err) {
+      return null;
+    }
+
+    const command = resolveCommand(tokens[0]);
+    if (!command || !command.complete) return null;
+
+    return { start: start, candidates: command.complete(tokens.slice(1)) || [] };
+  }
+
+  // ================================
+  // EVENT BINDING
+  // ================================
+
+  function bindEvents() {
+    // Audio interface
+    elements.submitBtn.addEventListener('click', handleSubmit);
+    elements.commandInput.addEventListener('keydown', handleKeyDown);
+    elements.micBtn.addEventListener('click', toggleMicrophone);
+    elements.genBtn.addEventListener('click', toggleGenerator);
+    elements.audioFileInput.addEventListener('change', handleFileSelect);
+    elements.playPauseBtn.addEventListener('click', togglePlayPause);
+    elements.prevBtn.addEventListener('click', previousTrack);
+    elements.nextBtn.addEventListener('click', nextTrack);
+    elements.recBtn.addEventListener('click', toggleRecording);
+    
+    // Drop files anywhere on the unit to queue them
+    elements.stereoUnit.addEventListener('dragover', handleDragOver);
+    elements.stereoUnit.addEventListener('dragleave', handleDragLeave);
+    elements.stereoUnit.addEventListener('drop', handleDrop);
+    
+    // Mode toggle
+    elements.audioModeBtn.addEventListener('click', () => switchMode('audio'));
+    elements.terminalModeBtn.addEventListener('click', () => switchMode('terminal'));
+    
+    // Terminal interface
+    elements.terminalSubmitBtn.addEventListener('click', handleTerminalSubmit);
+    elements.terminalInput.addEventListener('keydown', handleTerminalKeyDown);
+    
+    // Overview strip: click to seek
+    elements.overviewStrip.addEventListener('click', handleOverviewClick);
+    
+    // Artwork the browser cannot decode just stays hidden
+    elements.coverArt.addEventListener('error', () => { elements.coverArt.hidden = true; });
+    
+    // Transcripts
+    elements.exportBtn.addEventListener('click', () => exportTranscript('all', 'json'));
+    elements.importBtn.addEventListener('click', () => requestImport(1));
+    elements.transcriptFileInput.addEventListener('change', handleTranscriptSelect);
+  }
+
+  // ================================
+  // MODE SWITCHING
+  // ================================
+
+  function switchMode(mode) {
+    if (state.currentMode === mode) return;
+    
+    state.currentMode = mode;
+    
+    // Update button states
+    elements.audioModeBtn.classList.toggle('mode-btn--active', mode === 'audio');
+    elements.terminalModeBtn.classList.toggle('mode-btn--active', mode === 'terminal');
+    
+    // Update interface visibility
+    elements.audioInterface.classList.toggle('active', mode === 'audio');
+    elements.terminalInterface.classList.toggle('active', mode === 'terminal');
+    
+    // Update body background
+    document.body.classList.toggle('terminal-mode', mode === 'terminal');
+    
+    // Start/stop terminal uptime
+    if (mode === 'terminal') {
+      startUptimeCounter();
+      startScope();
+    } else {
+      stopUptimeCounter();
+      stopScope();
+    }
+  }
+
+  // ================================
+  // TERMINAL FUNCTIONS
+  // ================================
+
+  function initTerminal() {
+    state.terminalStartTime = Date.now();
+    registerBuiltInCommands();
+    registerAudioCommands();
+    renderTerminalOutput();
+  }
+
+  function startUptimeCounter() {
+    if (state.uptimeIntervalId) return;
+    
+    state.uptimeIntervalId = setInterval(updateUptime, 1000);
+    updateUptime();
+  }
+
+  function stopUptimeCounter() {
+    if (state.uptimeIntervalId) {
+      clearInterval(state.uptimeIntervalId);
+      state.uptimeIntervalId = null;
+    }
+  }
+
+  function updateUptime() {
+    const elapsed = Math.floor((Date.now() - state.terminalStartTime) / 1000);
     const hours = Math.floor(elapsed / 3600).toString().padStart(2, '0');
     const minutes = Math.floor((elapsed % 3600) / 60).toString().padStart(2, '0');
     const seconds = (elapsed % 60).toString().padStart(2, '0');
     
-    elements.uptimeValue.textContent = `${hours}:${minutes}:${seconds}`;
+    elements.uptimeValue.textContent = `${hours}:${minutes}:${seconds}`;
+  }
+
+  function addTerminalLine(text, type = '') {
+    state.terminalLines.push({ text, type, time: Date.now() });
+    state.terminalBytes += byteLength(text);
+    
+    const line = document.createElement('div');
+    line.className = 'terminal-line' + (type ? ' terminal-line--' + type : '');
+    line.textContent = text;
+    elements.terminalOutput.appendChild(line);
+    
+    trimTerminal();
+    
+    // Auto-scroll
+    elements.terminalOutput.scrollTop = elements.terminalOutput.scrollHeight;
+    
+    updateBufferStatus();
+  }
+
+  function renderTerminalOutput() {
+    elements.terminalOutput.innerHTML = '';
+    const now = Date.now();
+    state.terminalLines = state.terminalLines.map(item => {
+      return typeof item === 'string' ? { text: item, type: '', time: now } : item;
+    });
+    state.terminalBytes = 0;
+
+    state.terminalLines.forEach(item => {
+      const line = document.createElement('div');
+      line.className = 'terminal-line' + (item.type ? ' terminal-line--' + item.type : '');
+      line.textContent = item.text;
+      elements.terminalOutput.appendChild(line);
+      state.terminalBytes += byteLength(item.text);
+    });
+
+    trimTerminal();
+    updateBufferStatus();
+  }
+
+  /**
+   * Evict the oldest terminal lines beyond the scrollback limit
+   */
+  function trimTerminal() {
+    while (state.terminalLines.length > CONFIG.terminalScrollback) {
+      state.terminalBytes -= byteLength(state.terminalLines.shift().text);
+      state.terminalEvicted++;
+      elements.terminalOutput.removeChild(elements.terminalOutput.firstChild);
+    }
+  }
+
+  function handleTerminalSubmit() {
+    const input = elements.terminalInput.value.trim();
+    if (!input) return;
+    
+    // Echo the command
+    playSound('submit');
+    addTerminalLine('> ' + input);
+    if (terminalEditor) terminalEditor.push(input);
+    
+    // Process command
+    processTerminalCommand(input);
+    
+    // Clear input
+    elements.terminalInput.value = '';
+  }
+
+  function handleTerminalKeyDown(event) {
+    if (terminalEditor && terminalEditor.handleKeyDown(event)) return;
+
+    if (event.key === 'Enter') {
+      handleTerminalSubmit();
+    }
+  }
+
+  // ================================
+  // TERMINAL COMMANDS
+  // ================================
+
+  // Registered commands keyed by name, aliases map back to the name
+  const commands = {};
+  const commandAliases = {};
+
+  /**
+   * Register a terminal command
+   *
+   * definition: {
+   *   usage:       'echo <msg>' - shown by help
+   *   description: one-line summary
+   *   details:     optional extra lines for "help <cmd>"
+   *   aliases:     alternative names
+   *   complete(args): optional, returns candidates for the next argument
+   *   raw:         skip quote and flag parsing; args are split on spaces
+   *                and ctx.text is the line after the command name as typed
+   *   run(ctx):    ctx = { name, args, flags, input }, plus text for raw
+   *                commands; may return a Promise
+   * }
+   */
+  function registerCommand(name, definition) {
+    const key = String(name).toLowerCase();
+
+    if (!definition || typeof definition.run !== 'function') {
+      throw new Error('Command "' + key + '" needs a run() function');
+    }
+
+    if (commands[key]) {
+      unregisterCommand(key);
+    }
+
+    commands[key] = {
+      name: key,
+      usage: definition.usage || key,
+      description: definition.description || '',
+      details: definition.details || [],
+      aliases: (definition.aliases || []).map(alias => String(alias).toLowerCase()),
+      complete: definition.complete || null,
+      raw: !!definition.raw,
+      run: definition.run,
+    };
+
+    commands[key].aliases.forEach(alias => {
+      commandAliases[alias] = key;
+    });
+
+    return commands[key];
+  }
+
+  function unregisterCommand(name) {
+    const command = resolveCommand(name);
+    if (!command) return false;
+
+    command.aliases.forEach(alias => {
+      if (commandAliases[alias] === command.name) delete commandAliases[alias];
+    });
+    delete commands[command.name];
+    return true;
+  }
+
+  function resolveCommand(name) {
+    const key = String(name).toLowerCase();
+    return commands[key] || commands[commandAliases[key]] || null;
+  }
+
+  /**
+   * Split a command line into tokens
+   * Supports "double" and 'single' quotes and backslash escapes
+   */
+  function tokenize(input) {
+    const tokens = [];
+    let current = '';
+    let inToken = false;
+    let quote = null;
+
+    for (let i = 0; i < input.length; i++) {
+      const ch = input[i];
+
+      if (ch === '\\' && quote !== "'" && i + 1 < input.length) {
+        current += input[++i];
+        inToken = true;
+      } else if (quote) {
+        if (ch === quote) {
+          quote = null;
+        } else {
+          current += ch;
+        }
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        inToken = true;
+      } else if (/\s/.test(ch)) {
+        if (inToken) {
+          tokens.push(current);
+          current = '';
+          inToken = false;
+        }
+      } else {
+        current += ch;
+        inToken = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error('UNTERMINATED QUOTE');
+    }
+
+    if (inToken) {
+      tokens.push(current);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Separate positional arguments from flags
+   * --flag, --key=value, -abc (short flags), "--" ends flag parsing
+   */
+  function parseArgs(tokens) {
+    const args = [];
+    const flags = {};
+    let flagsDone = false;
+
+    tokens.forEach(token => {
+      if (flagsDone || token === '-' || !token.startsWith('-') || /^-\d/.test(token)) {
+        args.push(token);
+      } else if (token === '--') {
+        flagsDone = true;
+      } else if (token.startsWith('--')) {
+        const eq = token.indexOf('=');
+        if (eq === -1) {
+          flags[token.substring(2).toLowerCase()] = true;
+        } else {
+          flags[token.substring(2, eq).toLowerCase()] = token.substring(eq + 1);
+        }
+      } else {
+        token.substring(1).split('').forEach(flag => {
+          flags[flag] = true;
+        });
+      }
+    });
+
+    return { args, flags };
+  }
+
+  function processTerminalCommand(cmd) {
+    // Raw commands get the rest of the line untouched
+    const line = cmd.trim();
+    const head = line.match(/^(\S+)(?:\s([\s\S]*))?$/);
+    const rawCommand = head && resolveCommand(head[1]);
+    if (rawCommand && rawCommand.raw) {
+      const text = head[2] || '';
+      executeCommand(rawCommand, {
+        name: rawCommand.name,
+        args: text.split(/\s+/).filter(Boolean),
+        flags: {},
+        input: cmd,
+        text: text,
+      });
+      return;
+    }
+
+    let tokens;
+
+    try {
+      tokens = tokenize(line);
+    } catch (err) {
+      addTerminalLine('PARSE ERROR: ' + err.message, 'error');
+      playSound('error');
+      return;
+    }
+
+    if (tokens.length === 0) return;
+
+    const command = resolveCommand(tokens[0]);
+
+    if (!command) {
+      addTerminalLine('UNKNOWN COMMAND: ' + tokens[0].toUpperCase(), 'error');
+      addTerminalLine('Type "help" for available commands', 'dim');
+      playSound('error');
+      return;
+    }
+
+    const parsed = parseArgs(tokens.slice(1));
+    executeCommand(command, {
+      name: command.name,
+      args: parsed.args,
+      flags: parsed.flags,
+      input: cmd,
+    });
+  }
+
+  function executeCommand(command, ctx) {
+    const reportError = err => {
+      console.error('Command error:', err);
+      addTerminalLine(command.name.toUpperCase() + ' FAILED: ' + err.message, 'error');
+      playSound('error');
+    };
+
+    try {
+      const result = command.run(ctx);
+      if (result && typeof result.then === 'function') {
+        result.catch(reportError);
+      }
+    } catch (err) {
+      reportError(err);
+    }
+  }
+
+  function printCommandList() {
+    const names = Object.keys(commands).sort();
+    const width = names.reduce((max, name) => Math.max(max, commands[name].usage.length), 0);
+
+    addTerminalLine('AVAILABLE COMMANDS:', 'dim');
+    names.forEach(name => {
+      const command = commands[name];
+      addTerminalLine('  ' + command.usage.padEnd(width) + ' - ' + command.description);
+    });
+    addTerminalLine('Type "help <command>" for details', 'dim');
+  }
+
+  function printCommandHelp(name) {
+    const command = resolveCommand(name);
+
+    if (!command) {
+      addTerminalLine('NO HELP FOR: ' + name.toUpperCase(), 'error');
+      return;
+    }
+
+    addTerminalLine('USAGE: ' + command.usage, 'dim');
+    if (command.description) {
+      addTerminalLine('  ' + command.description);
+    }
+    command.details.forEach(line => addTerminalLine('  ' + line));
+    if (command.aliases.length) {
+      addTerminalLine('  ALIASES: ' + command.aliases.join(', '), 'dim');
+    }
+  }
+
+  function clearTerminal() {
+    state.terminalLines = [];
+    state.terminalBytes = 0;
+    elements.terminalOutput.innerHTML = '';
+    addTerminalLine('> TERMINAL CLEARED', 'success');
+    playSound('terminalCleared');
+  }
+
+  function registerBuiltInCommands() {
+    registerCommand('help', {
+      usage: 'help [command]',
+      description: 'Show commands or help for one command',
+      aliases: ['?'],
+      complete: function(args) {
+        return args.length ? [] : Object.keys(commands);
+      },
+      run: function(ctx) {
+        if (ctx.args.length) {
+          printCommandHelp(ctx.args[0]);
+        } else {
+          printCommandList();
+        }
+      },
+    });
+
+    registerCommand('clear', {
+      description: 'Clear terminal',
+      aliases: ['cls'],
+      run: clearTerminal,
+    });
+
+    registerCommand('status', {
+      description: 'Show system status',
+      run: function() {
+        addTerminalLine('SYSTEM STATUS:', 'dim');
+        addTerminalLine('  MODE: TERMINAL');
+        addTerminalLine('  FEED: ' + elements.feedStatus.textContent);
+        addTerminalLine('  BUFFER: ' + elements.bufferStatus.textContent);
+        addTerminalLine('  UPTIME: ' + elements.uptimeValue.textContent);
+        if (beat && state.beatEnabled) {
+          addTerminalLine('  TEMPO: ' + describeTempo(beat.getTempo()));
+        }
+      },
+    });
+
+    registerCommand('buffer', {
+      usage: 'buffer [limit <terminal|log> <lines>]',
+      description: 'Show buffer usage or set scrollback limits',
+      complete: function(args) {
+        if (args.length === 0) return ['limit'];
+        if (args.length === 1) return ['terminal', 'log'];
+        return [];
+      },
+      run: function(ctx) {
+        if (ctx.args.length) {
+          const target = (ctx.args[1] || '').toLowerCase();
+          const lines = Number(ctx.args[2]);
+
+          if (ctx.args[0].toLowerCase() !== 'limit' || !isFinite(lines)) {
+            addTerminalLine('USAGE: buffer limit <terminal|log> <lines>', 'error');
+            return;
+          }
+
+          const limit = setScrollback(target, lines);
+          addTerminalLine(target.toUpperCase() + ' SCROLLBACK: ' + limit + ' LINES', 'success');
+          return;
+        }
+
+        const stats = getBufferStats();
+        addTerminalLine('BUFFER USAGE:', 'dim');
+        [['TERMINAL', stats.terminal], ['SYSTEM LOG', stats.log]].forEach(([label, buffer]) => {
+          addTerminalLine('  ' + label + ': ' + buffer.lines + '/' + buffer.maxLines + ' LINES, ' +
+            formatBytes(buffer.bytes) + ', ' + buffer.evicted + ' EVICTED');
+        });
+      },
+    });
+
+    registerCommand('time', {
+      description: 'Show current time',
+      run: function() {
+        const time = new Date().toLocaleTimeString('en-US', { hour12: false });
+        addTerminalLine('CURRENT TIME: ' + time, 'success');
+      },
+    });
+
+    registerCommand('date', {
+      description: 'Show current date',
+      run: function() {
+        const date = new Date().toLocaleDateString('en-US', {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        });
+        addTerminalLine('CURRENT DATE: ' + date.toUpperCase(), 'success');
+      },
+    });
+
+    registerCommand('echo', {
+      usage: 'echo <msg>',
+      description: 'Echo a message',
+      raw: true,
+      run: function(ctx) {
+        addTerminalLine(ctx.text.toUpperCase(), 'success');
+      },
+    });
+  }
+
+  // ================================
+  // SCOPE CONTROLS
+  // ================================
+
+  const SCOPE_KNOBS = {
+    intensity: { value: 70, label: 'Intensity', storageKey: STORAGE_KEYS.intensityKnob },
+    focus: { value: 60, label: 'Focus', storageKey: STORAGE_KEYS.focusKnob },
+  };
+
+  // Focus position where the trace is sharpest, blur grows either side
+  const FOCUS_SWEET_SPOT = 60;
+
+  function initScopeKnobs() {
+    if (typeof Knob === 'undefined') return;
+
+    scopeKnobs.intensity = Knob.create(elements.intensityKnob,
+      Object.assign({ onChange: applyIntensity }, SCOPE_KNOBS.intensity));
+    scopeKnobs.focus = Knob.create(elements.focusKnob,
+      Object.assign({ onChange: applyFocus }, SCOPE_KNOBS.focus));
+
+    // Apply restored positions
+    scopeKnobs.intensity.sync();
+    scopeKnobs.focus.sync();
+
+    registerKnobCommand('intensity', 'Phosphor brightness');
+    registerKnobCommand('focus', 'Beam focus (sharpest at ' + FOCUS_SWEET_SPOT + ')');
+  }
+
+  /**
+   * Brightness scales with intensity, extra glow blooms above the default
+   */
+  function applyIntensity(value) {
+    const ratio = value / 100;
+    const bloom = Math.max(0, ratio - SCOPE_KNOBS.intensity.value / 100) /
+      (1 - SCOPE_KNOBS.intensity.value / 100);
+
+    elements.crtPhosphor.style.setProperty('--phosphor-brightness', (0.1 + ratio * 1.3).toFixed(3));
+    elements.crtPhosphor.style.setProperty('--phosphor-glow', (bloom * 8).toFixed(2) + 'px');
+  }
+
+  function applyFocus(value) {
+    const blur = 0.2 + Math.abs(value - FOCUS_SWEET_SPOT) / 100 * 4;
+    elements.crtPhosphor.style.setProperty('--phosphor-blur', blur.toFixed(2) + 'px');
+  }
+
+  function registerKnobCommand(name, description) {
+    registerCommand(name, {
+      usage: name + ' [0-100]',
+      description: description,
+      run: function(ctx) {
+        const knob = scopeKnobs[name];
+
+        if (ctx.args.length) {
+          const value = Number(ctx.args[0]);
+          if (!isFinite(value) || value < 0 || value > 100) {
+            addTerminalLine('USAGE: ' + name + ' <0-100>', 'error');
+            return;
+          }
+          knob.setValue(value);
+        }
+
+        addTerminalLine(name.toUpperCase() + ': ' + knob.getValue(), 'success');
+      },
+    });
+  }
+
+  // ================================
+  // OSCILLOSCOPE TRACE
+  // ================================
+
+  function initScope() {
+    if (typeof Scope === 'undefined') return;
+
+    scope = Scope.create(elements.crtTrace);
+    registerScopeCommands();
+  }
+
+  function startScope() {
+    if (!scope || !state.scopeEnabled || state.scopeAnimationId) return;
+    state.scopeAnimationId = requestAnimationFrame(updateScope);
+  }
+
+  function stopScope() {
+    if (state.scopeAnimationId) {
+      cancelAnimationFrame(state.scopeAnimationId);
+      state.scopeAnimationId = null;
+    }
+  }
+
+  function updateScope() {
+    state.scopeAnimationId = requestAnimationFrame(updateScope);
+
+    if (state.audioMode === 'demo' || !state.scopeAnalyser) {
+      scope.drawIdle();
+      return;
+    }
+
+    if (scope.getSettings().mode === 'xy') {
+      const [left, right] = state.channelAnalysers;
+      if (!state.scopeChannelData || state.scopeChannelData[0].length !== left.fftSize) {
+        state.scopeChannelData = [new Uint8Array(left.fftSize), new Uint8Array(right.fftSize)];
+      }
+      left.getByteTimeDomainData(state.scopeChannelData[0]);
+      right.getByteTimeDomainData(state.scopeChannelData[1]);
+      scope.drawXY(state.scopeChannelData[0], state.scopeChannelData[1]);
+      return;
+    }
+
+    // Grow or shrink the capture window with the timebase
+    const sampleRate = state.audioContext.sampleRate;
+    const size = scope.requiredBufferSize(sampleRate);
+    if (state.scopeAnalyser.fftSize !== size) {
+      state.scopeAnalyser.fftSize = size;
+    }
+    if (!state.scopeData || state.scopeData.length !== size) {
+      state.scopeData = new Uint8Array(size);
+    }
+
+    state.scopeAnalyser.getByteTimeDomainData(state.scopeData);
+    scope.drawYT(state.scopeData, sampleRate);
+  }
+
+  function setScopeEnabled(enabled) {
+    state.scopeEnabled = enabled;
+    if (enabled && state.currentMode === 'terminal') {
+      startScope();
+    } else if (!enabled) {
+      stopScope();
+      scope.clear();
+    }
+  }
+
+  function printScopeSettings() {
+    const settings = scope.getSettings();
+
+    addTerminalLine('SCOPE:', 'dim');
+    addTerminalLine('  TRACE: ' + (state.scopeEnabled ? 'ON' : 'OFF'));
+    addTerminalLine('  MODE: ' + settings.mode.toUpperCase());
+    const drawn = state.audioContext ? scope.getTimebase(state.audioContext.sampleRate) : settings.timebase;
+    addTerminalLine('  TIMEBASE: ' + settings.timebase + ' MS/DIV' +
+      (drawn < settings.timebase ? ' (LIMITED TO ' + drawn.toFixed(1) + ')' : ''));
+    addTerminalLine('  VOLTS/DIV: ' + settings.voltsPerDiv + ' V');
+    addTerminalLine('  TRIGGER: ' + settings.triggerLevel + ' V ' + settings.triggerSlope.toUpperCase() +
+      (state.scopeEnabled && settings.mode === 'yt' ? (scope.isTriggered() ? ' (TRIG)' : ' (AUTO)') : ''));
+    addTerminalLine('  PERSISTENCE: ' + Math.round(settings.persistence * 100) + '%');
+  }
+
+  /**
+   * Parse a numeric argument and apply it to a scope setting
+   */
+  function setScopeNumber(name, text, label, unit) {
+    const value = Number(text);
+    if (text === undefined || !isFinite(value)) {
+      throw new Error(label + ' MUST BE A NUMBER');
+    }
+    const applied = scope.set(name, value);
+    addTerminalLine(label + ': ' + applied + unit, 'success');
+  }
+
+  function registerScopeCommands() {
+    registerCommand('scope', {
+      usage: 'scope [on|off|yt|xy|persistence <0-98>]',
+      description: 'Control the CRT trace',
+      details: [
+        'yt           amplitude over time',
+        'xy           left on X, right on Y (Lissajous)',
+        'persistence  phosphor afterglow in percent',
+      ],
+      complete: function(args) {
+        return args.length ? [] : ['on', 'off', 'yt', 'xy', 'persistence'];
+      },
+      run: function(ctx) {
+        const action = (ctx.args[0] || '').toLowerCase();
+
+        switch (action) {
+          case '':
+            printScopeSettings();
+            break;
+          case 'on':
+          case 'off':
+            setScopeEnabled(action === 'on');
+            addTerminalLine('TRACE ' + action.toUpperCase(), 'success');
+            break;
+          case 'yt':
+          case 'xy':
+            scope.set('mode', action);
+            setScopeEnabled(true);
+            addTerminalLine('SCOPE MODE: ' + action.toUpperCase(), 'success');
+            break;
+          case 'persistence': {
+            const value = Number(ctx.args[1]);
+            if (!isFinite(value)) throw new Error('PERSISTENCE MUST BE A NUMBER');
+            const applied = scope.set('persistence', value / 100);
+            addTerminalLine('PERSISTENCE: ' + Math.round(applied * 100) + '%', 'success');
+            break;
+          }
+          default:
+            addTerminalLine('UNKNOWN SCOPE ACTION: ' + action.toUpperCase(), 'error');
+            addTerminalLine('Type "help scope" for usage', 'dim');
+        }
+      },
+    });
+
+    registerCommand('trigger', {
+      usage: 'trigger <volts> [rising|falling]',
+      description: 'Set trigger level (-1 to 1 V) and slope',
+      complete: function(args) {
+        return args.length === 1 ? ['rising', 'falling'] : [];
+      },
+      run: function(ctx) {
+        if (ctx.args[1]) {
+          scope.set('triggerSlope', ctx.args[1].toLowerCase());
+        }
+        setScopeNumber('triggerLevel', ctx.args[0], 'TRIGGER', ' V ' +
+          scope.getSettings().triggerSlope.toUpperCase());
+      },
+    });
+
+    registerCommand('timebase', {
+      usage: 'timebase <ms/div>',
+      description: 'Set horizontal scale in milliseconds per division',
+      aliases: ['tb'],
+      run: function(ctx) {
+        setScopeNumber('timebase', ctx.args[0], 'TIMEBASE', ' MS/DIV');
+        const drawn = state.audioContext ? scope.getTimebase(state.audioContext.sampleRate) : Infinity;
+        if (drawn < scope.getSettings().timebase) {
+          addTerminalLine('DRAWN AT ' + drawn.toFixed(1) + ' MS/DIV: THE CAPTURE BUFFER IS FULL', 'dim');
+        }
+      },
+    });
+
+    registerCommand('vdiv', {
+      usage: 'vdiv <volts/div>',
+      description: 'Set vertical scale in volts per division',
+      aliases: ['volts'],
+      run: function(ctx) {
+        setScopeNumber('voltsPerDiv', ctx.args[0], 'VOLTS/DIV', ' V');
+      },
+    });
+  }
+
+  // ================================
+  // DATA FEED
+  // ================================
+
+  // Status readout classes per feed status
+  const FEED_STATUS_CLASSES = {
+    CONNECTING: 'status-value--pending',
+    RECONNECTING: 'status-value--pending',
+    LIVE: 'status-value--live',
+    ERROR: 'status-value--error',
+  };
+
+  function initFeed() {
+    if (typeof Feed === 'undefined') return;
+
+    Feed.on('message', function(message) {
+      addTerminalLine(message.text, message.type);
+      playSound('receive');
+    });
+
+    Feed.on('status', function(status, detail) {
+      updateFeedStatus(status);
+
+      const text = '> FEED ' + status + (detail ? ': ' + detail : '');
+      if (status === Feed.STATUS.LIVE) {
+        addTerminalLine(text, 'success');
+        playSound('notify');
+      } else if (status === Feed.STATUS.ERROR) {
+        addTerminalLine(text, 'error');
+        playSound('error');
+      } else {
+        addTerminalLine(text, 'dim');
+      }
+    });
+
+    registerFeedCommands();
+  }
+
+  function updateFeedStatus(status) {
+    const el = elements.feedStatus;
+    el.textContent = status;
+    Object.keys(FEED_STATUS_CLASSES).forEach(key => {
+      el.classList.remove(FEED_STATUS_CLASSES[key]);
+    });
+    if (FEED_STATUS_CLASSES[status]) {
+      el.classList.add(FEED_STATUS_CLASSES[status]);
+    }
+  }
+
+  function registerFeedCommands() {
+    registerCommand('feed', {
+      usage: 'feed <connect <url>|disconnect|status>',
+      description: 'Manage the data feed subscription',
+      details: [
+        'connect <url>  ws:// or wss:// for WebSocket, http(s):// for SSE',
+        'disconnect     close the feed and stop reconnecting',
+        'status         show connection details',
+      ],
+      complete: function(args) {
+        return args.length ? [] : ['connect', 'disconnect', 'status'];
+      },
+      run: function(ctx) {
+        const action = (ctx.args[0] || 'status').toLowerCase();
+
+        switch (action) {
+          case 'connect':
+            if (!ctx.args[1]) {
+              addTerminalLine('USAGE: feed connect <url>', 'error');
+              return;
+            }
+            Feed.connect(ctx.args[1]);
+            break;
+
+          case 'disconnect':
+            if (Feed.getStatus() === Feed.STATUS.IDLE) {
+              addTerminalLine('FEED NOT CONNECTED', 'dim');
+              return;
+            }
+            Feed.disconnect();
+            break;
+
+          case 'status':
+            printFeedStatus();
+            break;
+
+          default:
+            addTerminalLine('UNKNOWN FEED ACTION: ' + action.toUpperCase(), 'error');
+            addTerminalLine('Type "help feed" for usage', 'dim');
+        }
+      },
+    });
+  }
+
+  function printFeedStatus() {
+    const info = Feed.getInfo();
+
+    addTerminalLine('FEED STATUS:', 'dim');
+    addTerminalLine('  STATE: ' + info.status);
+    addTerminalLine('  URL: ' + (info.url || 'NONE'));
+    if (!info.url) return;
+
+    addTerminalLine('  TRANSPORT: ' + (info.transport === 'websocket' ? 'WEBSOCKET' : 'SSE'));
+    addTerminalLine('  MESSAGES: ' + info.messages);
+    addTerminalLine('  RECONNECTS: ' + info.reconnects);
+    if (info.lastMessageAt) {
+      addTerminalLine('  LAST MESSAGE: ' + new Date(info.lastMessageAt).toLocaleTimeString('en-US', { hour12: false }));
+    }
+    if (info.nextRetryIn !== null) {
+      addTerminalLine('  NEXT RETRY: ' + (info.nextRetryIn / 1000).toFixed(1) + 'S (ATTEMPT ' + info.attempts + ')');
+    }
+    if (info.lastError) {
+      addTerminalLine('  LAST ERROR: ' + info.lastError, 'error');
+    }
   }
 
-  function addTerminalLine(text, type = '') {
-    state.terminalLines.push({ text, type });
-    
-    const line = document.createElement('div');
-    line.className = 'terminal-line' + (type ? ' terminal-line--' + type : '');
-    line.textContent = text;
-    elements.terminalOutput.appendChild(line);
-    
-    // Auto-scroll
-    elements.terminalOutput.scrollTop = elements.terminalOutput.scrollHeight;
-    
-    // Update buffer status
-    const bufferSize = state.terminalLines.length * 0.1;
-    elements.bufferStatus.textContent = bufferSize.toFixed(1) + ' KB';
+  // ================================
+  // TRANSCRIPTS
+  // ================================
+
+  const EXPORT_SCOPES = ['all', 'log', 'terminal'];
+
+  /**
+   * Download the SYSTEM LOG and/or terminal transcript
+   */
+  function exportTranscript(target, format) {
+    if (typeof Transcript === 'undefined') return;
+
+    const data = {
+      log: target === 'terminal' ? [] : state.logs,
+      terminal: target === 'log' ? [] : state.terminalLines,
+    };
+
+    Transcript.download('stereo-' + target + '-' + fileStamp(), Transcript.serialize(data, format), format);
+
+    const count = data.log.length + data.terminal.length;
+    addLog('EXPORTED ' + count + ' LINES (' + format.toUpperCase() + ')');
+    return count;
   }
 
-  function renderTerminalOutput() {
-    elements.terminalOutput.innerHTML = '';
-    state.terminalLines.forEach(item => {
-      const line = document.createElement('div');
-      if (typeof item === 'string') {
-        line.className = 'terminal-line';
-        line.textContent = item;
-      } else {
-        line.className = 'terminal-line' + (item.type ? ' terminal-line--' + item.type : '');
-        line.textContent = item.text;
-      }
-      elements.terminalOutput.appendChild(line);
+  /**
+   * Open the file picker; replay starts once a file is chosen
+   */
+  function requestImport(speed) {
+    state.pendingImportSpeed = speed;
+    elements.transcriptFileInput.click();
+  }
+
+  function handleTranscriptSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Clear the input so the same file can be re-selected
+    event.target.value = '';
+
+    file.text().then(content => {
+      const entries = Transcript.parse(content);
+      const terminal = entries.filter(entry => entry.source === 'terminal');
+      replayTranscript(terminal.length ? terminal : entries, state.pendingImportSpeed, file.name);
+    }).catch(err => {
+      addTerminalLine('IMPORT FAILED: ' + err.message, 'error');
+      playSound('error');
     });
   }
 
-  function handleTerminalSubmit() {
-    const input = elements.terminalInput.value.trim();
-    if (!input) return;
-    
-    // Echo the command
-    addTerminalLine('> ' + input);
-    
-    // Process command
-    processTerminalCommand(input);
-    
-    // Clear input
-    elements.terminalInput.value = '';
+  function replayTranscript(entries, speed, name) {
+    stopReplay();
+
+    if (state.currentMode !== 'terminal') {
+      switchMode('terminal');
+    }
+
+    addTerminalLine('> REPLAY ' + name.toUpperCase() + ' (' + entries.length + ' LINES @ ' + speed + 'X)', 'dim');
+
+    state.replay = Transcript.replay(entries, {
+      speed: speed,
+      onLine: function(entry) {
+        addTerminalLine(entry.text, entry.type);
+      },
+      onDone: function(count) {
+        state.replay = null;
+        addTerminalLine('> REPLAY COMPLETE: ' + count + ' LINES', 'success');
+        playSound('commandAccepted');
+      },
+    });
   }
 
-  function handleTerminalKeyDown(event) {
-    if (event.key === 'Enter') {
-      handleTerminalSubmit();
+  function stopReplay() {
+    if (!state.replay) return false;
+
+    const progress = state.replay.getProgress();
+    state.replay.stop();
+    state.replay = null;
+    addTerminalLine('> REPLAY STOPPED AT ' + progress.played + '/' + progress.total, 'dim');
+    return true;
+  }
+
+  function registerTranscriptCommands() {
+    if (typeof Transcript === 'undefined') return;
+
+    registerCommand('export', {
+      usage: 'export [all|log|terminal] [text|json|ndjson]',
+      description: 'Download the system log and/or terminal transcript',
+      complete: function(args) {
+        return args.length === 0 ? EXPORT_SCOPES.concat(Transcript.FORMATS)
+          : args.length === 1 ? Transcript.FORMATS : [];
+      },
+      run: function(ctx) {
+        let target = 'all';
+        let format = ctx.flags.format || 'text';
+
+        ctx.args.forEach(arg => {
+          const value = arg.toLowerCase();
+          if (EXPORT_SCOPES.indexOf(value) !== -1) {
+            target = value;
+          } else if (Transcript.FORMATS.indexOf(value) !== -1) {
+            format = value;
+          } else {
+            throw new Error('UNKNOWN OPTION: ' + arg.toUpperCase());
+          }
+        });
+
+        if (Transcript.FORMATS.indexOf(format) === -1) {
+          throw new Error('UNKNOWN FORMAT: ' + String(format).toUpperCase());
+        }
+
+        const count = exportTranscript(target, format);
+        addTerminalLine('EXPORTED ' + count + ' LINES AS ' + format.toUpperCase(), 'success');
+      },
+    });
+
+    registerCommand('import', {
+      usage: 'import [speed|stop]',
+      description: 'Replay a saved transcript (speed 1 = original timing)',
+      aliases: ['replay'],
+      details: [
+        'PAUSES LONGER THAN ' + Transcript.MAX_GAP / 1000 + ' S ARE SHORTENED TO ' + Transcript.MAX_GAP / 1000 + ' S',
+      ],
+      complete: function(args) {
+        return args.length ? [] : ['stop'];
+      },
+      run: function(ctx) {
+        const arg = (ctx.args[0] || '1').toLowerCase();
+
+        if (arg === 'stop') {
+          if (!stopReplay()) addTerminalLine('NO REPLAY RUNNING', 'dim');
+          return;
+        }
+
+        const speed = Number(arg);
+        if (!isFinite(speed) || speed <= 0) {
+          addTerminalLine('USAGE: import [speed|stop]', 'error');
+          return;
+        }
+
+        requestImport(speed);
+        addTerminalLine('SELECT A TRANSCRIPT FILE...', 'dim');
+      },
+    });
+  }
+
+  // ================================
+  // AUDIO COMMANDS
+  // ================================
+
+  function requireFile() {
+    if (!state.audioElement) {
+      throw new Error('NO FILE LOADED');
     }
   }
 
-  function processTerminalCommand(cmd) {
-    const command = cmd.toLowerCase().trim();
-    
-    switch (command) {
-      case 'help':
-        addTerminalLine('AVAILABLE COMMANDS:', 'dim');
-        addTerminalLine('  help     - Show this message');
-        addTerminalLine('  clear    - Clear terminal');
-        addTerminalLine('  status   - Show system status');
-        addTerminalLine('  time     - Show current time');
-        addTerminalLine('  date     - Show current date');
-        addTerminalLine('  echo <msg> - Echo a message');
-        break;
-        
-      case 'clear':
-        state.terminalLines = [];
-        elements.terminalOutput.innerHTML = '';
-        addTerminalLine('> TERMINAL CLEARED', 'success');
-        break;
-        
-      case 'status':
-        addTerminalLine('SYSTEM STATUS:', 'dim');
-        addTerminalLine('  MODE: TERMINAL');
-        addTerminalLine('  FEED: ' + elements.feedStatus.textContent);
-        addTerminalLine('  BUFFER: ' + elements.bufferStatus.textContent);
-        addTerminalLine('  UPTIME: ' + elements.uptimeValue.textContent);
-        break;
-        
-      case 'time':
-        const time = new Date().toLocaleTimeString('en-US', { hour12: false });
-        addTerminalLine('CURRENT TIME: ' + time, 'success');
-        break;
-        
-      case 'date':
-        const date = new Date().toLocaleDateString('en-US', { 
-          weekday: 'long', 
-          year: 'numeric', 
-          month: 'long', 
-          day: 'numeric' 
+  const REC_USAGE = 'rec [start|stop|cancel|takes|download [n]|format <wav|webm>|preroll <s>|tap <source|post>]';
+  const MIC_USAGE = 'mic [on|off|devices|use <n|id|default>|set <echo|noise|agc> <on|off>|channels <1|2>]';
+  const GEN_USAGE = 'gen [on|off|<signal> [hz]|freq <hz>|level <db>|sweep <from> <to> [s] [log|linear]|' +
+    'tones <hz,...>|monitor <on|off>]';
+
+  /**
+   * Device for `mic use`: 'default', a list number, or a (prefix of a) device id
+   */
+  function resolveMicDevice(token) {
+    if (token.toLowerCase() === 'default') return null;
+
+    const number = Number(token);
+    if (Number.isInteger(number) && number >= 1 && number <= state.micDevices.length) {
+      return state.micDevices[number - 1].deviceId;
+    }
+
+    const matches = state.micDevices.filter(device => device.deviceId.indexOf(token) === 0);
+    if (matches.length === 1) return matches[0].deviceId;
+    throw new Error(matches.length ? 'AMBIGUOUS DEVICE ID' : 'UNKNOWN DEVICE: ' + token.toUpperCase());
+  }
+
+  async function printMicDevices() {
+    const devices = await refreshMicDevices();
+    const chosen = state.micSettings.deviceId;
+
+    addTerminalLine('AUDIO INPUTS:', 'success');
+    addTerminalLine((chosen ? '    ' : '  * ') + 'DEFAULT');
+    devices.forEach((device, index) => {
+      const marker = device.deviceId === chosen ? '  * ' : '    ';
+      addTerminalLine(marker + (index + 1) + '. ' + getMicDeviceLabel(device, index) +
+        '  ' + device.deviceId.slice(0, 8));
+    });
+    if (!devices.length || devices.every(device => !device.label)) {
+      addTerminalLine('  NAMES APPEAR AFTER MIC ACCESS IS ALLOWED', 'dim');
+    }
+  }
+
+  function printMicStatus() {
+    const settings = state.micSettings;
+    const onOff = enabled => (enabled ? 'ON' : 'OFF');
+
+    addTerminalLine('MIC: ' + (state.audioMode === 'mic' ? 'ON' : 'OFF'), 'success');
+    addTerminalLine('  INPUT: ' + describeMicDevice(settings.deviceId) +
+      (state.micFallback ? ' (NOT FOUND, USING DEFAULT)' : ''));
+    addTerminalLine('  CHANNELS: ' + settings.channelCount);
+    Object.keys(MIC_PROCESSING).forEach(name => {
+      addTerminalLine('  ' + name.toUpperCase() + ': ' + onOff(settings[MIC_PROCESSING[name]]));
+    });
+
+    const track = state.micStream && state.micStream.getAudioTracks()[0];
+    if (!track) return;
+    const actual = track.getSettings();
+    addTerminalLine('  DEVICE: ' + (track.label || 'DEFAULT').toUpperCase());
+    if (actual.channelCount) addTerminalLine('  ACTUAL CHANNELS: ' + actual.channelCount);
+    if (actual.sampleRate) addTerminalLine('  SAMPLE RATE: ' + actual.sampleRate + ' HZ');
+  }
+
+  function printGeneratorStatus() {
+    const settings = generator.getSettings();
+    const sweep = settings.sweep;
+
+    addTerminalLine('GENERATOR: ' + (settings.running ? 'ON' : 'OFF'), 'success');
+    addTerminalLine('  SIGNAL: ' + settings.signal.toUpperCase());
+    addTerminalLine('  FREQUENCY: ' + Generator.formatHz(settings.frequency));
+    addTerminalLine('  LEVEL: ' + settings.level + ' DBFS');
+    addTerminalLine('  SWEEP: ' + Generator.formatHz(sweep.from) + ' TO ' + Generator.formatHz(sweep.to) +
+      ' IN ' + sweep.time + ' S (' + sweep.mode.toUpperCase() + ')');
+    addTerminalLine('  TONES: ' + settings.tones.join(', ') + ' HZ');
+    addTerminalLine('  MONITOR: ' + (state.generatorMonitor ? 'ON' : 'OFF'));
+
+    const now = generator.getSweepFrequency();
+    if (now !== null) addTerminalLine('  NOW: ' + Generator.formatHz(Math.round(now)));
+  }
+
+  function registerAudioCommands() {
+    registerCommand('mic', {
+      usage: MIC_USAGE,
+      description: 'Connect the microphone and choose its input and processing',
+      details: [
+        'WITHOUT ARGUMENTS SHOWS THE INPUT SETTINGS',
+        'DEVICE NAMES ARE LISTED ONCE MIC ACCESS HAS BEEN ALLOWED',
+        'ECHO CANCELLATION, NOISE SUPPRESSION AND AGC ARE OFF BY DEFAULT',
+        'THE CHOSEN DEVICE IS REMEMBERED; IF IT IS UNPLUGGED THE DEFAULT INPUT IS USED',
+      ],
+      complete: function(args) {
+        if (args.length === 0) return ['on', 'off', 'devices', 'use', 'set', 'channels'];
+        if (args.length === 1 && args[0] === 'use') {
+          return ['default'].concat(state.micDevices.map((_, index) => String(index + 1)));
+        }
+        if (args.length === 1 && args[0] === 'set') return Object.keys(MIC_PROCESSING);
+        if (args.length === 2 && args[0] === 'set') return ['on', 'off'];
+        if (args.length === 1 && args[0] === 'channels') return ['1', '2'];
+        return [];
+      },
+      run: async function(ctx) {
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = (ctx.args[1] || '').toLowerCase();
+        const active = state.audioMode === 'mic' || isMicOpening();
+
+        switch (action) {
+          case '':
+            printMicStatus();
+            return;
+          case 'on':
+          case 'off':
+            break;
+          case 'devices':
+            await printMicDevices();
+            return;
+          case 'use': {
+            if (!value) {
+              addTerminalLine('USAGE: mic use <n|id|default>', 'error');
+              return;
+            }
+            await refreshMicDevices();
+            const deviceId = resolveMicDevice(ctx.args[1]);
+            const opened = await useMicDevice(deviceId);
+            if (opened === null) {
+              addTerminalLine('MIC INPUT CHANGE CANCELLED', 'dim');
+              return;
+            }
+            if (!opened) throw new Error('COULD NOT OPEN INPUT');
+            addTerminalLine('MIC INPUT: ' + describeMicDevice(deviceId), 'success');
+            return;
+          }
+          case 'set': {
+            const name = MIC_PROCESSING[value];
+            const setting = (ctx.args[2] || '').toLowerCase();
+            if (!name || (setting !== 'on' && setting !== 'off')) {
+              addTerminalLine('USAGE: mic set <' + Object.keys(MIC_PROCESSING).join('|') + '> <on|off>', 'error');
+              return;
+            }
+            await setMicOption(name, setting === 'on');
+            addTerminalLine(value.toUpperCase() + ': ' + setting.toUpperCase(), 'success');
+            return;
+          }
+          case 'channels': {
+            const count = Number(value);
+            if (count !== 1 && count !== 2) {
+              addTerminalLine('USAGE: mic channels <1|2>', 'error');
+              return;
+            }
+            await setMicOption('channelCount', count);
+            addTerminalLine('MIC CHANNELS: ' + count, 'success');
+            return;
+          }
+          default:
+            addTerminalLine('USAGE: ' + MIC_USAGE, 'error');
+            return;
+        }
+
+        if ((action === 'on') === active) {
+          addTerminalLine('MIC ALREADY ' + action.toUpperCase(), 'dim');
+          return;
+        }
+
+        const opened = await toggleMicrophone();
+        if (state.audioMode === 'mic') {
+          addTerminalLine('MIC ON', 'success');
+        } else if (action === 'off') {
+          addTerminalLine('MIC OFF', 'success');
+        } else if (opened === false) {
+          addTerminalLine('MIC OPEN CANCELLED', 'dim');
+        } else {
+          addTerminalLine('MIC ACCESS DENIED', 'error');
+        }
+      },
+    });
+
+    registerCommand('play', {
+      description: 'Start file playback',
+      run: async function() {
+        if (!state.audioElement) loadCurrentTrack(false);
+        requireFile();
+        if (!(await playAudio())) {
+          addTerminalLine('PLAYBACK DID NOT START', 'error');
+          return;
+        }
+        addTerminalLine('PLAYING: ' + state.fileName.toUpperCase(), 'success');
+      },
+    });
+
+    registerCommand('pause', {
+      description: 'Pause file playback',
+      run: function() {
+        requireFile();
+        pauseAudio();
+        addTerminalLine('PAUSED AT ' + formatTime(state.audioElement.currentTime), 'success');
+      },
+    });
+
+    registerCommand('stop', {
+      description: 'Stop playback and rewind, or disconnect the mic',
+      run: function() {
+        if (state.audioMode === 'mic') {
+          stopMicrophone();
+          addTerminalLine('MIC OFF', 'success');
+          return;
+        }
+        requireFile();
+        rewindAudio();
+        addTerminalLine('STOPPED', 'success');
+      },
+    });
+
+    registerCommand('seek', {
+      usage: 'seek <mm:ss>',
+      description: 'Jump to a position in the loaded file',
+      run: function(ctx) {
+        requireFile();
+        const seconds = parseTime(ctx.args[0]);
+        if (isNaN(seconds)) {
+          addTerminalLine('USAGE: seek <mm:ss>', 'error');
+          return;
+        }
+        seekAudio(seconds);
+        addTerminalLine('POSITION: ' + formatTime(state.audioElement.currentTime) +
+          ' / ' + formatTime(state.audioElement.duration), 'success');
+      },
+    });
+
+    registerCommand('loudness', {
+      description: 'Print loudness stats for the loaded file',
+      aliases: ['analysis'],
+      run: function() {
+        requireFile();
+        const stats = state.analysis;
+
+        if (state.analysisError) {
+          addTerminalLine('ANALYSIS FAILED: ' + state.analysisError, 'error');
+          return;
+        }
+        if (!stats) {
+          addTerminalLine(state.overview
+            ? 'ANALYSIS IN PROGRESS: ' + Math.round(state.analysisProgress * 100) + '%'
+            : 'DECODING...', 'dim');
+          return;
+        }
+
+        addTerminalLine('ANALYSIS (' + state.fileName.toUpperCase() + '):', 'dim');
+        addTerminalLine('  DURATION: ' + formatTime(stats.duration) + '  ' +
+          stats.channels + 'CH ' + stats.sampleRate + ' HZ');
+        addTerminalLine('  INTEGRATED: ' + formatLoudness(stats.integrated, 'LUFS'));
+        addTerminalLine('  RANGE (LRA): ' + formatLoudness(stats.range, 'LU'));
+        addTerminalLine('  TRUE PEAK: ' + formatLoudness(stats.truePeak, 'DBTP'),
+          stats.truePeak > -1 ? 'error' : '');
+        addTerminalLine('  SAMPLE PEAK: ' + formatLoudness(stats.samplePeak, 'DBFS'));
+        if (stats.peakToLoudness !== null) {
+          addTerminalLine('  PLR: ' + formatLoudness(stats.peakToLoudness, 'DB'));
+        }
+      },
+    });
+
+    registerCommand('tags', {
+      description: 'Print the embedded tags of the loaded file',
+      aliases: ['info'],
+      run: function() {
+        requireFile();
+        const tags = state.tags || {};
+
+        if (state.tagsReading) {
+          addTerminalLine('READING TAGS...', 'dim');
+          return;
+        }
+
+        const fields = [
+          ['TITLE', tags.title],
+          ['ARTIST', tags.artist],
+          ['ALBUM', tags.album],
+          ['YEAR', tags.year],
+          ['TRACK', tags.track],
+          ['GENRE', tags.genre],
+          ['FORMAT', tags.format],
+          ['BITRATE', formatBitrate(tags)],
+          ['DURATION', tags.duration ? formatTime(tags.duration) : null],
+          ['COVER', tags.picture ? tags.picture.mime.toUpperCase() + ' ' +
+            Math.ceil(tags.picture.data.length / 1024) + ' KB' : null],
+        ].filter(field => field[1]);
+
+        addTerminalLine('TAGS (' + state.fileName.toUpperCase() + '):', 'dim');
+        if (!fields.length) {
+          addTerminalLine('  NO TAGS FOUND', 'dim');
+          return;
+        }
+        fields.forEach(field => {
+          addTerminalLine('  ' + field[0] + ': ' + String(field[1]).toUpperCase());
         });
-        addTerminalLine('CURRENT DATE: ' + date.toUpperCase(), 'success');
-        break;
-        
-      default:
-        if (command.startsWith('echo ')) {
-          const msg = cmd.substring(5);
-          addTerminalLine(msg.toUpperCase(), 'success');
+      },
+    });
+
+    registerCommand('cover', {
+      usage: 'cover [on|off]',
+      description: 'Show or hide embedded cover art',
+      complete: function(args) {
+        return args.length ? [] : ['on', 'off'];
+      },
+      run: function(ctx) {
+        const arg = ctx.args[0];
+        if (arg && arg !== 'on' && arg !== 'off') {
+          addTerminalLine('USAGE: cover [on|off]', 'error');
+          return;
+        }
+        if (arg) setCoverArtEnabled(arg === 'on');
+
+        const available = state.tags && state.tags.picture ? '' : ' (NONE IN FILE)';
+        addTerminalLine('COVER ART: ' + (state.coverArtEnabled ? 'ON' : 'OFF') + available, 'success');
+      },
+    });
+
+    registerCommand('lcd', {
+      usage: 'lcd [style <name>|columns <n>|speed <n>|say <text>|wipe <text>|flash <text>]',
+      description: 'Configure the output display or show an announcement',
+      details: [
+        'STYLES: ' + (typeof Lcd !== 'undefined' ? Lcd.STYLES.join(', ').toUpperCase() : 'NONE'),
+        'SPEED IS THE MARQUEE RATE IN CHARACTERS PER SECOND',
+        'SAY TYPES, WIPE WIPES, FLASH BLINKS INVERTED; ALL HOLD FOR ' +
+          (CONFIG.lcdAnnounceTime / 1000) + ' S',
+      ],
+      complete: function(args) {
+        if (args.length === 0) return ['style', 'columns', 'speed', 'say', 'wipe', 'flash'];
+        if (args.length === 1 && args[0] === 'style' && typeof Lcd !== 'undefined') return Lcd.STYLES;
+        return [];
+      },
+      run: function(ctx) {
+        if (!lcd) throw new Error('LCD RENDERER NOT LOADED');
+
+        const action = ctx.args[0];
+        const value = ctx.args.slice(1).join(' ');
+        const announce = { say: 'typewriter', wipe: 'wipe', flash: 'wipe' };
+
+        if (announce[action]) {
+          if (!value) {
+            addTerminalLine('USAGE: lcd ' + action + ' <text>', 'error');
+            return;
+          }
+          const flash = action === 'flash';
+          setOutput(value.toUpperCase(), {
+            effect: announce[action],
+            duration: CONFIG.lcdAnnounceTime,
+            blink: flash,
+            inverse: flash,
+          });
+          const waiting = lcd.getQueueLength();
+          addTerminalLine(waiting ? 'ANNOUNCEMENT QUEUED (POSITION ' + waiting + ')' : 'ANNOUNCED', 'success');
+          return;
+        }
+
+        if (action === 'style') {
+          if (!ctx.args[1]) {
+            addTerminalLine('USAGE: lcd style <' + Lcd.STYLES.join('|') + '>', 'error');
+            return;
+          }
+          lcd.set('style', ctx.args[1]);
+        } else if (action === 'columns' || action === 'speed') {
+          const setting = action === 'speed' ? 'marqueeRate' : 'columns';
+          if (!ctx.args[1]) {
+            const range = Lcd.LIMITS[setting];
+            addTerminalLine('USAGE: lcd ' + action + ' <' + range[0] + '-' + range[1] + '>', 'error');
+            return;
+          }
+          lcd.set(setting, Number(ctx.args[1]));
+        } else if (action) {
+          addTerminalLine('USAGE: lcd [style|columns|speed|say|wipe|flash]', 'error');
+          return;
+        }
+
+        const settings = lcd.getSettings();
+        addTerminalLine('LCD:', 'dim');
+        addTerminalLine('  STYLE: ' + settings.style.toUpperCase());
+        addTerminalLine('  COLUMNS: ' + settings.columns);
+        addTerminalLine('  MARQUEE: ' + settings.marqueeRate + ' CHAR/S');
+        addTerminalLine('  TEXT: ' + state.output);
+      },
+    });
+
+    registerCommand('dsp', {
+      usage: 'dsp [on|off|band <n> <db>|preamp <db>|dynamics <mode>|preset <name>|save <name>|delete <name>|presets]',
+      description: 'Playback EQ, preamp and compressor between the file and the speakers',
+      details: [
+        'BANDS MATCH THE VISUALIZER BARS; DRAG ON THE PANEL TO SET THEM',
+        'BAND GAIN ' + (typeof Dsp !== 'undefined' ? Dsp.LIMITS.gain.join(' TO ') : '') + ' DB',
+        'DYNAMICS: ' + (typeof Dsp !== 'undefined' ? Dsp.DYNAMICS.join(', ').toUpperCase() : 'NONE'),
+        'SAVED PRESETS KEEP THE EQ CURVE, PREAMP AND DYNAMICS',
+      ],
+      complete: function(args) {
+        if (args.length === 0) {
+          return ['on', 'off', 'band', 'preamp', 'dynamics', 'preset', 'save', 'delete', 'presets'];
+        }
+        if (args.length === 1 && args[0] === 'dynamics' && typeof Dsp !== 'undefined') return Dsp.DYNAMICS;
+        if (args.length === 1 && args[0] === 'preset') return getPresetNames();
+        if (args.length === 1 && args[0] === 'delete') return Object.keys(loadUserPresets());
+        return [];
+      },
+      run: function(ctx) {
+        const chain = requireDsp();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = ctx.args[1];
+
+        switch (action) {
+          case '':
+            break;
+          case 'on':
+          case 'off':
+            setDspEnabled(action === 'on');
+            addTerminalLine('DSP: ' + (action === 'on' ? 'ON' : 'BYPASSED'), 'success');
+            return;
+          case 'band': {
+            const band = Number(value);
+            if (!Number.isInteger(band) || ctx.args[2] === undefined) {
+              addTerminalLine('USAGE: dsp band <1-' + state.eqLayout.bars + '> <db>', 'error');
+              return;
+            }
+            const gain = chain.setGain(band - 1, Number(ctx.args[2]));
+            addTerminalLine('BAND ' + band + ': ' + formatDb(gain), 'success');
+            return;
+          }
+          case 'preamp':
+            if (value === undefined) {
+              addTerminalLine('USAGE: dsp preamp <db>', 'error');
+              return;
+            }
+            addTerminalLine('PREAMP: ' + formatDb(chain.setPreamp(Number(value))), 'success');
+            return;
+          case 'dynamics':
+            if (!value) {
+              addTerminalLine('USAGE: dsp dynamics <' + Dsp.DYNAMICS.join('|') + '>', 'error');
+              return;
+            }
+            addTerminalLine('DYNAMICS: ' + chain.setDynamics(value.toLowerCase()).toUpperCase(), 'success');
+            return;
+          case 'preset':
+          case 'save':
+          case 'delete':
+            if (!value) {
+              addTerminalLine('USAGE: dsp ' + action + ' <name>', 'error');
+              return;
+            }
+            if (action === 'preset') {
+              addTerminalLine('PRESET: ' + applyDspPreset(value).toUpperCase(), 'success');
+            } else if (action === 'save') {
+              addTerminalLine('SAVED PRESET: ' + saveDspPreset(value).toUpperCase(), 'success');
+            } else {
+              deleteDspPreset(value);
+              addTerminalLine('DELETED PRESET: ' + value.toUpperCase(), 'success');
+            }
+            return;
+          case 'presets': {
+            const saved = Object.keys(loadUserPresets());
+            addTerminalLine('BUILT-IN: ' + Object.keys(Dsp.PRESETS).join(', ').toUpperCase(), 'dim');
+            addTerminalLine('SAVED: ' + (saved.length ? saved.join(', ').toUpperCase() : 'NONE'), 'dim');
+            return;
+          }
+          default:
+            addTerminalLine('USAGE: dsp [on|off|band|preamp|dynamics|preset|save|delete|presets]', 'error');
+            return;
+        }
+
+        const settings = chain.getSettings();
+        addTerminalLine('DSP (' + (settings.bypassed ? 'BYPASSED' : 'ON') + '):', 'dim');
+        addTerminalLine('  PREAMP: ' + formatDb(settings.preamp));
+        addTerminalLine('  DYNAMICS: ' + settings.dynamics.toUpperCase() +
+          (settings.dynamics !== 'off' ? ' (GR ' + formatDb(chain.getReduction()) + ')' : ''));
+        settings.bands.forEach((band, index) => {
+          const label = typeof Spectrum !== 'undefined'
+            ? Spectrum.formatFrequency(band.frequency).padStart(4)
+            : Math.round(band.frequency).toString().padStart(5);
+          addTerminalLine('  ' + (index + 1).toString().padStart(2) + ' ' + label + ' HZ ' + formatDb(band.gain).padStart(8));
+        });
+      },
+    });
+
+    registerCommand('volume', {
+      usage: 'volume [0-100]',
+      description: 'Show or set playback volume',
+      aliases: ['vol'],
+      run: function(ctx) {
+        if (ctx.args.length) {
+          const value = /^\d+(\.\d+)?$/.test(ctx.args[0]) ? parseFloat(ctx.args[0]) : NaN;
+          if (!(value >= 0 && value <= 100)) {
+            addTerminalLine('USAGE: volume <0-100>', 'error');
+            return;
+          }
+          setVolume(value / 100);
+        }
+        addTerminalLine('VOLUME: ' + Math.round(state.volume * 100), 'success');
+      },
+    });
+
+    registerCommand('eq', {
+      description: 'Print the current band levels',
+      run: function() {
+        const bands = state.eqLayout.bars;
+        const levels = state.currentLevels || new Array(bands * getEQChannelCount()).fill(0);
+        const stereo = levels.length > bands;
+        const width = 20;
+
+        addTerminalLine('EQ LEVELS (' + state.audioMode.toUpperCase() + '):', 'dim');
+        const centers = state.eqLayout.centers;
+
+        levels.forEach((level, slot) => {
+          const i = slot % bands;
+          const filled = Math.round(level * width);
+          const label = (stereo ? (slot < bands ? 'L ' : 'R ') : '') + (centers
+            ? Spectrum.formatFrequency(centers[i]).padStart(4)
+            : 'B' + (i + 1).toString().padStart(2, '0'));
+          addTerminalLine('  ' + label + ' ' + '#'.repeat(filled) + '.'.repeat(width - filled) +
+            ' ' + Math.round(level * 100).toString().padStart(3) + '%');
+        });
+      },
+    });
+
+    registerCommand('stereo', {
+      usage: 'stereo [' + EQ_VIEWS.join('|') + ']',
+      description: 'Show correlation and balance, or switch the EQ view',
+      details: [
+        'mono      one set of bars from the downmix',
+        'mirrored  left and right groups, lows meeting in the middle',
+        'stacked   left row above right row',
+      ],
+      complete: function(args) {
+        return args.length ? [] : EQ_VIEWS;
+      },
+      run: function(ctx) {
+        const view = (ctx.args[0] || '').toLowerCase();
+
+        if (view) {
+          setEQView(view);
+          addTerminalLine('EQ VIEW: ' + view.toUpperCase(), 'success');
+          return;
+        }
+
+        addTerminalLine('STEREO IMAGE:', 'dim');
+        addTerminalLine('  EQ VIEW: ' + CONFIG.eqView.toUpperCase());
+        if (!stereoMeter) return;
+
+        const readings = stereoMeter.getReadings();
+        addTerminalLine('  CORRELATION: ' + (readings.correlation >= 0 ? '+' : '') + readings.correlation.toFixed(2),
+          readings.correlation < 0 ? 'error' : '');
+        addTerminalLine('  BALANCE: ' + Stereo.formatBalance(readings.leftDb, readings.rightDb));
+        addTerminalLine('  LEFT:  ' + readings.leftDb.toFixed(1) + ' DBFS RMS');
+        addTerminalLine('  RIGHT: ' + readings.rightDb.toFixed(1) + ' DBFS RMS');
+      },
+    });
+
+    registerCommand('spectrum', {
+      usage: 'spectrum [bars <n>|scale <name>|tilt <dB/oct>|range <lo> <hi>]',
+      description: 'Show or change the EQ band layout',
+      details: [
+        'bars   ' + CONFIG.eqMinBars + '-' + CONFIG.eqMaxBars + ' (ISO scales cap at their band count)',
+        'scale  ' + (typeof Spectrum !== 'undefined' ? Spectrum.SCALES.join(', ') : 'unavailable'),
+        'tilt   high-frequency boost in dB per octave',
+        'range  lowest and highest frequency in Hz',
+      ],
+      complete: function(args) {
+        if (args.length === 0) return ['bars', 'scale', 'tilt', 'range'];
+        if (args.length === 1 && args[0] === 'scale') return Spectrum.SCALES;
+        return [];
+      },
+      run: function(ctx) {
+        if (typeof Spectrum === 'undefined') {
+          throw new Error('SPECTRUM MODULE NOT LOADED');
+        }
+
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = ctx.args[1];
+
+        switch (action) {
+          case '':
+            break;
+          case 'bars':
+            if (!isFinite(Number(value))) throw new Error('BARS MUST BE A NUMBER');
+            setSpectrumLayout({ bars: Number(value) });
+            break;
+          case 'scale':
+            setSpectrumLayout({ scale: (value || '').toLowerCase() });
+            break;
+          case 'tilt':
+            if (!isFinite(Number(value))) throw new Error('TILT MUST BE A NUMBER');
+            setSpectrumLayout({ tilt: Number(value) });
+            break;
+          case 'range': {
+            const lo = Number(ctx.args[1]);
+            const hi = Number(ctx.args[2]);
+            if (!isFinite(lo) || !isFinite(hi) || lo <= 0 || hi <= lo) {
+              throw new Error('RANGE NEEDS <LO> <HI> IN HZ, LO < HI');
+            }
+            setSpectrumLayout({ minFreq: lo, maxFreq: hi });
+            break;
+          }
+          default:
+            addTerminalLine('UNKNOWN SPECTRUM ACTION: ' + action.toUpperCase(), 'error');
+            addTerminalLine('Type "help spectrum" for usage', 'dim');
+            return;
+        }
+
+        const layout = getSpectrumLayout();
+        const capped = layout.bars < layout.requestedBars ? ' (OF ' + layout.requestedBars + ')' : '';
+        addTerminalLine('SPECTRUM: ' + layout.bars + ' BARS' + capped + ', ' + layout.scale.toUpperCase() +
+          ', TILT ' + layout.tilt + ' DB/OCT, ' + Spectrum.formatFrequency(layout.minFreq) +
+          '-' + Spectrum.formatFrequency(layout.maxFreq) + ' HZ', 'success');
+      },
+    });
+
+    registerCommand('meter', {
+      usage: 'meter [vu|ppm1|ppm2|reset|ref <dBFS>]',
+      description: 'Show levels, switch ballistics or reset the clip LED',
+      details: [
+        'vu     RMS, 300 ms ballistics, 0 VU at the reference level',
+        'ppm1   IEC Type I peak programme meter',
+        'ppm2   IEC Type II peak programme meter',
+        'reset  clear the latched clip indicator',
+        'ref    0 VU alignment level in dBFS (default -18)',
+      ],
+      complete: function(args) {
+        return args.length ? [] : Meter.MODES.concat(['reset', 'ref']);
+      },
+      run: function(ctx) {
+        if (!meter) throw new Error('METER MODULE NOT LOADED');
+
+        const action = (ctx.args[0] || '').toLowerCase();
+
+        if (action === 'reset') {
+          resetClip();
+          addTerminalLine('CLIP INDICATOR RESET', 'success');
+          return;
+        }
+
+        if (action === 'ref') {
+          const applied = meter.setReference(Number(ctx.args[1]));
+          addTerminalLine('0 VU = ' + applied + ' DBFS', 'success');
+          return;
+        }
+
+        if (action) {
+          setMeterMode(action);
+          addTerminalLine('METER MODE: ' + meter.getReadings().label, 'success');
+          return;
+        }
+
+        const readings = meter.getReadings();
+        addTerminalLine('LEVELS (' + readings.label + '):', 'dim');
+        addTerminalLine('  RMS:  ' + Meter.formatDb(readings.rmsDb) + ' DBFS');
+        addTerminalLine('  PEAK: ' + Meter.formatDb(readings.heldPeakDb) + ' DBFS');
+        addTerminalLine('  NEEDLE: ' + Meter.formatDb(readings.needle, true) +
+          (readings.label === 'VU' ? ' VU (REF ' + readings.reference + ' DBFS)' : ' DBFS'));
+        addTerminalLine('  CLIP: ' + (readings.clipped ? 'YES (' + readings.clipCount + ' BLOCKS)' : 'NO'),
+          readings.clipped ? 'error' : '');
+      },
+    });
+
+    registerCommand('waterfall', {
+      usage: 'waterfall [on|off|freeze|resume|colormap <name>|fft <size>|range <min> <max>|speed <n>|scale log|linear]',
+      description: 'Show or configure the scrolling spectrogram',
+      aliases: ['wf'],
+      details: [
+        'colormap  ' + (typeof Waterfall !== 'undefined' ? Waterfall.COLORMAPS.join(', ') : 'unavailable'),
+        'fft       analyser size, ' + CONFIG.minFftSize + '-' + CONFIG.maxFftSize + ' (also sets EQ resolution)',
+        'range     dB floor and ceiling of the colormap',
+        'speed     columns per second',
+        'freeze    stop scrolling; point at the image for a readout',
+      ],
+      complete: function(args) {
+        if (args.length === 0) {
+          return ['on', 'off', 'freeze', 'resume', 'colormap', 'fft', 'range', 'speed', 'scale'];
+        }
+        if (args.length === 1 && args[0] === 'colormap') return Waterfall.COLORMAPS;
+        if (args.length === 1 && args[0] === 'scale') return ['log', 'linear'];
+        return [];
+      },
+      run: function(ctx) {
+        if (!waterfall) throw new Error('WATERFALL MODULE NOT LOADED');
+
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = ctx.args[1];
+
+        switch (action) {
+          case '':
+            break;
+          case 'on':
+          case 'off':
+            setWaterfallEnabled(action === 'on');
+            break;
+          case 'freeze':
+          case 'resume':
+            setWaterfallFrozen(action === 'freeze');
+            break;
+          case 'colormap':
+            waterfall.set('colormap', (value || '').toLowerCase());
+            break;
+          case 'scale':
+            waterfall.set('scale', (value || '').toLowerCase());
+            break;
+          case 'fft':
+            setFftSize(value);
+            break;
+          case 'speed':
+            waterfall.set('speed', Number(value));
+            break;
+          case 'range': {
+            const min = Number(ctx.args[1]);
+            const max = Number(ctx.args[2]);
+            if (!isFinite(min) || !isFinite(max) || max <= min) {
+              throw new Error('RANGE NEEDS <MIN> <MAX> IN DB, MIN < MAX');
+            }
+            waterfall.set('minDb', min);
+            waterfall.set('maxDb', max);
+            break;
+          }
+          default:
+            throw new Error('UNKNOWN OPTION: ' + action.toUpperCase());
+        }
+
+        updateWaterfallReadout();
+
+        const settings = waterfall.getSettings();
+        addTerminalLine('WATERFALL:', 'dim');
+        addTerminalLine('  PANEL: ' + (state.waterfallEnabled ? 'ON' : 'OFF') +
+          (waterfall.isFrozen() ? ' (FROZEN)' : ''));
+        addTerminalLine('  FFT: ' + CONFIG.fftSize + ' (' + (CONFIG.fftSize / 2) + ' BINS)');
+        addTerminalLine('  RANGE: ' + settings.minDb + ' TO ' + settings.maxDb + ' DB');
+        addTerminalLine('  SPEED: ' + settings.speed + ' COL/S');
+        addTerminalLine('  COLORMAP: ' + settings.colormap.toUpperCase());
+        addTerminalLine('  SCALE: ' + settings.scale.toUpperCase());
+      },
+    });
+
+    registerCommand('rec', {
+      usage: REC_USAGE,
+      description: 'Record the current source to downloadable takes',
+      aliases: ['record'],
+      details: [
+        'TAP SOURCE RECORDS THE MIC OR FILE AS IT ARRIVES; POST RECORDS PLAYBACK AFTER THE DSP CHAIN',
+        'PRE-ROLL KEEPS UP TO ' + (typeof Recorder !== 'undefined' ? Recorder.LIMITS.preRoll[1] : 0) +
+          ' S FROM BEFORE START (WAV ONLY)',
+        'THE LAST ' + CONFIG.recMaxTakes + ' TAKES ARE KEPT UNTIL RELOAD',
+      ],
+      complete: function(args) {
+        if (args.length === 0) {
+          return ['start', 'stop', 'cancel', 'takes', 'download', 'format', 'preroll', 'tap'];
+        }
+        if (args.length === 1 && args[0] === 'format' && typeof Recorder !== 'undefined') return Recorder.FORMATS;
+        if (args.length === 1 && args[0] === 'tap') return ['source', 'post'];
+        if (args.length === 1 && args[0] === 'download') return state.takes.map(take => String(take.number));
+        return [];
+      },
+      run: async function(ctx) {
+        const rec = requireRecorder();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = (ctx.args[1] || '').toLowerCase();
+
+        switch (action) {
+          case '':
+            break;
+          case 'start':
+            await startRecording();
+            addTerminalLine('REC STARTED', 'success');
+            return;
+          case 'stop': {
+            const take = await stopRecording();
+            addTerminalLine('TAKE ' + take.number + ': ' + describeTake(take), 'success');
+            return;
+          }
+          case 'cancel':
+            cancelRecording();
+            addTerminalLine('REC CANCELLED', 'success');
+            return;
+          case 'takes':
+            if (!state.takes.length) {
+              addTerminalLine('NO TAKES', 'dim');
+              return;
+            }
+            addTerminalLine('TAKES:', 'success');
+            state.takes.forEach(take => {
+              addTerminalLine('  ' + take.number + '. ' + describeTake(take));
+            });
+            return;
+          case 'download': {
+            const number = value ? Number(value) : undefined;
+            if (value && !Number.isInteger(number)) {
+              addTerminalLine('USAGE: rec download [n]', 'error');
+              return;
+            }
+            const take = downloadTake(number);
+            addTerminalLine('DOWNLOADING TAKE ' + take.number, 'success');
+            return;
+          }
+          case 'format':
+            if (!value) {
+              addTerminalLine('USAGE: rec format <' + Recorder.FORMATS.join('|') + '>', 'error');
+              return;
+            }
+            addTerminalLine('REC FORMAT: ' + rec.setFormat(value).toUpperCase(), 'success');
+            return;
+          case 'preroll': {
+            if (!value) {
+              addTerminalLine('USAGE: rec preroll <seconds>', 'error');
+              return;
+            }
+            const seconds = rec.setPreRoll(Number(value));
+            addTerminalLine('PRE-ROLL: ' + seconds + ' S', 'success');
+            if (seconds && rec.getSettings().format !== 'wav') {
+              addTerminalLine('PRE-ROLL ONLY APPLIES TO WAV TAKES', 'dim');
+            }
+            return;
+          }
+          case 'tap':
+            if (value !== 'source' && value !== 'post') {
+              addTerminalLine('USAGE: rec tap <source|post>', 'error');
+              return;
+            }
+            setRecordTap(value);
+            addTerminalLine('REC TAP: ' + value.toUpperCase(), 'success');
+            return;
+          default:
+            addTerminalLine('USAGE: ' + REC_USAGE, 'error');
+            return;
+        }
+
+        const settings = rec.getSettings();
+        addTerminalLine('REC: ' + (settings.recording ? 'RECORDING ' + formatTime(settings.elapsed) : 'IDLE'), 'success');
+        addTerminalLine('  FORMAT: ' + settings.format.toUpperCase());
+        addTerminalLine('  TAP: ' + state.recordTap.toUpperCase());
+        addTerminalLine('  PRE-ROLL: ' + settings.preRoll + ' S');
+        addTerminalLine('  TAKES: ' + state.takes.length);
+      },
+    });
+
+    registerCommand('beat', {
+      usage: 'beat [on|off|reset|sensitivity <n>|range <min> <max>]',
+      description: 'Onset and tempo detection',
+      aliases: ['bpm'],
+      details: [
+        'BEATS FLASH THE POWER LED; TEMPO SHOWS UNDER THE LCD',
+        'SENSITIVITY ' + (typeof Beat !== 'undefined' ? Beat.LIMITS.sensitivity.join('-') : '') +
+          ': LOWER FINDS MORE ONSETS',
+        'RANGE LIMITS THE TEMPO SEARCH, E.G. 100 200 FOR DRUM AND BASS',
+      ],
+      complete: function(args) {
+        return args.length ? [] : ['on', 'off', 'reset', 'sensitivity', 'range'];
+      },
+      run: function(ctx) {
+        const detector = requireBeat();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = ctx.args[1];
+
+        switch (action) {
+          case '':
+            break;
+          case 'on':
+          case 'off':
+            setBeatEnabled(action === 'on');
+            addTerminalLine('BEAT DETECTION: ' + action.toUpperCase(), 'success');
+            return;
+          case 'reset':
+            resetBeat();
+            addTerminalLine('TEMPO RESET', 'success');
+            return;
+          case 'sensitivity':
+            if (value === undefined) {
+              addTerminalLine('USAGE: beat sensitivity <n>', 'error');
+              return;
+            }
+            addTerminalLine('SENSITIVITY: ' + detector.setSensitivity(value), 'success');
+            return;
+          case 'range': {
+            if (ctx.args[2] === undefined) {
+              addTerminalLine('USAGE: beat range <min> <max>', 'error');
+              return;
+            }
+            const range = detector.setRange(value, ctx.args[2]);
+            resetBeat();
+            addTerminalLine('TEMPO RANGE: ' + range.join('-') + ' BPM', 'success');
+            return;
+          }
+          default:
+            addTerminalLine('USAGE: beat [on|off|reset|sensitivity <n>|range <min> <max>]', 'error');
+            return;
+        }
+
+        const tempo = detector.getTempo();
+        const settings = detector.getSettings();
+        addTerminalLine('BEAT DETECTION: ' + (state.beatEnabled ? 'ON' : 'OFF'), 'success');
+        addTerminalLine('  TEMPO: ' + describeTempo(tempo));
+        addTerminalLine('  CONFIDENCE: ' + Math.round(tempo.confidence * 100) + '%');
+        addTerminalLine('  SENSITIVITY: ' + settings.sensitivity);
+        addTerminalLine('  RANGE: ' + settings.minBpm + '-' + settings.maxBpm + ' BPM');
+      },
+    });
+
+    registerCommand('tuner', {
+      usage: 'tuner [on|off|a4 <hz>|stream <on|off>]',
+      description: 'Show the pitch of the input as a note and cents',
+      details: [
+        'READINGS STREAM HERE WHILE THE TUNER IS ON; STREAM OFF KEEPS THEM ON THE LCD ONLY',
+        'A4 REFERENCE ' + (typeof Tuner !== 'undefined' ? Tuner.LIMITS.reference.join('-') : '') + ' HZ',
+      ],
+      complete: function(args) {
+        if (args.length === 0) return ['on', 'off', 'a4', 'stream'];
+        if (args.length === 1 && args[0] === 'stream') return ['on', 'off'];
+        return [];
+      },
+      run: function(ctx) {
+        const detector = requireTuner();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = (ctx.args[1] || '').toLowerCase();
+
+        switch (action) {
+          case '':
+            break;
+          case 'on':
+          case 'off':
+            setTunerEnabled(action === 'on');
+            addTerminalLine('TUNER: ' + action.toUpperCase(), 'success');
+            if (action === 'on' && !state.audioSource) {
+              addTerminalLine('NO INPUT: TURN THE MIC ON OR PLAY A FILE', 'dim');
+            }
+            return;
+          case 'a4':
+            if (!value) {
+              addTerminalLine('USAGE: tuner a4 <hz>', 'error');
+              return;
+            }
+            addTerminalLine('A4 = ' + detector.setReference(value) + ' HZ', 'success');
+            return;
+          case 'stream':
+            if (value !== 'on' && value !== 'off') {
+              addTerminalLine('USAGE: tuner stream <on|off>', 'error');
+              return;
+            }
+            state.tunerStream = value === 'on';
+            addTerminalLine('TUNER STREAM: ' + value.toUpperCase(), 'success');
+            return;
+          default:
+            addTerminalLine('USAGE: tuner [on|off|a4 <hz>|stream <on|off>]', 'error');
+            return;
+        }
+
+        const reading = detector.getReading();
+        addTerminalLine('TUNER: ' + (state.tunerEnabled ? 'ON' : 'OFF'), 'success');
+        addTerminalLine('  A4: ' + detector.getReference() + ' HZ');
+        addTerminalLine('  STREAM: ' + (state.tunerStream ? 'ON' : 'OFF'));
+        if (reading) addTerminalLine(formatTunerReading(reading));
+      },
+    });
+
+    registerCommand('demo', {
+      usage: 'demo [<pattern> [seed]|seed <n>|rotate <on|off|s>]',
+      description: 'Choose the animation shown when there is no source',
+      details: (typeof Demo !== 'undefined' ? Demo.PATTERNS : []).map(name =>
+        name.padEnd(8) + Demo.describe(name).toLowerCase()).concat([
+        'A SEED (0-' + (typeof Demo !== 'undefined' ? Demo.MAX_SEED : 0) + ') ALWAYS GIVES THE SAME FRAMES',
+        'CHOOSING A PATTERN STOPS THE ROTATION; ROTATE ON RESUMES IT',
+      ]),
+      complete: function(args) {
+        if (args.length === 0) {
+          return (typeof Demo !== 'undefined' ? Demo.PATTERNS : []).concat(['seed', 'rotate']);
+        }
+        if (args.length === 1 && args[0] === 'rotate') return ['on', 'off'];
+        return [];
+      },
+      run: function(ctx) {
+        const animation = requireDemo();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = (ctx.args[1] || '').toLowerCase();
+
+        switch (action) {
+          case '':
+            break;
+          case 'seed':
+            if (!value) {
+              addTerminalLine('USAGE: demo seed <n>', 'error');
+              return;
+            }
+            animation.setSeed(value);
+            state.demoStart = null;
+            addTerminalLine('DEMO SEED: ' + animation.getSeed(), 'success');
+            return;
+          case 'rotate': {
+            const seconds = Number(value);
+            if (value === 'on' || value === 'off') {
+              setDemoRotate(value === 'on');
+            } else if (value && seconds > 0) {
+              setDemoRotate(true, seconds * 1000);
+            } else {
+              addTerminalLine('USAGE: demo rotate <on|off|s>', 'error');
+              return;
+            }
+            addTerminalLine('DEMO ROTATION: ' + (state.demoRotate
+              ? 'EVERY ' + CONFIG.demoRotateInterval / 1000 + ' S' : 'OFF'), 'success');
+            return;
+          }
+          default:
+            if (Demo.PATTERNS.indexOf(action) === -1) {
+              addTerminalLine('USAGE: demo [<pattern> [seed]|seed <n>|rotate <on|off|s>]', 'error');
+              return;
+            }
+            setDemoPattern(action, value ? Demo.parseSeed(value) : undefined);
+            addTerminalLine('DEMO: ' + action.toUpperCase() + ' (SEED ' + animation.getSeed() + ')', 'success');
+            if (state.audioMode !== 'demo') {
+              addTerminalLine('SHOWN WHEN NO SOURCE IS ACTIVE', 'dim');
+            }
+            return;
+        }
+
+        addTerminalLine('DEMO: ' + animation.getPattern().toUpperCase(), 'success');
+        addTerminalLine('  SEED: ' + animation.getSeed());
+        addTerminalLine('  ROTATION: ' + (state.demoRotate
+          ? 'EVERY ' + CONFIG.demoRotateInterval / 1000 + ' S' : 'OFF'));
+        addTerminalLine('  PATTERNS: ' + Demo.PATTERNS.join(', ').toUpperCase());
+      },
+    });
+
+    registerCommand('gen', {
+      usage: GEN_USAGE,
+      description: 'Play test signals into the analysers, and the speakers if monitored',
+      aliases: ['generator'],
+      details: [
+        'SIGNALS: ' + (typeof Generator !== 'undefined' ? Generator.SIGNALS.join(', ').toUpperCase() : ''),
+        'CHOOSING A SIGNAL STARTS THE GENERATOR; FREQ AND LEVEL APPLY WHILE IT RUNS',
+        'LEVEL IS THE PEAK IN DBFS; MULTITONE SPLITS IT EQUALLY BETWEEN THE TONES',
+        'MONITOR IS OFF BY DEFAULT SO SIGNALS ONLY REACH THE DISPLAY',
+      ],
+      complete: function(args) {
+        if (args.length === 0) {
+          const signals = typeof Generator !== 'undefined' ? Generator.SIGNALS : [];
+          return ['on', 'off'].concat(signals, ['freq', 'level', 'tones', 'monitor']);
+        }
+        if (args.length === 1 && args[0] === 'monitor') return ['on', 'off'];
+        if (args.length === 4 && args[0] === 'sweep' && typeof Generator !== 'undefined') return Generator.SWEEP_MODES;
+        return [];
+      },
+      run: async function(ctx) {
+        const gen = requireGenerator();
+        const action = (ctx.args[0] || '').toLowerCase();
+        const value = (ctx.args[1] || '').toLowerCase();
+
+        switch (action) {
+          case '':
+            printGeneratorStatus();
+            return;
+          case 'on':
+            await startGenerator();
+            addTerminalLine('GENERATOR: ' + gen.describe(), 'success');
+            return;
+          case 'off':
+            stopGenerator();
+            addTerminalLine('GENERATOR: OFF', 'success');
+            return;
+          case 'freq':
+            if (!value) {
+              addTerminalLine('USAGE: gen freq <hz>', 'error');
+              return;
+            }
+            addTerminalLine('FREQUENCY: ' + Generator.formatHz(gen.setFrequency(value)), 'success');
+            announceGenerator();
+            return;
+          case 'level':
+            if (!value) {
+              addTerminalLine('USAGE: gen level <db>', 'error');
+              return;
+            }
+            addTerminalLine('LEVEL: ' + gen.setLevel(value) + ' DBFS', 'success');
+            announceGenerator();
+            return;
+          case 'sweep':
+            if (ctx.args.length > 1) {
+              if (ctx.args.length < 3) {
+                addTerminalLine('USAGE: gen sweep <from> <to> [s] [log|linear]', 'error');
+                return;
+              }
+              gen.setSweep(ctx.args[1], ctx.args[2], ctx.args[3], (ctx.args[4] || '').toLowerCase() || undefined);
+            } else {
+              gen.setSignal('sweep');
+            }
+            break;
+          case 'tones':
+            if (ctx.args.length > 1) {
+              gen.setTones(ctx.args.slice(1).join(',').split(',').filter(Boolean));
+            } else {
+              gen.setSignal('multitone');
+            }
+            break;
+          case 'monitor':
+            if (value !== 'on' && value !== 'off') {
+              addTerminalLine('USAGE: gen monitor <on|off>', 'error');
+              return;
+            }
+            setGeneratorMonitor(value === 'on');
+            addTerminalLine('GENERATOR MONITOR: ' + value.toUpperCase(), 'success');
+            return;
+          default:
+            if (Generator.SIGNALS.indexOf(action) === -1) {
+              addTerminalLine('USAGE: ' + GEN_USAGE, 'error');
+              return;
+            }
+            if (value) gen.setFrequency(value);
+            gen.setSignal(action);
+            break;
+        }
+
+        // A signal was chosen: start it, or show it on the LCD if running
+        if (state.audioMode === 'generator') {
+          announceGenerator();
         } else {
-          addTerminalLine('UNKNOWN COMMAND: ' + cmd.toUpperCase(), 'error');
-          addTerminalLine('Type "help" for available commands', 'dim');
+          await startGenerator();
         }
-    }
+        addTerminalLine('GENERATOR: ' + gen.describe(), 'success');
+      },
+    });
+
+    registerCommand('source', {
+      description: 'Report the active audio source',
+      run: function() {
+        addTerminalLine('SOURCE: ' + state.audioMode.toUpperCase(), 'success');
+
+        if (state.audioMode === 'file' && state.audioElement) {
+          addTerminalLine('  FILE: ' + state.fileName);
+          addTerminalLine('  DURATION: ' + formatTime(state.audioElement.duration));
+          addTerminalLine('  POSITION: ' + formatTime(state.audioElement.currentTime));
+          addTerminalLine('  STATE: ' + (state.isPlaying ? 'PLAYING' : 'PAUSED'));
+        } else if (state.audioMode === 'mic' && state.micStream) {
+          const track = state.micStream.getAudioTracks()[0];
+          addTerminalLine('  DEVICE: ' + (track ? track.label || 'DEFAULT' : 'UNKNOWN'));
+        } else if (state.audioMode === 'generator') {
+          addTerminalLine('  SIGNAL: ' + generator.describe());
+          addTerminalLine('  MONITOR: ' + (state.generatorMonitor ? 'ON' : 'OFF'));
+        }
+      },
+    });
   }
 
   // ================================
@@ -802,14 +5305,80 @@
     // Audio interface
     setOutput: setOutput,
     addLog: addLog,
+    clearLogs: clearLogs,
     toggleMic: toggleMicrophone,
+    startRecording: startRecording,
+    stopRecording: stopRecording,
+    downloadTake: downloadTake,
+    getTakes: function() { return state.takes.slice(); },
+    useMicDevice: useMicDevice,
+    getMicDevices: function() {
+      return state.micDevices.map(device => ({ deviceId: device.deviceId, label: device.label }));
+    },
+    getMicSettings: function() { return Object.assign({}, state.micSettings); },
+    toggleGenerator: toggleGenerator,
+    setGenerator: setGenerator,
+    getGeneratorSettings: function() {
+      return generator ? Object.assign(generator.getSettings(), { monitor: state.generatorMonitor }) : null;
+    },
+    setDemo: function(pattern, seed) { return setDemoPattern(pattern, seed); },
+    setDemoRotate: function(enabled) { setDemoRotate(!!enabled); },
+    getDemo: function() {
+      if (!demo) return null;
+      return {
+        pattern: demo.getPattern(),
+        seed: demo.getSeed(),
+        rotate: state.demoRotate,
+        interval: CONFIG.demoRotateInterval,
+      };
+    },
     stopAudio: stopAudioSource,
+    play: playAudio,
+    pause: pauseAudio,
+    seek: seekAudio,
+    setVolume: setVolume,
     stopEQ: stopEQAnimation,
     startEQ: startEQAnimation,
+    setSpectrumLayout: setSpectrumLayout,
+    getSpectrumLayout: getSpectrumLayout,
+    setEQView: setEQView,
+    setFftSize: setFftSize,
+    nextTrack: function() { return typeof Playlist !== 'undefined' && nextTrack(); },
+    previousTrack: function() { return typeof Playlist !== 'undefined' && previousTrack(); },
+    getAnalysis: function() { return state.analysis ? Object.assign({}, state.analysis) : null; },
+    getTags: function() { return state.tags ? Object.assign({}, state.tags) : null; },
+    setDsp: function(enabled) { return setDspEnabled(!!enabled); },
+    applyDspPreset: applyDspPreset,
+    getDspSettings: function() { return dsp ? dsp.getSettings() : null; },
+    setWaterfall: function(enabled) { setWaterfallEnabled(!!enabled); },
+    getStereoReadings: function() { return stereoMeter ? stereoMeter.getReadings() : null; },
+    setTuner: function(enabled) { setTunerEnabled(!!enabled); },
+    getPitch: function() { return tuner ? tuner.getReading() : null; },
+    getTempo: function() {
+      if (!beat) return null;
+      const tempo = beat.getTempo();
+      return { bpm: tempo.bpm, confidence: tempo.confidence, locked: tempo.locked };
+    },
+    
+    // Events ('beat')
+    on: onAppEvent,
+    off: offAppEvent,
     
     // Terminal interface
     addTerminalLine: addTerminalLine,
-    clearTerminal: function() { processTerminalCommand('clear'); },
+    clearTerminal: clearTerminal,
+    runCommand: processTerminalCommand,
+    registerCommand: registerCommand,
+    unregisterCommand: unregisterCommand,
+    getCommands: function() { return Object.keys(commands).sort(); },
+    
+    // Transcripts
+    exportTranscript: exportTranscript,
+    stopReplay: stopReplay,
+    
+    // Buffers
+    setScrollback: setScrollback,
+    getBufferStats: getBufferStats,
     
     // Mode switching
     switchMode: switchMode,
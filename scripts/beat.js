@@ -0,0 +1,404 @@
+/**
+ * Beat Detection
+ * Onsets, tempo and beat times from successive analyser spectra
+ *
+ * - onsets: spectral flux (summed rise of log-compressed bin magnitudes)
+ *           above an adaptive threshold, picked at its local peaks
+ * - tempo:  autocorrelation of the flux envelope over the last few
+ *           seconds, weighted towards 120 BPM so half and double time
+ *           lose ties
+ * - beats:  once a tempo is found, beats are predicted one period
+ *           apart and pulled onto onsets that land near the prediction;
+ *           before that, every onset counts as a beat
+ *
+ * Frames arrive at whatever rate the caller runs (usually
+ * requestAnimationFrame), so everything is timed in seconds and the
+ * envelope is resampled to a fixed rate before the autocorrelation.
+ */
+
+const Beat = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    sensitivity: 1.5,  // threshold in standard deviations above the mean flux
+    minBpm: 60,
+    maxBpm: 180,
+  };
+
+  const LIMITS = {
+    sensitivity: [0.5, 4],
+    bpm: [40, 240],
+  };
+
+  const COMPRESSION = 100;      // log(1 + C * magnitude)
+  const FLUX_FLOOR = 0.02;      // ignore onsets quieter than this
+  const THRESHOLD_TIME = 1;     // s of flux behind the adaptive threshold
+  const MIN_ONSET_GAP = 0.1;    // s
+  const ENVELOPE_RATE = 50;     // Hz, resampled flux for the tempo search
+  const ENVELOPE_TIME = 8;      // s of flux kept for the tempo search
+  const MIN_ENVELOPE_TIME = 4;  // s needed before a tempo is reported
+  const TEMPO_INTERVAL = 0.5;   // s between tempo searches
+  const PREFERRED_BPM = 120;
+  const PREFERENCE_WIDTH = 1;   // octaves (standard deviation)
+  const MIN_CONFIDENCE = 0.15;  // normalised autocorrelation to lock
+  const BEAT_TOLERANCE = 0.2;   // fraction of a period an onset may miss by
+  const MAX_GAP = 2;            // s without onsets before the flywheel stops
+  const MAX_FRAME_GAP = 0.25;   // s; longer gaps restart the flux
+
+  // Half of a symmetric smoothing kernel for the envelope, centre first
+  const SMOOTHING = [1, 0.75, 0.35, 0.1];
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * Create a detector.
+   * options: { sensitivity, minBpm, maxBpm }
+   */
+  function create(options) {
+    const settings = Object.assign({}, DEFAULTS, options);
+    settings.sensitivity = clamp(settings.sensitivity, LIMITS.sensitivity);
+
+    let previous = null;     // compressed magnitudes of the last frame
+    let lastTime = -Infinity;
+    let history = [];        // { time, flux }
+    let recent = [];         // flux values for the adaptive threshold
+    let candidate = null;    // last frame, kept one frame for peak picking
+    let lastOnset = -Infinity;
+    let lastTempoSearch = -Infinity;
+
+    const tempo = { bpm: 0, confidence: 0, locked: false, pending: 0 };
+    let nextBeat = Infinity;
+    let lastBeat = -Infinity;
+    let flywheelBeat = -Infinity;  // predicted beat emitted without an onset
+
+    function reset() {
+      previous = null;
+      lastTime = -Infinity;
+      history = [];
+      recent = [];
+      candidate = null;
+      lastOnset = -Infinity;
+      lastTempoSearch = -Infinity;
+      tempo.bpm = 0;
+      tempo.confidence = 0;
+      tempo.locked = false;
+      tempo.pending = 0;
+      nextBeat = Infinity;
+      lastBeat = -Infinity;
+      flywheelBeat = -Infinity;
+    }
+
+    // ------ Onsets ------
+
+    function spectralFlux(spectrum) {
+      const count = spectrum.length;
+      if (!previous || previous.length !== count) {
+        previous = new Float32Array(count);
+        for (let i = 0; i < count; i++) previous[i] = compress(spectrum[i]);
+        return 0;
+      }
+
+      let flux = 0;
+      for (let i = 0; i < count; i++) {
+        const value = compress(spectrum[i]);
+        if (value > previous[i]) flux += value - previous[i];
+        previous[i] = value;
+      }
+      return flux / count;
+    }
+
+    function compress(db) {
+      if (!isFinite(db)) return 0;
+      return Math.log(1 + COMPRESSION * Math.pow(10, db / 20));
+    }
+
+    function adaptiveThreshold() {
+      if (recent.length < 2) return Infinity;
+      let mean = 0;
+      for (let i = 0; i < recent.length; i++) mean += recent[i].flux;
+      mean /= recent.length;
+      let variance = 0;
+      for (let i = 0; i < recent.length; i++) variance += (recent[i].flux - mean) * (recent[i].flux - mean);
+      return mean + settings.sensitivity * Math.sqrt(variance / recent.length);
+    }
+
+    /**
+     * The held frame is an onset if it peaks above the threshold
+     */
+    function pickOnset(flux) {
+      const held = candidate;
+      if (!held) return null;
+
+      const isPeak = held.flux > held.before && held.flux >= flux;
+      if (!isPeak || held.flux < FLUX_FLOOR || held.flux <= held.threshold) return null;
+      if (held.time - lastOnset < MIN_ONSET_GAP) return null;
+
+      lastOnset = held.time;
+      return held;
+    }
+
+    // ------ Tempo ------
+
+    /**
+     * Flux history at ENVELOPE_RATE: the peak within each slot, empty
+     * slots (frames slower than the rate) bridged linearly, then
+     * smoothed so peaks a fraction of a slot apart still correlate
+     */
+    function envelope(now) {
+      const count = Math.floor(ENVELOPE_TIME * ENVELOPE_RATE);
+      const start = now - count / ENVELOPE_RATE;
+      const slots = new Float64Array(count).fill(-1);
+
+      for (let i = 0; i < history.length; i++) {
+        const slot = Math.floor((history[i].time - start) * ENVELOPE_RATE);
+        if (slot >= 0 && slot < count) slots[slot] = Math.max(slots[slot], history[i].flux);
+      }
+
+      let last = -1;
+      for (let n = 0; n < count; n++) {
+        if (slots[n] < 0) continue;
+        if (last === -1) {
+          slots.fill(slots[n], 0, n);
+        } else {
+          for (let k = last + 1; k < n; k++) {
+            slots[k] = slots[last] + (slots[n] - slots[last]) * (k - last) / (n - last);
+          }
+        }
+        last = n;
+      }
+      if (last === -1) return new Float64Array(count);
+      slots.fill(slots[last], last + 1);
+
+      const values = new Float64Array(count);
+      for (let n = 0; n < count; n++) {
+        let sum = 0;
+        let weight = 0;
+        for (let k = -SMOOTHING.length + 1; k < SMOOTHING.length; k++) {
+          const i = n + k;
+          if (i < 0 || i >= count) continue;
+          const w = SMOOTHING[Math.abs(k)];
+          sum += slots[i] * w;
+          weight += w;
+        }
+        values[n] = sum / weight;
+      }
+      return values;
+    }
+
+    function searchTempo(now) {
+      if (!history.length || now - history[0].time < MIN_ENVELOPE_TIME) return;
+
+      const values = envelope(now);
+      const count = values.length;
+
+      // Mean removed and half-wave rectified, so only the peaks correlate
+      let mean = 0;
+      for (let i = 0; i < count; i++) mean += values[i];
+      mean /= count;
+      for (let i = 0; i < count; i++) values[i] = Math.max(0, values[i] - mean);
+
+      let energy = 0;
+      for (let i = 0; i < count; i++) energy += values[i] * values[i];
+      if (energy <= 0) return;
+      energy /= count;
+
+      const minLag = Math.floor(ENVELOPE_RATE * 60 / settings.maxBpm);
+      const maxLag = Math.ceil(ENVELOPE_RATE * 60 / settings.minBpm);
+      const scores = new Float64Array(maxLag + 2);
+      for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = lag; i < count; i++) sum += values[i] * values[i - lag];
+        scores[lag] = sum / (count - lag) / energy;
+      }
+
+      let best = -1;
+      let bestWeighted = -Infinity;
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        const octaves = Math.log2(60 * ENVELOPE_RATE / lag / PREFERRED_BPM) / PREFERENCE_WIDTH;
+        const weighted = scores[lag] * Math.exp(-0.5 * octaves * octaves);
+        if (weighted > bestWeighted) {
+          bestWeighted = weighted;
+          best = lag;
+        }
+      }
+      if (best === -1) return;
+
+      // Parabolic interpolation between neighbouring lags
+      const left = scores[best - 1];
+      const right = scores[best + 1];
+      const curve = left - 2 * scores[best] + right;
+      const offset = curve < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curve)) : 0;
+      const bpm = 60 * ENVELOPE_RATE / (best + offset);
+
+      updateTempo(bpm, scores[best], now);
+    }
+
+    /**
+     * Follow small drifts smoothly; a jump must be seen twice in a row
+     */
+    function updateTempo(bpm, confidence, now) {
+      tempo.confidence = confidence;
+      if (confidence < MIN_CONFIDENCE) {
+        tempo.locked = false;
+        return;
+      }
+
+      if (tempo.bpm && Math.abs(bpm - tempo.bpm) / tempo.bpm < 0.04) {
+        tempo.bpm += (bpm - tempo.bpm) * 0.2;
+        tempo.pending = 0;
+      } else if (!tempo.bpm || (tempo.pending && Math.abs(bpm - tempo.pending) / tempo.pending < 0.04)) {
+        tempo.bpm = bpm;
+        tempo.pending = 0;
+      } else {
+        tempo.pending = bpm;
+      }
+
+      if (!tempo.locked && tempo.bpm) {
+        tempo.locked = true;
+        // Continue the grid from the last beat
+        const period = 60 / tempo.bpm;
+        nextBeat = isFinite(lastBeat) ? lastBeat + period : now + period;
+        while (nextBeat < now) nextBeat += period;
+      }
+    }
+
+    // ------ Beats ------
+
+    /**
+     * Decide whether this frame carries a beat. Returns its strength
+     * (0 for a predicted beat with no onset) or -1.
+     */
+    function trackBeat(onset, now) {
+      if (!tempo.locked) {
+        if (!onset) return -1;
+        lastBeat = onset.time;
+        return onset.flux;
+      }
+
+      const period = 60 / tempo.bpm;
+      const tolerance = BEAT_TOLERANCE * period;
+
+      if (onset) {
+        // Late onset for a beat already given: move the grid onto it
+        if (Math.abs(onset.time - flywheelBeat) < tolerance) {
+          lastBeat = onset.time;
+          nextBeat = onset.time + period;
+          flywheelBeat = -Infinity;
+          return -1;
+        }
+        // Onset near the prediction (early or on time) is the beat
+        if (Math.abs(onset.time - nextBeat) < tolerance) {
+          lastBeat = onset.time;
+          nextBeat = onset.time + period;
+          flywheelBeat = -Infinity;
+          return onset.flux;
+        }
+      }
+
+      if (now >= nextBeat) {
+        const due = nextBeat;
+        nextBeat += period;
+        while (nextBeat <= now) nextBeat += period;
+
+        // The music stopped: keep the grid but stay quiet
+        if (now - lastOnset > MAX_GAP) return -1;
+
+        lastBeat = due;
+        flywheelBeat = due;
+        return 0;
+      }
+      return -1;
+    }
+
+    /**
+     * Feed one spectrum (dB per bin, as from getFloatFrequencyData)
+     * taken at time seconds. Returns { onset, beat, strength }.
+     */
+    function process(spectrum, time) {
+      if (time - lastTime > MAX_FRAME_GAP) {
+        // Long pause (hidden tab, new source): the old frame is not a neighbour
+        previous = null;
+        candidate = null;
+      }
+      lastTime = time;
+
+      const flux = spectralFlux(spectrum);
+
+      history.push({ time: time, flux: flux });
+      while (history.length && history[0].time < time - ENVELOPE_TIME - 1) history.shift();
+      recent.push({ time: time, flux: flux });
+      while (recent.length && recent[0].time < time - THRESHOLD_TIME) recent.shift();
+
+      const onset = pickOnset(flux);
+      candidate = {
+        time: time,
+        flux: flux,
+        before: candidate ? candidate.flux : 0,
+        threshold: adaptiveThreshold(),
+      };
+
+      if (time - lastTempoSearch >= TEMPO_INTERVAL) {
+        lastTempoSearch = time;
+        searchTempo(time);
+      }
+
+      const strength = trackBeat(onset, time);
+      return {
+        onset: !!onset,
+        beat: strength >= 0,
+        strength: Math.max(0, strength),
+      };
+    }
+
+    function setSensitivity(value) {
+      const number = Number(value);
+      if (!isFinite(number)) throw new Error('SENSITIVITY MUST BE A NUMBER');
+      settings.sensitivity = clamp(number, LIMITS.sensitivity);
+      return settings.sensitivity;
+    }
+
+    /**
+     * Tempo search range; at least an octave so every tempo has a match
+     */
+    function setRange(minBpm, maxBpm) {
+      const min = clamp(Number(minBpm), LIMITS.bpm);
+      const max = clamp(Number(maxBpm), LIMITS.bpm);
+      if (!isFinite(min) || !isFinite(max)) throw new Error('BPM MUST BE A NUMBER');
+      if (min * 2 > max) throw new Error('BPM RANGE MUST SPAN AN OCTAVE');
+
+      settings.minBpm = min;
+      settings.maxBpm = max;
+      reset();
+      return [min, max];
+    }
+
+    function getTempo() {
+      return {
+        bpm: tempo.locked ? tempo.bpm : 0,
+        confidence: tempo.confidence,
+        locked: tempo.locked,
+        lastBeat: lastBeat,
+      };
+    }
+
+    return {
+      process: process,
+      reset: reset,
+      setSensitivity: setSensitivity,
+      setRange: setRange,
+      getTempo: getTempo,
+      getSettings: function() { return Object.assign({}, settings); },
+    };
+  }
+
+  // Public API
+  return {
+    LIMITS: LIMITS,
+    create: create,
+  };
+
+})();
+
+console.log('[Beat] Module loaded');
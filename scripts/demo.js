@@ -0,0 +1,287 @@
+/**
+ * Demo Patterns
+ * Seeded attract-mode animations for the EQ bars
+ *
+ * Every pattern is a pure function of the seed and the time since it
+ * started, so a seed gives the same frames at any frame rate and on any
+ * machine. Randomness comes from a hash of (seed, step, key) rather than
+ * a generator advanced per frame, which would tie frames to the frame
+ * rate; per-pattern constants such as tempo come from mulberry32.
+ *
+ * Patterns:
+ * - sweep:  a band of light gliding back and forth
+ * - bounce: each bar a ball with its own period and height
+ * - rain:   drops landing on random bars and fading
+ * - wave:   overlapping sine ripples
+ * - song:   kick, snare, hats and a melody over a tilted spectrum
+ */
+
+const Demo = (function() {
+  'use strict';
+
+  const PATTERN_NAMES = ['sweep', 'bounce', 'rain', 'wave', 'song'];
+
+  const MAX_SEED = 0xFFFFFFFF;
+
+  const DEFAULTS = {
+    pattern: 'wave',
+    seed: 1,
+  };
+
+  // ------ Randomness ------
+
+  /**
+   * mulberry32: a small seeded generator returning numbers in [0, 1)
+   */
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), a | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Stateless number in [0, 1) for a seed and two integer keys
+   */
+  function hash(seed, a, b) {
+    let h = (seed ^ Math.imul(a | 0, 0x9E3779B1) ^ Math.imul(b | 0, 0x85EBCA77)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+    h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Smooth noise in [0, 1): hashed values at whole steps of x, eased between
+   */
+  function noise(seed, key, x) {
+    const step = Math.floor(x);
+    const frac = x - step;
+    const ease = frac * frac * (3 - 2 * frac);
+    const from = hash(seed, step, key);
+    return from + (hash(seed, step + 1, key) - from) * ease;
+  }
+
+  function gaussian(x, centre, width) {
+    const d = (x - centre) / width;
+    return Math.exp(-d * d);
+  }
+
+  // ------ Patterns ------
+  // setup(random) picks the pattern's constants for a seed;
+  // level(p, t, x, bar, channel) is one bar at time t (s), x in (0, 1)
+
+  const PATTERNS = {
+    sweep: {
+      description: 'A band of light gliding back and forth',
+      setup: function(random) {
+        return {
+          period: 3 + random() * 2,       // s per crossing
+          width: 0.08 + random() * 0.06,
+        };
+      },
+      level: function(p, t, x, bar, channel) {
+        // The right side trails the left slightly
+        const phase = (t - channel * 0.12) / p.period;
+        const cycle = phase - 2 * Math.floor(phase / 2);
+        const linear = cycle < 1 ? cycle : 2 - cycle;
+        const position = linear * linear * (3 - 2 * linear);
+        return 0.08 + 0.9 * gaussian(x, position, p.width) + 0.06 * noise(p.seed, bar * 2 + channel, t * 4);
+      },
+    },
+
+    bounce: {
+      description: 'Each bar a ball with its own period and height',
+      setup: function() {
+        return {};
+      },
+      level: function(p, t, x, bar, channel) {
+        const key = (bar * 2 + channel) * 4;
+        const period = 0.6 + 0.9 * hash(p.seed, key, 1);
+        const height = 0.55 + 0.45 * hash(p.seed, key, 3);
+        const u = t / period + hash(p.seed, key, 2);
+        const arc = u - Math.floor(u);
+        return 0.05 + height * 4 * arc * (1 - arc);
+      },
+    },
+
+    rain: {
+      description: 'Drops landing on random bars and fading',
+      setup: function(random) {
+        return {
+          tick: 0.05,                       // s between chances of a drop
+          density: 0.05 + random() * 0.03,  // chance per bar per tick
+          decay: 0.25,                      // s
+        };
+      },
+      level: function(p, t, x, bar, channel) {
+        const key = (bar * 2 + channel) * 2;
+        const now = Math.floor(t / p.tick);
+        const lookback = Math.ceil(p.decay * 4 / p.tick);
+        let level = 0.03;
+
+        for (let k = Math.max(0, now - lookback); k <= now; k++) {
+          if (hash(p.seed, k, key) >= p.density) continue;
+          const size = 0.5 + 0.5 * hash(p.seed, k, key + 1);
+          level = Math.max(level, size * Math.exp(-(t - k * p.tick) / p.decay));
+        }
+        return level;
+      },
+    },
+
+    wave: {
+      description: 'Overlapping sine ripples',
+      setup: function(random) {
+        return {
+          speeds: [2.5, 4, 1.67].map(speed => speed * (0.85 + random() * 0.3)),
+          phases: [random(), random(), random()].map(phase => phase * 2 * Math.PI),
+        };
+      },
+      level: function(p, t, x, bar, channel) {
+        const i = bar + channel * 0.5;
+        const wave1 = Math.sin(t * p.speeds[0] + i * 0.4 + p.phases[0]) * 0.3;
+        const wave2 = Math.sin(t * p.speeds[1] + i * 0.7 + p.phases[1]) * 0.2;
+        const wave3 = Math.sin(t * p.speeds[2] - i * 0.3 + p.phases[2]) * 0.15;
+        return 0.35 + wave1 + wave2 + wave3 + 0.15 * noise(p.seed, bar * 2 + channel, t * 8);
+      },
+    },
+
+    song: {
+      description: 'Kick, snare, hats and a melody over a tilted spectrum',
+      setup: function(random) {
+        return {
+          bpm: 96 + Math.round(random() * 40),
+          swing: random() * 0.08,
+        };
+      },
+      level: function(p, t, x, bar, channel) {
+        const beats = t * p.bpm / 60;
+        const beat = Math.floor(beats);
+        const phase = beats - beat;
+        const half = beats * 2 - Math.floor(beats * 2);
+
+        // Sections of four bars of 4/4 get louder or quieter
+        const energy = 0.65 + 0.35 * hash(p.seed, Math.floor(beat / 16), 7);
+
+        const kick = x < 0.3 ? (1 - x / 0.3) * Math.exp(-phase * 5) * 0.7 : 0;
+        const snare = beat % 2 === 1 ? gaussian(x, 0.5, 0.15) * Math.exp(-phase * 7) * 0.5 : 0;
+        const hats = x > 0.65 ? Math.exp(-Math.max(0, half - p.swing) * 12) * 0.35 *
+          (0.8 + 0.2 * hash(p.seed, Math.floor(beats * 2), 13 + channel)) : 0;
+
+        // A note every two beats, a little wider on one side
+        const note = 0.3 + 0.4 * hash(p.seed, Math.floor(beat / 2), 11);
+        const melody = gaussian(x, note, 0.05 + channel * 0.01) * 0.35;
+
+        const body = 0.4 - 0.2 * x + 0.08 * noise(p.seed, bar * 2 + channel, t * 6);
+        return (body + kick + snare + hats + melody) * energy;
+      },
+    },
+  };
+
+  /**
+   * A seed from user input: a whole number from 0 to 4294967295
+   */
+  function parseSeed(value) {
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error('SEED MUST BE A WHOLE NUMBER FROM 0 TO ' + MAX_SEED);
+    }
+    return seed;
+  }
+
+  function checkPattern(name) {
+    if (PATTERN_NAMES.indexOf(name) === -1) {
+      throw new Error('UNKNOWN PATTERN: ' + name);
+    }
+    return name;
+  }
+
+  /**
+   * Create a demo animation.
+   * options: { pattern, seed }
+   */
+  function create(options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const demo = {
+      pattern: checkPattern(opts.pattern),
+      seed: parseSeed(opts.seed),
+      params: null,
+    };
+    prepare();
+
+    function prepare() {
+      demo.params = PATTERNS[demo.pattern].setup(createRandom(demo.seed));
+      demo.params.seed = demo.seed;
+    }
+
+    /**
+     * Levels for bands bars on each channel, channel after channel,
+     * t seconds into the pattern
+     */
+    function render(t, bands, channels) {
+      const pattern = PATTERNS[demo.pattern];
+      const levels = new Array(bands * channels);
+
+      for (let channel = 0; channel < channels; channel++) {
+        for (let bar = 0; bar < bands; bar++) {
+          const level = pattern.level(demo.params, t, (bar + 0.5) / bands, bar, channel);
+          levels[channel * bands + bar] = Math.max(0, Math.min(1, level));
+        }
+      }
+      return levels;
+    }
+
+    /**
+     * Switch pattern; the seed stays unless one is given
+     */
+    function setPattern(name, seed) {
+      demo.pattern = checkPattern(name);
+      if (seed !== undefined) demo.seed = parseSeed(seed);
+      prepare();
+      return demo.pattern;
+    }
+
+    function setSeed(seed) {
+      demo.seed = parseSeed(seed);
+      prepare();
+      return demo.seed;
+    }
+
+    /**
+     * The pattern after the current one, wrapping round
+     */
+    function next() {
+      const index = PATTERN_NAMES.indexOf(demo.pattern);
+      return setPattern(PATTERN_NAMES[(index + 1) % PATTERN_NAMES.length]);
+    }
+
+    return {
+      render: render,
+      setPattern: setPattern,
+      setSeed: setSeed,
+      next: next,
+      getPattern: function() { return demo.pattern; },
+      getSeed: function() { return demo.seed; },
+    };
+  }
+
+  function describe(name) {
+    return PATTERNS[checkPattern(name)].description;
+  }
+
+  // Public API
+  return {
+    PATTERNS: PATTERN_NAMES,
+    MAX_SEED: MAX_SEED,
+    createRandom: createRandom,
+    hash: hash,
+    parseSeed: parseSeed,
+    describe: describe,
+    create: create,
+  };
+
+})();
+
+console.log('[Demo] Module loaded');
@@ -0,0 +1,443 @@
+/**
+ * DSP Chain
+ * Playback processing between the file source and the speakers
+ *
+ *   input -+-> preamp -> graphic EQ -> [compressor] -> wet -+-> output
+ *          +-------------------- dry -------------------------+
+ *
+ * - graphic EQ: one peaking BiquadFilterNode per band; bands are given
+ *   as edges in Hz so they can match the visualizer bars exactly
+ * - dynamics:   off, compressor (gentle 4:1) or limiter (20:1 at -1 dBFS)
+ * - bypass:     crossfades between the wet and dry paths, so switching
+ *               does not click
+ *
+ * EQ settings can be applied as curves: lists of [frequency, dB] points
+ * interpolated on a log-frequency axis. Curves work for any band count,
+ * which is how presets survive a change of visualizer layout.
+ *
+ * With a canvas, draw() shows the input (pre) and output (post) spectra
+ * behind the combined EQ response.
+ */
+
+const Dsp = (function() {
+  'use strict';
+
+  const LIMITS = {
+    gain: [-12, 12],     // dB per band
+    preamp: [-24, 12],   // dB
+  };
+
+  const DYNAMICS = {
+    off: null,
+    compressor: { threshold: -24, knee: 12, ratio: 4, attack: 0.01, release: 0.25 },
+    limiter: { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 },
+  };
+
+  // Built-in presets: curve points plus preamp headroom for the boosts
+  const PRESETS = {
+    flat: {
+      points: [[20, 0], [20000, 0]],
+      preamp: 0,
+    },
+    bass: {
+      points: [[20, 6], [80, 6], [250, 2], [500, 0], [20000, 0]],
+      preamp: -5,
+    },
+    vocal: {
+      points: [[20, -4], [150, -2], [300, 0], [1000, 1], [3000, 4], [5000, 3], [10000, 0], [20000, -1]],
+      preamp: -3,
+    },
+    loudness: {
+      points: [[20, 7], [60, 5], [200, 1.5], [500, 0], [2000, 0], [6000, 2], [12000, 4], [20000, 4]],
+      preamp: -5,
+    },
+  };
+
+  const CROSSFADE_TIME = 0.01;  // s, time constant for bypass
+  const SPECTRUM_FFT = 4096;
+  const RESPONSE_POINTS = 160;
+  const VIEW_RANGE = 15;        // dB either side of 0 for the EQ curve
+  const MIN_FREQ = 20;
+  const MAX_FREQ = 20000;
+
+  const COLORS = {
+    grid: 'rgba(0, 212, 255, 0.15)',
+    label: 'rgba(0, 212, 255, 0.6)',
+    pre: 'rgba(0, 212, 255, 0.25)',
+    post: '#00d4ff',
+    curve: '#ffaa00',
+    handle: 'rgba(255, 170, 0, 0.8)',
+  };
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * dB at a frequency from [frequency, dB] points, linear in log frequency
+   */
+  function curveAt(points, frequency) {
+    if (frequency <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      if (frequency <= points[i][0]) {
+        const a = points[i - 1];
+        const b = points[i];
+        const t = Math.log(frequency / a[0]) / Math.log(b[0] / a[0]);
+        return a[1] + (b[1] - a[1]) * t;
+      }
+    }
+    return points[points.length - 1][1];
+  }
+
+  /**
+   * |c0 + c1 z^-1 + c2 z^-2| on the unit circle at angle w
+   */
+  function biquadMagnitude(c, w) {
+    const re = c[0] + c[1] * Math.cos(w) + c[2] * Math.cos(2 * w);
+    const im = -c[1] * Math.sin(w) - c[2] * Math.sin(2 * w);
+    return Math.sqrt(re * re + im * im);
+  }
+
+  /**
+   * Create a chain in an AudioContext, optionally drawing on a canvas
+   */
+  function create(context, canvas, options) {
+    const opts = Object.assign({ bypassed: false, minDb: -100, maxDb: -20 }, options);
+    const ctx = canvas ? canvas.getContext('2d') : null;
+
+    const input = context.createGain();
+    const output = context.createGain();
+    const preamp = context.createGain();
+    const compressor = context.createDynamicsCompressor();
+    const wet = context.createGain();
+    const dry = context.createGain();
+
+    // Spectrum taps either side of the processing
+    const preAnalyser = context.createAnalyser();
+    const postAnalyser = context.createAnalyser();
+    [preAnalyser, postAnalyser].forEach(analyser => {
+      analyser.fftSize = SPECTRUM_FFT;
+      analyser.smoothingTimeConstant = 0.7;
+    });
+    const preData = new Float32Array(preAnalyser.frequencyBinCount);
+    const postData = new Float32Array(postAnalyser.frequencyBinCount);
+
+    const chain = {
+      edges: [],
+      filters: [],
+      gains: [],
+      preampDb: 0,
+      dynamics: 'off',
+      bypassed: !!opts.bypassed,
+      response: null,           // dB per RESPONSE_POINTS, cached until settings change
+    };
+
+    input.connect(dry);
+    input.connect(preamp);
+    input.connect(preAnalyser);
+    compressor.connect(wet);
+    wet.connect(output);
+    dry.connect(output);
+    output.connect(postAnalyser);
+
+    wet.gain.value = chain.bypassed ? 0 : 1;
+    dry.gain.value = chain.bypassed ? 1 : 0;
+
+    // ------ Wiring ------
+
+    /**
+     * Connect preamp -> filters -> dynamics -> wet for the current setup
+     */
+    function rewire() {
+      preamp.disconnect();
+      chain.filters.forEach(filter => filter.disconnect());
+
+      let node = preamp;
+      chain.filters.forEach(filter => {
+        node.connect(filter);
+        node = filter;
+      });
+      node.connect(chain.dynamics === 'off' ? wet : compressor);
+      chain.response = null;
+    }
+
+    /**
+     * Replace the EQ bands. edges are band boundaries in Hz (bands + 1).
+     * The current curve is carried over onto the new bands.
+     */
+    function setBands(edges) {
+      const previous = getCurve();
+      const nyquist = context.sampleRate / 2;
+
+      chain.filters.forEach(filter => filter.disconnect());
+      chain.edges = edges.slice();
+      chain.filters = [];
+      chain.gains = [];
+
+      for (let i = 0; i < edges.length - 1; i++) {
+        const low = edges[i];
+        const high = Math.min(edges[i + 1], nyquist);
+        const center = Math.sqrt(low * high);
+        const filter = context.createBiquadFilter();
+        filter.type = 'peaking';
+        filter.frequency.value = Math.min(center, nyquist * 0.95);
+        filter.Q.value = center / Math.max(1, high - low);
+        chain.filters.push(filter);
+        chain.gains.push(0);
+      }
+
+      rewire();
+      if (previous.length) applyCurve(previous);
+    }
+
+    function bandCenter(index) {
+      return Math.sqrt(chain.edges[index] * chain.edges[index + 1]);
+    }
+
+    // ------ Settings ------
+
+    function setGain(index, db) {
+      if (index < 0 || index >= chain.filters.length) throw new Error('NO BAND ' + (index + 1));
+      if (!isFinite(db)) throw new Error('GAIN MUST BE A NUMBER');
+
+      const value = clamp(Number(db), LIMITS.gain);
+      chain.gains[index] = value;
+      chain.filters[index].gain.setTargetAtTime(value, context.currentTime, CROSSFADE_TIME);
+      chain.response = null;
+      return value;
+    }
+
+    /**
+     * Set every band from a curve of [frequency, dB] points
+     */
+    function applyCurve(points) {
+      if (!points || !points.length) throw new Error('EMPTY CURVE');
+      const sorted = points.slice().sort((a, b) => a[0] - b[0]);
+      chain.filters.forEach((_, index) => setGain(index, curveAt(sorted, bandCenter(index))));
+    }
+
+    /**
+     * Current bands as [center, dB] points
+     */
+    function getCurve() {
+      return chain.gains.map((gain, index) => [bandCenter(index), gain]);
+    }
+
+    function setPreamp(db) {
+      if (!isFinite(db)) throw new Error('PREAMP MUST BE A NUMBER');
+      chain.preampDb = clamp(Number(db), LIMITS.preamp);
+      preamp.gain.setTargetAtTime(Math.pow(10, chain.preampDb / 20), context.currentTime, CROSSFADE_TIME);
+      chain.response = null;
+      return chain.preampDb;
+    }
+
+    function setDynamics(mode) {
+      if (!(mode in DYNAMICS)) {
+        throw new Error('DYNAMICS MUST BE ' + Object.keys(DYNAMICS).join(', ').toUpperCase());
+      }
+      chain.dynamics = mode;
+
+      const params = DYNAMICS[mode];
+      if (params) {
+        Object.keys(params).forEach(name => {
+          compressor[name].setValueAtTime(params[name], context.currentTime);
+        });
+      }
+      rewire();
+      return mode;
+    }
+
+    function setBypass(bypassed) {
+      chain.bypassed = !!bypassed;
+      wet.gain.setTargetAtTime(chain.bypassed ? 0 : 1, context.currentTime, CROSSFADE_TIME);
+      dry.gain.setTargetAtTime(chain.bypassed ? 1 : 0, context.currentTime, CROSSFADE_TIME);
+      return chain.bypassed;
+    }
+
+    /**
+     * Current gain reduction in dB (0 or negative)
+     */
+    function getReduction() {
+      if (chain.dynamics === 'off' || chain.bypassed) return 0;
+      const reduction = compressor.reduction;
+      return typeof reduction === 'number' ? reduction : reduction.value;
+    }
+
+    // ------ View ------
+
+    function frequencyToX(frequency, width) {
+      return Math.log(frequency / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ) * width;
+    }
+
+    function xToFrequency(x, width) {
+      return MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, x / width);
+    }
+
+    /**
+     * Combined EQ and preamp response in dB at log-spaced frequencies.
+     * Computed from the target gains (Web Audio peaking coefficients)
+     * rather than read back from the nodes, which are still gliding.
+     */
+    function computeResponse() {
+      const total = new Float32Array(RESPONSE_POINTS).fill(chain.preampDb);
+
+      chain.filters.forEach((filter, index) => {
+        const a = Math.pow(10, chain.gains[index] / 40);
+        const w0 = 2 * Math.PI * filter.frequency.value / context.sampleRate;
+        const alpha = Math.sin(w0) / (2 * filter.Q.value);
+        const cosW0 = Math.cos(w0);
+        const b = [1 + alpha * a, -2 * cosW0, 1 - alpha * a];
+        const d = [1 + alpha / a, -2 * cosW0, 1 - alpha / a];
+
+        for (let i = 0; i < RESPONSE_POINTS; i++) {
+          const frequency = MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, i / (RESPONSE_POINTS - 1));
+          const w = 2 * Math.PI * Math.min(frequency, context.sampleRate / 2) / context.sampleRate;
+          total[i] += 20 * Math.log10(biquadMagnitude(b, w) / biquadMagnitude(d, w));
+        }
+      });
+      return total;
+    }
+
+    function drawSpectrum(data, width, height, color, fill) {
+      const binWidth = context.sampleRate / 2 / data.length;
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+
+      let lastX = -1;
+      for (let bin = 1; bin < data.length; bin++) {
+        const x = frequencyToX(bin * binWidth, width);
+        if (x < 0) continue;
+        if (x > width) break;
+        if (x - lastX < 1 && bin < data.length - 1) continue; // one point per pixel
+        lastX = x;
+        const level = Math.max(0, Math.min(1, (data[bin] - opts.minDb) / (opts.maxDb - opts.minDb)));
+        ctx.lineTo(x, height - level * height);
+      }
+
+      if (fill) {
+        ctx.lineTo(lastX, height);
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    }
+
+    function draw() {
+      if (!ctx) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '8px "Share Tech Mono", monospace';
+
+      // Grid: decades and the 0 dB line of the EQ curve
+      ctx.fillStyle = COLORS.grid;
+      [100, 1000, 10000].forEach(frequency => {
+        ctx.fillRect(Math.round(frequencyToX(frequency, width)), 0, 1, height);
+      });
+      ctx.fillRect(0, Math.round(height / 2), width, 1);
+      ctx.fillStyle = COLORS.label;
+      ctx.textBaseline = 'top';
+      ctx.fillText('+' + VIEW_RANGE, 2, 2);
+      ctx.textBaseline = 'bottom';
+      ctx.fillText('-' + VIEW_RANGE, 2, height - 2);
+
+      preAnalyser.getFloatFrequencyData(preData);
+      postAnalyser.getFloatFrequencyData(postData);
+      drawSpectrum(preData, width, height, COLORS.pre, true);
+      drawSpectrum(postData, width, height, COLORS.post, false);
+
+      if (!chain.response) chain.response = computeResponse();
+      const yFor = db => height / 2 - clamp(db, [-VIEW_RANGE, VIEW_RANGE]) / VIEW_RANGE * (height / 2);
+
+      ctx.save();
+      ctx.globalAlpha = chain.bypassed ? 0.35 : 1;
+      ctx.strokeStyle = COLORS.curve;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let i = 0; i < RESPONSE_POINTS; i++) {
+        const x = i / (RESPONSE_POINTS - 1) * width;
+        if (i === 0) ctx.moveTo(x, yFor(chain.response[i]));
+        else ctx.lineTo(x, yFor(chain.response[i]));
+      }
+      ctx.stroke();
+
+      // Band handles
+      ctx.fillStyle = COLORS.handle;
+      chain.gains.forEach((gain, index) => {
+        const x = frequencyToX(bandCenter(index), width);
+        ctx.fillRect(x - 2, yFor(gain) - 2, 4, 4);
+      });
+      ctx.restore();
+    }
+
+    /**
+     * Band and gain under a point in CSS pixels, for dragging handles
+     */
+    function pick(cssX, cssY) {
+      if (!canvas || !chain.filters.length) return null;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      const frequency = xToFrequency(cssX, width);
+
+      let band = chain.edges.length - 2;
+      for (let i = 0; i < chain.edges.length - 1; i++) {
+        if (frequency < chain.edges[i + 1]) {
+          band = i;
+          break;
+        }
+      }
+
+      const gain = (height / 2 - cssY) / (height / 2) * VIEW_RANGE;
+      return { band: band, gain: clamp(Math.round(gain * 2) / 2, LIMITS.gain) };
+    }
+
+    function getSettings() {
+      return {
+        bypassed: chain.bypassed,
+        preamp: chain.preampDb,
+        dynamics: chain.dynamics,
+        bands: chain.gains.map((gain, index) => ({ frequency: bandCenter(index), gain: gain })),
+      };
+    }
+
+    return {
+      input: input,
+      output: output,
+      setBands: setBands,
+      setGain: setGain,
+      applyCurve: applyCurve,
+      getCurve: getCurve,
+      setPreamp: setPreamp,
+      setDynamics: setDynamics,
+      setBypass: setBypass,
+      isBypassed: function() { return chain.bypassed; },
+      getReduction: getReduction,
+      draw: draw,
+      pick: pick,
+      getSettings: getSettings,
+    };
+  }
+
+  // Public API
+  return {
+    LIMITS: LIMITS,
+    DYNAMICS: Object.keys(DYNAMICS),
+    PRESETS: PRESETS,
+    curveAt: curveAt,
+    create: create,
+  };
+
+})();
+
+console.log('[Dsp] Module loaded');
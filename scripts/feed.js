@@ -0,0 +1,286 @@
+/**
+ * Data Feed
+ * Streams messages from a WebSocket or Server-Sent Events endpoint
+ *
+ * Transport is picked from the URL scheme:
+ * - ws:// and wss://       -> WebSocket
+ * - http://, https://, /x  -> EventSource (SSE)
+ *
+ * Messages may be plain text or JSON of the form
+ * { "text": "...", "type": "dim" | "error" | "success" }.
+ *
+ * Unexpected disconnects retry with exponential backoff; the status
+ * moves through IDLE -> CONNECTING -> LIVE -> RECONNECTING -> ERROR.
+ */
+
+const Feed = (function() {
+  'use strict';
+
+  const STATUS = {
+    IDLE: 'IDLE',
+    CONNECTING: 'CONNECTING',
+    LIVE: 'LIVE',
+    RECONNECTING: 'RECONNECTING',
+    ERROR: 'ERROR',
+  };
+
+  const MESSAGE_TYPES = ['', 'dim', 'error', 'success'];
+
+  const CONFIG = {
+    initialDelay: 1000,
+    maxDelay: 30000,
+    backoffFactor: 2,
+    jitter: 0.2,
+    maxAttempts: 10,
+  };
+
+  const feed = {
+    status: STATUS.IDLE,
+    url: null,
+    transport: null,
+    socket: null,
+    attempts: 0,
+    retryTimer: null,
+    nextRetryAt: null,
+    messageCount: 0,
+    reconnectCount: 0,
+    lastMessageAt: null,
+    lastError: null,
+  };
+
+  const listeners = {
+    message: [],
+    status: [],
+  };
+
+  /**
+   * Subscribe to 'message' ({ text, type, raw }) or 'status' (status, info)
+   */
+  function on(event, callback) {
+    if (!listeners[event]) {
+      throw new Error('Unknown feed event: ' + event);
+    }
+    listeners[event].push(callback);
+    return function() { off(event, callback); };
+  }
+
+  function off(event, callback) {
+    const list = listeners[event];
+    if (!list) return;
+    const index = list.indexOf(callback);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  function emit(event, ...args) {
+    listeners[event].forEach(callback => {
+      try {
+        callback(...args);
+      } catch (err) {
+        console.error(`[Feed] ${event} listener failed:`, err);
+      }
+    });
+  }
+
+  function setStatus(status, detail) {
+    feed.status = status;
+    emit('status', status, detail || '');
+  }
+
+  /**
+   * Resolve a URL and pick its transport
+   */
+  function resolve(url) {
+    const parsed = new URL(url, window.location.href);
+
+    if (parsed.protocol === 'ws:' || parsed.protocol === 'wss:') {
+      return { url: parsed.href, transport: 'websocket' };
+    }
+
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      return { url: parsed.href, transport: 'sse' };
+    }
+
+    throw new Error('Unsupported protocol: ' + parsed.protocol);
+  }
+
+  function parseMessage(data) {
+    const raw = typeof data === 'string' ? data : String(data);
+
+    try {
+      const json = JSON.parse(raw);
+      if (json && typeof json === 'object' && typeof json.text === 'string') {
+        const type = MESSAGE_TYPES.indexOf(json.type) !== -1 ? json.type : '';
+        return { text: json.text, type: type, raw: raw };
+      }
+    } catch (err) {
+      // Plain text message
+    }
+
+    return { text: raw, type: '', raw: raw };
+  }
+
+  function handleMessage(data) {
+    feed.messageCount++;
+    feed.lastMessageAt = Date.now();
+    emit('message', parseMessage(data));
+  }
+
+  function handleOpen() {
+    if (feed.attempts > 0) feed.reconnectCount++;
+    feed.attempts = 0;
+    feed.lastError = null;
+    setStatus(STATUS.LIVE, feed.url);
+  }
+
+  function handleDrop(reason) {
+    closeSocket();
+    feed.lastError = reason;
+
+    if (feed.attempts >= CONFIG.maxAttempts) {
+      setStatus(STATUS.ERROR, 'GAVE UP AFTER ' + feed.attempts + ' ATTEMPTS');
+      return;
+    }
+
+    const delay = getBackoffDelay(feed.attempts);
+    feed.attempts++;
+    feed.nextRetryAt = Date.now() + delay;
+    feed.retryTimer = setTimeout(() => {
+      feed.retryTimer = null;
+      feed.nextRetryAt = null;
+      open();
+    }, delay);
+
+    setStatus(STATUS.RECONNECTING, reason + ', RETRY ' + feed.attempts + ' IN ' +
+      (delay / 1000).toFixed(1) + 'S');
+  }
+
+  function getBackoffDelay(attempt) {
+    const base = Math.min(CONFIG.maxDelay, CONFIG.initialDelay * Math.pow(CONFIG.backoffFactor, attempt));
+    const spread = base * CONFIG.jitter;
+    return Math.round(base - spread + Math.random() * spread * 2);
+  }
+
+  function open() {
+    if (feed.transport === 'websocket') {
+      openWebSocket();
+    } else {
+      openEventSource();
+    }
+  }
+
+  function openWebSocket() {
+    const socket = new WebSocket(feed.url);
+    feed.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (feed.socket === socket) handleOpen();
+    });
+    socket.addEventListener('message', event => {
+      if (feed.socket === socket) handleMessage(event.data);
+    });
+    socket.addEventListener('close', event => {
+      if (feed.socket === socket) handleDrop('CLOSED (' + event.code + ')');
+    });
+    // Browsers follow an error with close; whichever comes first wins
+    socket.addEventListener('error', () => {
+      if (feed.socket === socket) handleDrop('CONNECTION ERROR');
+    });
+  }
+
+  function openEventSource() {
+    const source = new EventSource(feed.url);
+    feed.socket = source;
+
+    source.addEventListener('open', () => {
+      if (feed.socket === source) handleOpen();
+    });
+    source.addEventListener('message', event => {
+      if (feed.socket === source) handleMessage(event.data);
+    });
+    // EventSource retries on its own with a fixed delay; take over so
+    // both transports share the same backoff and status reporting
+    source.addEventListener('error', () => {
+      if (feed.socket === source) handleDrop('CONNECTION LOST');
+    });
+  }
+
+  function closeSocket() {
+    const socket = feed.socket;
+    feed.socket = null;
+    if (socket) socket.close();
+  }
+
+  function clearRetry() {
+    if (feed.retryTimer) {
+      clearTimeout(feed.retryTimer);
+      feed.retryTimer = null;
+      feed.nextRetryAt = null;
+    }
+  }
+
+  /**
+   * Connect to a feed URL, replacing any existing connection
+   */
+  function connect(url) {
+    const target = resolve(url);
+
+    disconnect(true);
+
+    feed.url = target.url;
+    feed.transport = target.transport;
+    feed.attempts = 0;
+    feed.messageCount = 0;
+    feed.reconnectCount = 0;
+    feed.lastMessageAt = null;
+    feed.lastError = null;
+
+    setStatus(STATUS.CONNECTING, feed.url);
+
+    try {
+      open();
+    } catch (err) {
+      feed.lastError = err.message;
+      setStatus(STATUS.ERROR, err.message);
+    }
+
+    return getInfo();
+  }
+
+  function disconnect(silent) {
+    clearRetry();
+    closeSocket();
+    feed.attempts = 0;
+
+    if (!silent && feed.status !== STATUS.IDLE) {
+      setStatus(STATUS.IDLE, feed.url || '');
+    }
+  }
+
+  function getInfo() {
+    return {
+      status: feed.status,
+      url: feed.url,
+      transport: feed.transport,
+      messages: feed.messageCount,
+      reconnects: feed.reconnectCount,
+      attempts: feed.attempts,
+      lastMessageAt: feed.lastMessageAt,
+      nextRetryIn: feed.nextRetryAt ? Math.max(0, feed.nextRetryAt - Date.now()) : null,
+      lastError: feed.lastError,
+    };
+  }
+
+  // Public API
+  return {
+    STATUS: STATUS,
+    connect: connect,
+    disconnect: function() { disconnect(false); },
+    getStatus: function() { return feed.status; },
+    getInfo: getInfo,
+    on: on,
+    off: off,
+  };
+
+})();
+
+console.log('[Feed] Module loaded');
@@ -0,0 +1,389 @@
+/**
+ * Signal Generator
+ * Test signals as a Web Audio source
+ *
+ * Signals:
+ * - sine, square, sawtooth, triangle: one oscillator at a set frequency
+ * - white, pink: looped noise buffers, independent on each channel
+ * - sweep:     a sine gliding from one frequency to another, log or
+ *              linear, repeating
+ * - multitone: several sines summed, each at an equal share of the level
+ *
+ * Level is the peak in dBFS. Each signal plays through its own fade
+ * gain, so starting, stopping and switching signals fade rather than
+ * click, and level changes ramp the output gain.
+ */
+
+const Generator = (function() {
+  'use strict';
+
+  const OSCILLATORS = ['sine', 'square', 'sawtooth', 'triangle'];
+  const SIGNALS = OSCILLATORS.concat(['white', 'pink', 'sweep', 'multitone']);
+  const SWEEP_MODES = ['log', 'linear'];
+
+  const LIMITS = {
+    frequency: [1, 24000],  // Hz; also capped at Nyquist
+    level: [-60, 0],        // dBFS
+    sweepTime: [0.5, 120],  // s
+    tones: 16,
+  };
+
+  const DEFAULTS = {
+    signal: 'sine',
+    frequency: 1000,
+    level: -12,
+    sweep: { from: 20, to: 20000, time: 10, mode: 'log' },
+    // Octave-band centres, 31.5 Hz to 16 kHz
+    tones: [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+  };
+
+  const NOISE_SECONDS = 4;
+  const RAMP_TIME = 0.01;      // s, time constant for fades and level changes
+  const STOP_DELAY = 0.06;     // s before sources stop after the fade
+  const SWEEP_LOOKAHEAD = 0.2; // s the next sweep is scheduled ahead
+
+  // Noise buffers per context, made on first use
+  const noiseBuffers = new WeakMap();
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  /**
+   * Stereo noise normalised to a peak of 1. Pink uses Paul Kellet's
+   * filter (-3 dB/octave within 0.05 dB above 9.2 Hz at 44.1 kHz).
+   */
+  function makeNoise(context, colour) {
+    const length = Math.round(context.sampleRate * NOISE_SECONDS);
+    const buffer = context.createBuffer(2, length, context.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+      let peak = 0;
+
+      for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        if (colour === 'pink') {
+          b0 = 0.99886 * b0 + white * 0.0555179;
+          b1 = 0.99332 * b1 + white * 0.0750759;
+          b2 = 0.96900 * b2 + white * 0.1538520;
+          b3 = 0.86650 * b3 + white * 0.3104856;
+          b4 = 0.55000 * b4 + white * 0.5329522;
+          b5 = -0.7616 * b5 - white * 0.0168980;
+          data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+          b6 = white * 0.115926;
+        } else {
+          data[i] = white;
+        }
+        const magnitude = Math.abs(data[i]);
+        if (magnitude > peak) peak = magnitude;
+      }
+
+      for (let i = 0; i < length; i++) data[i] /= peak;
+    }
+    return buffer;
+  }
+
+  function getNoise(context, colour) {
+    let buffers = noiseBuffers.get(context);
+    if (!buffers) {
+      buffers = {};
+      noiseBuffers.set(context, buffers);
+    }
+    if (!buffers[colour]) buffers[colour] = makeNoise(context, colour);
+    return buffers[colour];
+  }
+
+  /**
+   * Create a generator. Connect generator.output wherever the signal
+   * should go; it is silent until start(), and stop() disconnects it
+   * once the fade has finished.
+   * options: { signal, frequency, level, sweep, tones }
+   */
+  function create(context, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const nyquist = context.sampleRate / 2;
+    const settings = {
+      signal: SIGNALS.indexOf(opts.signal) !== -1 ? opts.signal : DEFAULTS.signal,
+      frequency: clampFrequency(opts.frequency),
+      level: clamp(opts.level, LIMITS.level),
+      sweep: Object.assign({}, DEFAULTS.sweep, opts.sweep),
+      tones: opts.tones.slice(),
+    };
+
+    const output = context.createGain();
+    output.gain.value = dbToGain(settings.level);
+
+    let voice = null;     // { fade, sources } for the current signal
+    let running = false;
+    let sweepTimer = null;
+    let disconnectTimer = null;
+
+    function clampFrequency(hz) {
+      return Math.min(clamp(hz, LIMITS.frequency), nyquist);
+    }
+
+    // ------ Sources ------
+
+    function startSources() {
+      const now = context.currentTime;
+      const signal = settings.signal;
+      const fade = context.createGain();
+      const sources = [];
+
+      fade.gain.value = 0;
+      fade.connect(output);
+
+      if (OSCILLATORS.indexOf(signal) !== -1) {
+        const oscillator = context.createOscillator();
+        oscillator.type = signal;
+        oscillator.frequency.value = settings.frequency;
+        sources.push(oscillator);
+      } else if (signal === 'white' || signal === 'pink') {
+        const noise = context.createBufferSource();
+        noise.buffer = getNoise(context, signal);
+        noise.loop = true;
+        sources.push(noise);
+      } else if (signal === 'sweep') {
+        sources.push(context.createOscillator());
+      } else if (signal === 'multitone') {
+        settings.tones.forEach(hz => {
+          const oscillator = context.createOscillator();
+          oscillator.frequency.value = clampFrequency(hz);
+          sources.push(oscillator);
+        });
+      }
+
+      sources.forEach(source => {
+        source.connect(fade);
+        source.start(now);
+      });
+      voice = { fade: fade, sources: sources };
+      if (signal === 'sweep') scheduleSweep(sources[0], now);
+
+      // Equal shares keep a multitone's summed peak at the level
+      fade.gain.setTargetAtTime(1 / sources.length, now, RAMP_TIME);
+    }
+
+    /**
+     * Fade the current signal out, then stop and drop its nodes
+     */
+    function stopSources() {
+      clearTimeout(sweepTimer);
+      sweepTimer = null;
+      if (!voice) return;
+
+      const old = voice;
+      const now = context.currentTime;
+      voice = null;
+
+      old.fade.gain.setTargetAtTime(0, now, RAMP_TIME);
+      old.sources.forEach(source => source.stop(now + STOP_DELAY));
+      setTimeout(() => {
+        old.sources.forEach(source => source.disconnect());
+        old.fade.disconnect();
+      }, STOP_DELAY * 1000 + 50);
+    }
+
+    /**
+     * One pass of the sweep from startTime, then the next just before it ends
+     */
+    function scheduleSweep(oscillator, startTime) {
+      const sweep = settings.sweep;
+      const from = clampFrequency(sweep.from);
+      const to = clampFrequency(sweep.to);
+      const end = startTime + sweep.time;
+      const frequency = oscillator.frequency;
+
+      frequency.setValueAtTime(from, startTime);
+      if (sweep.mode === 'log') {
+        frequency.exponentialRampToValueAtTime(to, end);
+      } else {
+        frequency.linearRampToValueAtTime(to, end);
+      }
+
+      const delay = Math.max(0, (end - context.currentTime - SWEEP_LOOKAHEAD) * 1000);
+      sweepTimer = setTimeout(() => {
+        if (voice && voice.sources[0] === oscillator) scheduleSweep(oscillator, end);
+      }, delay);
+    }
+
+    // ------ Control ------
+
+    function start() {
+      clearTimeout(disconnectTimer);
+      disconnectTimer = null;
+
+      stopSources();
+      running = true;
+      startSources();
+    }
+
+    /**
+     * Fade out, then disconnect the output from wherever it was routed
+     */
+    function stop() {
+      if (!running) return;
+      running = false;
+      stopSources();
+
+      disconnectTimer = setTimeout(() => {
+        disconnectTimer = null;
+        output.disconnect();
+      }, STOP_DELAY * 1000);
+    }
+
+    /**
+     * Apply a change; a running generator crossfades to the new sources
+     */
+    function restartIfRunning() {
+      if (!running) return;
+      stopSources();
+      startSources();
+    }
+
+    function setSignal(signal) {
+      if (SIGNALS.indexOf(signal) === -1) {
+        throw new Error('SIGNAL MUST BE ' + SIGNALS.join(', ').toUpperCase());
+      }
+      settings.signal = signal;
+      restartIfRunning();
+      return signal;
+    }
+
+    function setFrequency(hz) {
+      const value = Number(hz);
+      if (!isFinite(value) || value <= 0) throw new Error('FREQUENCY MUST BE A POSITIVE NUMBER');
+      settings.frequency = clampFrequency(value);
+
+      if (running && OSCILLATORS.indexOf(settings.signal) !== -1) {
+        voice.sources[0].frequency.setTargetAtTime(settings.frequency, context.currentTime, RAMP_TIME);
+      }
+      return settings.frequency;
+    }
+
+    function setLevel(db) {
+      const value = Number(db);
+      if (!isFinite(value)) throw new Error('LEVEL MUST BE A NUMBER');
+      settings.level = clamp(value, LIMITS.level);
+
+      output.gain.setTargetAtTime(dbToGain(settings.level), context.currentTime, RAMP_TIME);
+      return settings.level;
+    }
+
+    function setSweep(from, to, time, mode) {
+      const sweep = {
+        from: Number(from),
+        to: Number(to),
+        time: Number(time === undefined ? settings.sweep.time : time),
+        mode: mode || settings.sweep.mode,
+      };
+      if (!(sweep.from > 0) || !(sweep.to > 0) || !isFinite(sweep.time)) {
+        throw new Error('SWEEP NEEDS POSITIVE FREQUENCIES AND A TIME');
+      }
+      if (SWEEP_MODES.indexOf(sweep.mode) === -1) {
+        throw new Error('SWEEP MODE MUST BE ' + SWEEP_MODES.join(' OR ').toUpperCase());
+      }
+
+      sweep.from = clampFrequency(sweep.from);
+      sweep.to = clampFrequency(sweep.to);
+      sweep.time = clamp(sweep.time, LIMITS.sweepTime);
+      settings.sweep = sweep;
+      settings.signal = 'sweep';
+      restartIfRunning();
+      return Object.assign({}, sweep);
+    }
+
+    function setTones(list) {
+      const tones = list.map(Number);
+      if (!tones.length || tones.some(hz => !(hz > 0))) {
+        throw new Error('TONES MUST BE POSITIVE FREQUENCIES');
+      }
+      if (tones.length > LIMITS.tones) throw new Error('AT MOST ' + LIMITS.tones + ' TONES');
+
+      settings.tones = tones.map(clampFrequency);
+      settings.signal = 'multitone';
+      restartIfRunning();
+      return settings.tones.slice();
+    }
+
+    /**
+     * Short description for the LCD and logs, e.g. "SINE 1000 HZ -12 DB"
+     */
+    function describe() {
+      const signal = settings.signal;
+      const level = ' ' + settings.level + ' DB';
+      if (OSCILLATORS.indexOf(signal) !== -1) {
+        return signal.toUpperCase() + ' ' + formatHz(settings.frequency) + level;
+      }
+      if (signal === 'sweep') {
+        return 'SWEEP ' + formatHz(settings.sweep.from) + '-' + formatHz(settings.sweep.to) + level;
+      }
+      if (signal === 'multitone') {
+        return settings.tones.length + ' TONES' + level;
+      }
+      return signal.toUpperCase() + ' NOISE' + level;
+    }
+
+    /**
+     * Frequency the sweep is passing right now, or null
+     */
+    function getSweepFrequency() {
+      return running && settings.signal === 'sweep' && voice ? voice.sources[0].frequency.value : null;
+    }
+
+    function getSettings() {
+      return {
+        signal: settings.signal,
+        frequency: settings.frequency,
+        level: settings.level,
+        sweep: Object.assign({}, settings.sweep),
+        tones: settings.tones.slice(),
+        running: running,
+      };
+    }
+
+    return {
+      output: output,
+      start: start,
+      stop: stop,
+      isRunning: function() { return running; },
+      setSignal: setSignal,
+      setFrequency: setFrequency,
+      setLevel: setLevel,
+      setSweep: setSweep,
+      setTones: setTones,
+      describe: describe,
+      getSweepFrequency: getSweepFrequency,
+      getSettings: getSettings,
+    };
+  }
+
+  /**
+   * "440 HZ", "1.5K HZ"
+   */
+  function formatHz(hz) {
+    if (hz >= 1000) {
+      const k = hz / 1000;
+      return (Number.isInteger(k) ? k : k.toFixed(1)) + 'K HZ';
+    }
+    return (Number.isInteger(hz) ? hz : hz.toFixed(1)) + ' HZ';
+  }
+
+  // Public API
+  return {
+    SIGNALS: SIGNALS,
+    SWEEP_MODES: SWEEP_MODES,
+    LIMITS: LIMITS,
+    formatHz: formatHz,
+    create: create,
+  };
+
+})();
+
+console.log('[Generator] Module loaded');
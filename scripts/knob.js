@@ -0,0 +1,188 @@
+/**
+ * Rotary Knob
+ * Reusable control for .control-knob elements
+ *
+ * Features:
+ * - Drag up/right to increase (hold Shift for fine control)
+ * - Mouse wheel, arrow keys, PageUp/PageDown, Home/End
+ * - Double-click resets to the default value
+ * - Optional persistence to localStorage
+ *
+ * The marker is rotated through the --knob-angle custom property, so
+ * the knob face and its lighting stay fixed like a real control.
+ */
+
+const Knob = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    min: 0,
+    max: 100,
+    step: 1,
+    value: 50,
+    minAngle: -135,
+    maxAngle: 135,
+    dragDistance: 150,   // pixels for a full sweep
+    fineFactor: 0.2,     // drag multiplier while Shift is held
+    label: '',
+    storageKey: null,
+    onChange: null,      // (value) => void
+  };
+
+  function loadValue(key) {
+    if (!key) return null;
+    try {
+      const saved = parseFloat(localStorage.getItem(key));
+      return isFinite(saved) ? saved : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveValue(key, value) {
+    if (!key) return;
+    try {
+      localStorage.setItem(key, String(value));
+    } catch (err) {
+      console.warn('[Knob] Could not save value:', err);
+    }
+  }
+
+  /**
+   * Turn an element into a knob
+   */
+  function create(el, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const defaultValue = opts.value;
+    const saved = loadValue(opts.storageKey);
+    let value = clamp(saved !== null ? saved : opts.value);
+    let drag = null;
+
+    if (!el.querySelector('.knob-marker')) {
+      const marker = document.createElement('div');
+      marker.className = 'knob-marker';
+      el.appendChild(marker);
+    }
+
+    el.setAttribute('role', 'slider');
+    el.setAttribute('tabindex', '0');
+    el.setAttribute('aria-valuemin', opts.min);
+    el.setAttribute('aria-valuemax', opts.max);
+    if (opts.label) el.setAttribute('aria-label', opts.label);
+
+    function clamp(v) {
+      const stepped = Math.round((v - opts.min) / opts.step) * opts.step + opts.min;
+      return Math.max(opts.min, Math.min(opts.max, +stepped.toFixed(6)));
+    }
+
+    function render() {
+      const ratio = (value - opts.min) / (opts.max - opts.min);
+      const angle = opts.minAngle + ratio * (opts.maxAngle - opts.minAngle);
+      el.style.setProperty('--knob-angle', angle + 'deg');
+      el.setAttribute('aria-valuenow', value);
+    }
+
+    function setValue(next) {
+      const clamped = clamp(next);
+      if (clamped === value) return value;
+      value = clamped;
+      render();
+      saveValue(opts.storageKey, value);
+      if (typeof opts.onChange === 'function') opts.onChange(value);
+      return value;
+    }
+
+    // ------ Pointer ------
+
+    function handlePointerDown(event) {
+      if (event.button !== 0) return;
+      event.preventDefault();
+      el.focus();
+      el.setPointerCapture(event.pointerId);
+      el.classList.add('control-knob--dragging');
+      drag = { x: event.clientX, y: event.clientY, value: value };
+    }
+
+    function handlePointerMove(event) {
+      if (!drag) return;
+      const distance = (drag.y - event.clientY) + (event.clientX - drag.x);
+      const factor = event.shiftKey ? opts.fineFactor : 1;
+      const range = opts.max - opts.min;
+      setValue(drag.value + distance / opts.dragDistance * range * factor);
+    }
+
+    function handlePointerUp(event) {
+      if (!drag) return;
+      drag = null;
+      el.classList.remove('control-knob--dragging');
+      if (el.hasPointerCapture(event.pointerId)) el.releasePointerCapture(event.pointerId);
+    }
+
+    // ------ Wheel and keyboard ------
+
+    function handleWheel(event) {
+      event.preventDefault();
+      const steps = event.deltaY < 0 ? 1 : -1;
+      setValue(value + steps * opts.step * (event.shiftKey ? 1 : 2));
+    }
+
+    function handleKeyDown(event) {
+      const page = (opts.max - opts.min) / 10;
+
+      switch (event.key) {
+        case 'ArrowUp':
+        case 'ArrowRight':
+          setValue(value + opts.step);
+          break;
+        case 'ArrowDown':
+        case 'ArrowLeft':
+          setValue(value - opts.step);
+          break;
+        case 'PageUp':
+          setValue(value + page);
+          break;
+        case 'PageDown':
+          setValue(value - page);
+          break;
+        case 'Home':
+          setValue(opts.min);
+          break;
+        case 'End':
+          setValue(opts.max);
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    }
+
+    el.addEventListener('pointerdown', handlePointerDown);
+    el.addEventListener('pointermove', handlePointerMove);
+    el.addEventListener('pointerup', handlePointerUp);
+    el.addEventListener('pointercancel', handlePointerUp);
+    el.addEventListener('wheel', handleWheel, { passive: false });
+    el.addEventListener('keydown', handleKeyDown);
+    el.addEventListener('dblclick', () => setValue(defaultValue));
+
+    render();
+
+    return {
+      el: el,
+      getValue: function() { return value; },
+      setValue: function(next) { return setValue(next); },
+      reset: function() { return setValue(defaultValue); },
+      // Push the current value to onChange, e.g. to apply a restored position
+      sync: function() {
+        if (typeof opts.onChange === 'function') opts.onChange(value);
+      },
+    };
+  }
+
+  // Public API
+  return {
+    create: create,
+  };
+
+})();
+
+console.log('[Knob] Module loaded');
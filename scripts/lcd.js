@@ -0,0 +1,510 @@
+/**
+ * LCD
+ * Character-grid renderer for the stereo unit's output display
+ *
+ * The display is a fixed row of character cells drawn on a canvas in
+ * one of three styles:
+ * - plain:     the LCD font, one glyph centered per cell
+ * - segment:   14-segment glyphs with unlit segments ghosted
+ * - dotmatrix: 5x7 dot glyphs (HD44780-style font) with unlit dots ghosted
+ *
+ * Text longer than the grid scrolls as a marquee, one cell per step.
+ * Content is a string or a list of { text, blink, inverse } segments,
+ * so parts of a message can blink or be drawn inverted.
+ *
+ * Messages are queued so transitions never cut each other off. Each one
+ * enters with an effect (none, wipe, typewriter); a message with a
+ * duration is an announcement that holds for that long and then gives
+ * the display back to the last message without one.
+ *
+ * The app calls update(timestamp) every frame; the canvas is only
+ * redrawn when the visible cells change.
+ */
+
+const Lcd = (function() {
+  'use strict';
+
+  const STYLES = ['plain', 'segment', 'dotmatrix'];
+  const EFFECTS = ['none', 'wipe', 'typewriter'];
+
+  const DEFAULTS = {
+    style: 'plain',
+    columns: 20,
+    marqueeRate: 4,   // cells per second
+  };
+
+  const LIMITS = {
+    columns: [8, 40],
+    marqueeRate: [1, 20],
+  };
+
+  const MARQUEE_GAP = 3;          // blank cells between repeats
+  const MARQUEE_HOLD = 1500;      // ms at the start of each pass
+  const BLINK_INTERVAL = 400;     // ms on, ms off
+  const WIPE_TIME = 400;          // ms for the wipe to cross the grid
+  const TYPE_INTERVAL = 45;       // ms per typed character
+
+  const COLORS = {
+    lit: '#00d4ff',
+    glow: 'rgba(0, 212, 255, 0.5)',
+    ghost: 'rgba(0, 212, 255, 0.07)',
+    inverseText: '#001014',
+  };
+
+  // 5x7 font for 0x20-0x5F, five columns per glyph, bit 0 = top row
+  const DOT_FONT = [
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, // space !
+    0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7F, 0x14, 0x7F, 0x14, // " #
+    0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, // $ %
+    0x36, 0x49, 0x55, 0x22, 0x50, 0x00, 0x05, 0x03, 0x00, 0x00, // & '
+    0x00, 0x1C, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1C, 0x00, // ( )
+    0x08, 0x2A, 0x1C, 0x2A, 0x08, 0x08, 0x08, 0x3E, 0x08, 0x08, // * +
+    0x00, 0x50, 0x30, 0x00, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, // , -
+    0x00, 0x60, 0x60, 0x00, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02, // . /
+    0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, // 0 1
+    0x42, 0x61, 0x51, 0x49, 0x46, 0x21, 0x41, 0x45, 0x4B, 0x31, // 2 3
+    0x18, 0x14, 0x12, 0x7F, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, // 4 5
+    0x3C, 0x4A, 0x49, 0x49, 0x30, 0x01, 0x71, 0x09, 0x05, 0x03, // 6 7
+    0x36, 0x49, 0x49, 0x49, 0x36, 0x06, 0x49, 0x49, 0x29, 0x1E, // 8 9
+    0x00, 0x36, 0x36, 0x00, 0x00, 0x00, 0x56, 0x36, 0x00, 0x00, // : ;
+    0x08, 0x14, 0x22, 0x41, 0x00, 0x14, 0x14, 0x14, 0x14, 0x14, // < =
+    0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x51, 0x09, 0x06, // > ?
+    0x32, 0x49, 0x79, 0x41, 0x3E, 0x7E, 0x11, 0x11, 0x11, 0x7E, // @ A
+    0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22, // B C
+    0x7F, 0x41, 0x41, 0x22, 0x1C, 0x7F, 0x49, 0x49, 0x49, 0x41, // D E
+    0x7F, 0x09, 0x09, 0x01, 0x01, 0x3E, 0x41, 0x41, 0x51, 0x32, // F G
+    0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, // H I
+    0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41, // J K
+    0x7F, 0x40, 0x40, 0x40, 0x40, 0x7F, 0x02, 0x04, 0x02, 0x7F, // L M
+    0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E, // N O
+    0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, // P Q
+    0x7F, 0x09, 0x19, 0x29, 0x46, 0x46, 0x49, 0x49, 0x49, 0x31, // R S
+    0x01, 0x01, 0x7F, 0x01, 0x01, 0x3F, 0x40, 0x40, 0x40, 0x3F, // T U
+    0x1F, 0x20, 0x40, 0x20, 0x1F, 0x7F, 0x20, 0x18, 0x20, 0x7F, // V W
+    0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, // X Y
+    0x61, 0x51, 0x49, 0x45, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x00, // Z [
+    0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x7F, 0x00, // \ ]
+    0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40, // ^ _
+  ];
+
+  /*
+   * 14-segment layout:
+   *
+   *    aaaaaaa
+   *   f i j k b
+   *   f  ijk  b
+   *    ggg hhh
+   *   e  lmn  c
+   *   e l m n c
+   *    ddddddd  p
+   */
+  const SEGMENT_FONT = {
+    ' ': '', '!': 'bcp', '"': 'fj', '#': 'bcdghjm', '$': 'acdfghjm', '%': 'cfkl',
+    '&': 'acdegijn', '\'': 'j', '(': 'kn', ')': 'il', '*': 'ghijklmn', '+': 'ghjm',
+    ',': 'l', '-': 'gh', '.': 'p', '/': 'kl',
+    '0': 'abcdefkl', '1': 'bck', '2': 'abdegh', '3': 'abcdh', '4': 'bcfgh',
+    '5': 'adfgn', '6': 'acdefgh', '7': 'abc', '8': 'abcdefgh', '9': 'abcdfgh',
+    ':': 'jm', ';': 'jl', '<': 'kn', '=': 'dgh', '>': 'il', '?': 'abhm', '@': 'abdefhj',
+    'A': 'abcefgh', 'B': 'abcdhjm', 'C': 'adef', 'D': 'abcdjm', 'E': 'adefg',
+    'F': 'aefg', 'G': 'acdefh', 'H': 'bcefgh', 'I': 'adjm', 'J': 'bcde',
+    'K': 'efgkn', 'L': 'def', 'M': 'bcefik', 'N': 'bcefin', 'O': 'abcdef',
+    'P': 'abefgh', 'Q': 'abcdefn', 'R': 'abefghn', 'S': 'acdfgh', 'T': 'ajm',
+    'U': 'bcdef', 'V': 'efkl', 'W': 'bcefln', 'X': 'ikln', 'Y': 'ikm', 'Z': 'adkl',
+    '[': 'adef', '\\': 'in', ']': 'abcd', '^': 'ln', '_': 'd', '|': 'jm',
+  };
+
+  const ALL_SEGMENTS = 'abcdefghijklmn';
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * Uppercase, with accents stripped so the glyph fonts can show them
+   */
+  function foldCharacter(ch) {
+    return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase() || ch;
+  }
+
+  /**
+   * String or segment list to a flat list of cells
+   */
+  function toCells(content, options) {
+    const opts = options || {};
+    const segments = Array.isArray(content) ? content : [{ text: String(content) }];
+    const cells = [];
+
+    segments.forEach(segment => {
+      Array.from(String(segment.text)).forEach(ch => {
+        cells.push({
+          ch: ch,
+          blink: !!(segment.blink || opts.blink),
+          inverse: !!(segment.inverse || opts.inverse),
+        });
+      });
+    });
+    return cells;
+  }
+
+  function cellsToText(cells) {
+    return cells.map(cell => cell.ch).join('');
+  }
+
+  const BLANK = { ch: ' ', blink: false, inverse: false };
+
+  /**
+   * Create a display on a canvas
+   */
+  function create(canvas, options) {
+    const ctx = canvas.getContext('2d');
+    const settings = Object.assign({}, DEFAULTS, options);
+
+    let width = 0;
+    let height = 0;
+    let drawnKey = '';
+
+    const queue = [];
+    let base = { cells: [], effect: 'none' };    // shown when no announcement is up
+    let current = base;
+    let currentSince = 0;                          // when current started scrolling
+    let transition = null;                         // { from, effect, start, length }
+    let holdUntil = 0;                             // announcement expiry
+    let now = 0;
+
+    // ------ Queue ------
+
+    /**
+     * Queue content. options: { effect, duration (ms), blink, inverse }
+     */
+    function show(content, options) {
+      const opts = options || {};
+      const effect = opts.effect || 'none';
+      if (EFFECTS.indexOf(effect) === -1) throw new Error('UNKNOWN EFFECT: ' + effect);
+
+      const item = {
+        cells: toCells(content, opts),
+        effect: effect,
+        duration: Math.max(0, Number(opts.duration) || 0),
+      };
+
+      // Status text arriving during an announcement becomes what the
+      // display returns to, instead of cutting the announcement short
+      if (!item.duration && holdUntil) {
+        base = item;
+        return;
+      }
+
+      queue.push(item);
+
+      // On an idle display the message starts at once
+      if (!transition && !holdUntil) {
+        now = performance.now();
+        advance();
+      }
+    }
+
+    function startMessage(item) {
+      const from = visibleCells();
+      current = item;
+      if (!item.duration) base = item;
+
+      transition = item.effect === 'none' ? null : {
+        from: from,
+        effect: item.effect,
+        start: now,
+        length: item.effect === 'wipe'
+          ? WIPE_TIME
+          : TYPE_INTERVAL * Math.max(1, Math.min(settings.columns, item.cells.length)),
+      };
+      currentSince = now + (transition ? transition.length : 0);
+      holdUntil = item.duration ? currentSince + item.duration : 0;
+    }
+
+    /**
+     * Move to the next queued message, or back to the base text once
+     * an announcement has expired
+     */
+    function advance() {
+      if (queue.length) {
+        startMessage(queue.shift());
+      } else if (current !== base) {
+        // Return to the base text the way the announcement came in
+        startMessage(Object.assign({}, base, { effect: current.effect }));
+      } else {
+        holdUntil = 0;
+      }
+    }
+
+    // ------ Layout ------
+
+    /**
+     * The columns-wide window of the current message at the current time
+     */
+    function visibleCells() {
+      const cells = current.cells;
+      const columns = settings.columns;
+      const window = [];
+
+      let offset = 0;
+      if (cells.length > columns && !transition) {
+        // Marquee: hold, scroll one full pass, hold again
+        const cycle = cells.length + MARQUEE_GAP;
+        const stepTime = 1000 / settings.marqueeRate;
+        const passTime = MARQUEE_HOLD + cycle * stepTime;
+        const elapsed = Math.max(0, now - currentSince) % passTime;
+        offset = Math.max(0, Math.floor((elapsed - MARQUEE_HOLD) / stepTime));
+
+        for (let x = 0; x < columns; x++) {
+          const index = (offset + x) % cycle;
+          window.push(index < cells.length ? cells[index] : BLANK);
+        }
+        return window;
+      }
+
+      for (let x = 0; x < columns; x++) window.push(cells[x] || BLANK);
+      return window;
+    }
+
+    /**
+     * Cells to draw this frame, with transitions applied
+     */
+    function frameCells() {
+      const next = visibleCells();
+      if (!transition) return next;
+
+      const progress = Math.min(1, (now - transition.start) / transition.length);
+      const columns = settings.columns;
+
+      if (transition.effect === 'wipe') {
+        // A solid bar sweeps across, new text behind it
+        const edge = Math.floor(progress * (columns + 1));
+        return next.map((cell, x) => {
+          if (x === edge) return { ch: ' ', blink: false, inverse: true };
+          return x < edge ? cell : transition.from[x];
+        });
+      }
+
+      // Typewriter: blank the display, then type with a block cursor
+      const typed = Math.floor(progress * Math.min(columns, current.cells.length));
+      return next.map((cell, x) => {
+        if (x < typed) return cell;
+        if (x === typed && progress < 1) return { ch: ' ', blink: false, inverse: true };
+        return BLANK;
+      });
+    }
+
+    // ------ Drawing ------
+
+    function resize() {
+      const ratio = window.devicePixelRatio || 1;
+      const w = Math.max(1, Math.round(canvas.clientWidth * ratio));
+      const h = Math.max(1, Math.round(canvas.clientHeight * ratio));
+      if (w === width && h === height) return false;
+      width = w;
+      height = h;
+      canvas.width = w;
+      canvas.height = h;
+      return true;
+    }
+
+    function drawPlain(ch, x, y, w, h, color) {
+      ctx.fillStyle = color;
+      ctx.fillText(ch, x + w / 2, y + h / 2);
+    }
+
+    function drawDots(ch, x, y, w, h, color, ghost) {
+      const code = foldCharacter(ch).charCodeAt(0);
+      const index = code >= 0x20 && code <= 0x5F ? code - 0x20 : 0x1F; // '?'
+      const pitch = Math.min(w / 6, h / 8);
+      const size = Math.max(1, pitch * 0.8);
+      const left = x + (w - pitch * 5) / 2;
+      const top = y + (h - pitch * 7) / 2;
+
+      for (let column = 0; column < 5; column++) {
+        const bits = DOT_FONT[index * 5 + column];
+        for (let row = 0; row < 7; row++) {
+          const lit = (bits >> row) & 1;
+          if (!lit && !ghost) continue;
+          ctx.fillStyle = lit ? color : ghost;
+          ctx.fillRect(left + column * pitch, top + row * pitch, size, size);
+        }
+      }
+    }
+
+    function drawSegments(ch, x, y, w, h, color, ghost) {
+      const folded = foldCharacter(ch);
+      const lit = SEGMENT_FONT[folded] !== undefined ? SEGMENT_FONT[folded] : SEGMENT_FONT['?'];
+      const padX = w * 0.2;
+      const padY = h * 0.14;
+      const x0 = x + padX;
+      const x1 = x + w - padX;
+      const xc = (x0 + x1) / 2;
+      const y0 = y + padY;
+      const y1 = y + h - padY;
+      const ym = (y0 + y1) / 2;
+      const slant = (w - padX * 2) * 0.12;
+      const gap = Math.max(1, w * 0.07);
+
+      // Slight italic like a real display
+      const point = (px, py) => [px + slant * (ym - py) / (ym - y0), py];
+      const ends = {
+        a: [x0, y0, x1, y0], b: [x1, y0, x1, ym], c: [x1, ym, x1, y1],
+        d: [x0, y1, x1, y1], e: [x0, ym, x0, y1], f: [x0, y0, x0, ym],
+        g: [x0, ym, xc, ym], h: [xc, ym, x1, ym],
+        i: [x0, y0, xc, ym], j: [xc, y0, xc, ym], k: [x1, y0, xc, ym],
+        l: [xc, ym, x0, y1], m: [xc, ym, xc, y1], n: [xc, ym, x1, y1],
+      };
+
+      ctx.lineWidth = Math.max(1, w * 0.09);
+      ctx.lineCap = 'round';
+
+      for (let s = 0; s < ALL_SEGMENTS.length; s++) {
+        const name = ALL_SEGMENTS[s];
+        const on = lit.indexOf(name) !== -1;
+        if (!on && !ghost) continue;
+
+        const e = ends[name];
+        const start = point(e[0], e[1]);
+        const end = point(e[2], e[3]);
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+        const ux = (end[0] - start[0]) / length * gap;
+        const uy = (end[1] - start[1]) / length * gap;
+
+        ctx.strokeStyle = on ? color : ghost;
+        ctx.beginPath();
+        ctx.moveTo(start[0] + ux, start[1] + uy);
+        ctx.lineTo(end[0] - ux, end[1] - uy);
+        ctx.stroke();
+      }
+
+      if (lit.indexOf('p') !== -1 || ghost) {
+        ctx.fillStyle = lit.indexOf('p') !== -1 ? color : ghost;
+        ctx.beginPath();
+        ctx.arc(x + w - padX * 0.45, y1, ctx.lineWidth * 0.7, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    function draw(cells, blinkOn) {
+      const columns = settings.columns;
+      const cellWidth = width / columns;
+      const cellHeight = Math.min(height, cellWidth * 1.7);
+      const top = (height - cellHeight) / 2;
+      const glyph = settings.style === 'segment' ? drawSegments
+        : settings.style === 'dotmatrix' ? drawDots
+          : drawPlain;
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '700 ' + Math.round(cellHeight * 0.72) + 'px Orbitron, "Share Tech Mono", monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+
+      // Unlit segments and dots first, without glow
+      if (settings.style !== 'plain') {
+        cells.forEach((cell, x) => {
+          if (!cell.inverse) glyph(' ', x * cellWidth, top, cellWidth, cellHeight, COLORS.ghost, COLORS.ghost);
+        });
+      }
+
+      ctx.save();
+      ctx.shadowColor = COLORS.glow;
+      ctx.shadowBlur = cellWidth * 0.4;
+
+      cells.forEach((cell, x) => {
+        const visible = !cell.blink || blinkOn;
+        const left = x * cellWidth;
+
+        if (cell.inverse && visible) {
+          ctx.fillStyle = COLORS.lit;
+          ctx.fillRect(left + 1, top, cellWidth - 2, cellHeight);
+          ctx.save();
+          ctx.shadowBlur = 0;
+          glyph(cell.ch, left, top, cellWidth, cellHeight, COLORS.inverseText, null);
+          ctx.restore();
+        } else if (visible && cell.ch !== ' ') {
+          glyph(cell.ch, left, top, cellWidth, cellHeight, COLORS.lit, null);
+        }
+      });
+
+      ctx.restore();
+    }
+
+    // ------ Frame ------
+
+    /**
+     * Advance the queue, marquee and blink; redraw if anything changed
+     */
+    function update(timestamp) {
+      now = timestamp;
+
+      if (transition && now - transition.start >= transition.length) transition = null;
+      const held = holdUntil && now < holdUntil;
+      if (!transition && !held && (queue.length || holdUntil)) advance();
+
+      const resized = resize();
+      const cells = frameCells();
+      const blinking = cells.some(cell => cell.blink);
+      const blinkOn = !blinking || Math.floor(now / BLINK_INTERVAL) % 2 === 0;
+
+      const key = settings.style + settings.columns + blinkOn + cells.map(cell =>
+        cell.ch + (cell.inverse ? 'i' : '') + (cell.blink ? 'b' : '')).join('');
+      if (key === drawnKey && !resized) return;
+      drawnKey = key;
+
+      draw(cells, blinkOn);
+    }
+
+    function set(name, value) {
+      switch (name) {
+        case 'style':
+          if (STYLES.indexOf(value) === -1) throw new Error('UNKNOWN STYLE: ' + value);
+          settings.style = value;
+          break;
+        default:
+          if (!LIMITS[name]) throw new Error('UNKNOWN SETTING: ' + name);
+          if (!isFinite(value)) throw new Error(name.toUpperCase() + ' MUST BE A NUMBER');
+          settings[name] = Math.round(clamp(Number(value), LIMITS[name]));
+      }
+
+      // A transition under way started from the old width
+      if (name === 'columns' && transition) {
+        transition.from = transition.from.slice(0, settings.columns);
+        while (transition.from.length < settings.columns) transition.from.push(BLANK);
+      }
+      drawnKey = '';
+      return settings[name];
+    }
+
+    /**
+     * Drop queued messages and any announcement on screen
+     */
+    function clear() {
+      queue.length = 0;
+      transition = null;
+      holdUntil = 0;
+      current = base;
+      drawnKey = '';
+    }
+
+    return {
+      show: show,
+      update: update,
+      set: set,
+      clear: clear,
+      getText: function() { return cellsToText(current.cells); },
+      getQueueLength: function() { return queue.length; },
+      getSettings: function() { return Object.assign({}, settings); },
+    };
+  }
+
+  // Public API
+  return {
+    STYLES: STYLES,
+    EFFECTS: EFFECTS,
+    LIMITS: LIMITS,
+    create: create,
+  };
+
+})();
+
+console.log('[Lcd] Module loaded');
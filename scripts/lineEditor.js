@@ -0,0 +1,313 @@
+/**
+ * Line Editor
+ * Shell-style editing for single-line command inputs
+ *
+ * Features:
+ * - Up/Down history, persisted to localStorage
+ * - Ctrl+R reverse incremental search
+ * - Tab completion through a caller-supplied completer
+ * - Ctrl+A/E/U/K cursor movement and kill, Ctrl+L clear, Ctrl+C cancel
+ *
+ * The editor never binds listeners itself: the owner forwards keydown
+ * events to handleKeyDown() and keeps its own Enter/submit handling.
+ */
+
+const LineEditor = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    storageKey: null,
+    maxHistory: 200,
+    promptEl: null,
+    complete: null,      // (line, cursor) => { start, candidates }
+    onCandidates: null,  // (candidates) => void, called when ambiguous
+    onClear: null,       // Ctrl+L
+    onCancel: null,      // Ctrl+C, receives the abandoned line
+  };
+
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+  function loadHistory(key) {
+    if (!key) return [];
+    try {
+      const saved = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(saved) ? saved.filter(item => typeof item === 'string') : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveHistory(key, history) {
+    if (!key) return;
+    try {
+      localStorage.setItem(key, JSON.stringify(history));
+    } catch (err) {
+      console.warn('[LineEditor] Could not save history:', err);
+    }
+  }
+
+  function commonPrefix(items) {
+    if (!items.length) return '';
+    let prefix = items[0];
+    for (let i = 1; i < items.length; i++) {
+      while (!items[i].toLowerCase().startsWith(prefix.toLowerCase())) {
+        prefix = prefix.substring(0, prefix.length - 1);
+      }
+    }
+    return prefix;
+  }
+
+  /**
+   * Create an editor bound to an input element
+   */
+  function create(input, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const history = loadHistory(opts.storageKey);
+    const promptText = opts.promptEl ? opts.promptEl.textContent : '';
+
+    // History navigation: index === history.length means "editing the draft"
+    let historyIndex = history.length;
+    let draft = '';
+
+    // Reverse search state
+    let search = null; // { query, index, original }
+
+    function setValue(value, cursor) {
+      input.value = value;
+      const pos = cursor === undefined ? value.length : cursor;
+      input.setSelectionRange(pos, pos);
+    }
+
+    // ------ History ------
+
+    function push(line) {
+      const entry = line.trim();
+      if (entry && history[history.length - 1] !== entry) {
+        history.push(entry);
+        if (history.length > opts.maxHistory) {
+          history.splice(0, history.length - opts.maxHistory);
+        }
+        saveHistory(opts.storageKey, history);
+      }
+      historyIndex = history.length;
+      draft = '';
+    }
+
+    function historyUp() {
+      if (historyIndex === 0) return;
+      if (historyIndex === history.length) draft = input.value;
+      historyIndex--;
+      setValue(history[historyIndex]);
+    }
+
+    function historyDown() {
+      if (historyIndex >= history.length) return;
+      historyIndex++;
+      setValue(historyIndex === history.length ? draft : history[historyIndex]);
+    }
+
+    function clearHistory() {
+      history.length = 0;
+      historyIndex = 0;
+      saveHistory(opts.storageKey, history);
+    }
+
+    // ------ Reverse search ------
+
+    function updateSearchPrompt(failed) {
+      if (!opts.promptEl) return;
+      opts.promptEl.textContent = (failed ? '(failed reverse-i-search)' : '(reverse-i-search)') +
+        '`' + search.query + "':";
+    }
+
+    function findMatch(from) {
+      const query = search.query.toLowerCase();
+      for (let i = from; i >= 0; i--) {
+        if (history[i].toLowerCase().includes(query)) return i;
+      }
+      return -1;
+    }
+
+    function runSearch(from) {
+      const index = search.query ? findMatch(from) : -1;
+      if (index !== -1) {
+        search.index = index;
+        setValue(history[index]);
+      }
+      updateSearchPrompt(search.query && index === -1);
+    }
+
+    function startSearch() {
+      if (search) {
+        // Ctrl+R again: next older match
+        if (search.index > 0) runSearch(search.index - 1);
+        return;
+      }
+      search = { query: '', index: history.length, original: input.value };
+      input.classList.add('input--searching');
+      updateSearchPrompt(false);
+    }
+
+    function endSearch(restore) {
+      if (!search) return;
+      if (restore) setValue(search.original);
+      search = null;
+      historyIndex = history.length;
+      input.classList.remove('input--searching');
+      if (opts.promptEl) opts.promptEl.textContent = promptText;
+    }
+
+    function handleSearchKey(event) {
+      // Bare modifier presses neither edit nor end the search
+      if (MODIFIER_KEYS.indexOf(event.key) !== -1) return true;
+
+      if (event.ctrlKey && event.key.toLowerCase() === 'r') {
+        event.preventDefault();
+        startSearch();
+        return true;
+      }
+
+      if (event.key === 'Escape' || (event.ctrlKey && event.key.toLowerCase() === 'g')) {
+        event.preventDefault();
+        endSearch(true);
+        return true;
+      }
+
+      if (event.key === 'Backspace') {
+        event.preventDefault();
+        search.query = search.query.slice(0, -1);
+        runSearch(history.length - 1);
+        return true;
+      }
+
+      if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault();
+        search.query += event.key;
+        runSearch(search.index < history.length ? search.index : history.length - 1);
+        return true;
+      }
+
+      // Any other key accepts the match and is handled normally
+      endSearch(false);
+      return false;
+    }
+
+    // ------ Completion ------
+
+    function completeLine() {
+      const cursor = input.selectionStart;
+      const line = input.value;
+      const result = opts.complete(line.substring(0, cursor), cursor);
+      if (!result || !result.candidates || !result.candidates.length) return;
+
+      const word = line.substring(result.start, cursor);
+      const candidates = result.candidates
+        .filter(item => item.toLowerCase().startsWith(word.toLowerCase()));
+      if (!candidates.length) return;
+
+      const before = line.substring(0, result.start);
+      const after = line.substring(cursor);
+
+      if (candidates.length === 1) {
+        const completed = candidates[0] + (after.startsWith(' ') ? '' : ' ');
+        setValue(before + completed + after, before.length + completed.length);
+        return;
+      }
+
+      const prefix = commonPrefix(candidates);
+      if (prefix.length > word.length) {
+        setValue(before + prefix + after, before.length + prefix.length);
+      } else if (typeof opts.onCandidates === 'function') {
+        opts.onCandidates(candidates.slice().sort());
+      }
+    }
+
+    // ------ Key handling ------
+
+    /**
+     * Returns true when the key was consumed by the editor
+     */
+    function handleKeyDown(event) {
+      if (search && handleSearchKey(event)) return true;
+      if (event.metaKey || event.altKey) return false;
+
+      if (event.ctrlKey) {
+        const pos = input.selectionStart;
+        const value = input.value;
+
+        switch (event.key.toLowerCase()) {
+          case 'r':
+            event.preventDefault();
+            startSearch();
+            return true;
+          case 'a':
+            event.preventDefault();
+            input.setSelectionRange(0, 0);
+            return true;
+          case 'e':
+            event.preventDefault();
+            input.setSelectionRange(value.length, value.length);
+            return true;
+          case 'u':
+            event.preventDefault();
+            setValue(value.substring(pos), 0);
+            return true;
+          case 'k':
+            event.preventDefault();
+            setValue(value.substring(0, pos), pos);
+            return true;
+          case 'l':
+            event.preventDefault();
+            if (typeof opts.onClear === 'function') opts.onClear();
+            return true;
+          case 'c':
+            // Leave copy alone when text is selected
+            if (input.selectionStart !== input.selectionEnd) return false;
+            event.preventDefault();
+            if (typeof opts.onCancel === 'function') opts.onCancel(value);
+            setValue('');
+            historyIndex = history.length;
+            draft = '';
+            return true;
+          default:
+            return false;
+        }
+      }
+
+      switch (event.key) {
+        case 'ArrowUp':
+          event.preventDefault();
+          historyUp();
+          return true;
+        case 'ArrowDown':
+          event.preventDefault();
+          historyDown();
+          return true;
+        case 'Tab':
+          // Without a completer Tab keeps moving focus
+          if (event.shiftKey || typeof opts.complete !== 'function') return false;
+          event.preventDefault();
+          completeLine();
+          return true;
+        default:
+          return false;
+      }
+    }
+
+    return {
+      handleKeyDown: handleKeyDown,
+      push: push,
+      getHistory: function() { return history.slice(); },
+      clearHistory: clearHistory,
+      isSearching: function() { return !!search; },
+    };
+  }
+
+  // Public API
+  return {
+    create: create,
+  };
+
+})();
+
+console.log('[LineEditor] Module loaded');
@@ -0,0 +1,270 @@
+/**
+ * Level Meter
+ * Calibrated dBFS metering from float time-domain data
+ *
+ * Modes:
+ * - vu:   RMS with 300 ms rise/fall, shown in VU relative to a
+ *         reference level (0 VU = -18 dBFS by default, EBU R68)
+ * - ppm1: IEC 60268-10 Type I (DIN) - 5 ms attack, 20 dB fall in 1.5 s
+ * - ppm2: IEC 60268-10 Type II (BBC) - 10 ms attack, 24 dB fall in 2.8 s
+ *
+ * Sample peak and RMS are computed on every block; the needle follows
+ * the ballistics of the active mode. The clip indicator latches as soon
+ * as any sample reaches 0 dBFS and stays lit until resetClip().
+ */
+
+const Meter = (function() {
+  'use strict';
+
+  const MIN_DB = -90;
+
+  // Samples at or above this magnitude count as 0 dBFS
+  const CLIP_THRESHOLD = 0.9999;
+
+  const PEAK_HOLD_TIME = 1.5; // seconds the numeric peak holds
+
+  // Time constant for 99% of a step in 300 ms (first-order)
+  const VU_TAU = 0.3 / Math.log(100);
+
+  const MODES = {
+    vu: {
+      label: 'VU',
+      relative: true,
+      scale: { min: -20, max: 3, marks: [-20, -10, -7, -5, -3, -2, -1, 0, 1, 2, 3], red: 0 },
+    },
+    ppm1: {
+      label: 'PPM I',
+      attack: 0.005,
+      fall: 20 / 1.5,
+      scale: { min: -50, max: 0, marks: [-50, -40, -30, -20, -15, -10, -5, 0], red: -9 },
+    },
+    ppm2: {
+      label: 'PPM II',
+      attack: 0.010,
+      fall: 24 / 2.8,
+      scale: { min: -40, max: 0, marks: [-40, -32, -24, -18, -12, -6, 0], red: -9 },
+    },
+  };
+
+  const COLORS = {
+    scale: 'rgba(0, 212, 255, 0.7)',
+    red: '#ff3366',
+    needle: '#e8fbff',
+    glow: 'rgba(0, 212, 255, 0.6)',
+  };
+
+  function toDb(linear) {
+    return linear > 0 ? Math.max(MIN_DB, 20 * Math.log10(linear)) : MIN_DB;
+  }
+
+  /**
+   * Create a meter, optionally drawing a needle on a canvas
+   */
+  function create(canvas, options) {
+    const opts = Object.assign({ mode: 'vu', reference: -18 }, options);
+    const ctx = canvas ? canvas.getContext('2d') : null;
+
+    const meter = {
+      mode: opts.mode,
+      reference: opts.reference,
+      rmsDb: MIN_DB,
+      peakDb: MIN_DB,
+      heldPeakDb: MIN_DB,
+      peakHoldLeft: 0,
+      vuLinear: 0,
+      ppmDb: MIN_DB,
+      clipped: false,
+      clipCount: 0,
+    };
+
+    /**
+     * Feed one block of samples; dt is seconds since the last block
+     */
+    function process(samples, dt) {
+      const step = Math.min(0.5, Math.max(0, dt));
+      let sumSquares = 0;
+      let peak = 0;
+
+      for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        const magnitude = sample < 0 ? -sample : sample;
+        sumSquares += sample * sample;
+        if (magnitude > peak) peak = magnitude;
+      }
+
+      const rms = samples.length ? Math.sqrt(sumSquares / samples.length) : 0;
+      meter.rmsDb = toDb(rms);
+      meter.peakDb = toDb(peak);
+
+      if (peak >= CLIP_THRESHOLD) {
+        meter.clipped = true;
+        meter.clipCount++;
+      }
+
+      // Numeric peak hold
+      if (meter.peakDb >= meter.heldPeakDb) {
+        meter.heldPeakDb = meter.peakDb;
+        meter.peakHoldLeft = PEAK_HOLD_TIME;
+      } else {
+        meter.peakHoldLeft -= step;
+        if (meter.peakHoldLeft <= 0) meter.heldPeakDb = meter.peakDb;
+      }
+
+      // VU: first-order RMS integration
+      meter.vuLinear += (rms - meter.vuLinear) * (1 - Math.exp(-step / VU_TAU));
+
+      // PPM: fast attack toward the block peak, linear fall in dB
+      const mode = MODES[meter.mode];
+      if (mode.attack) {
+        if (meter.peakDb > meter.ppmDb) {
+          meter.ppmDb += (meter.peakDb - meter.ppmDb) * (1 - Math.exp(-step / mode.attack));
+        } else {
+          meter.ppmDb = Math.max(meter.peakDb, meter.ppmDb - mode.fall * step);
+        }
+      }
+    }
+
+    /**
+     * Needle position in the units of the active scale
+     */
+    function getNeedleValue() {
+      const mode = MODES[meter.mode];
+      return mode.relative ? toDb(meter.vuLinear) - meter.reference : meter.ppmDb;
+    }
+
+    function valueToAngle(value, scale) {
+      const clamped = Math.max(scale.min, Math.min(scale.max, value));
+      const ratio = (clamped - scale.min) / (scale.max - scale.min);
+      return (-50 + ratio * 100) * Math.PI / 180;
+    }
+
+    function draw() {
+      if (!ctx) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const scale = MODES[meter.mode].scale;
+      const pivotX = width / 2;
+      const pivotY = height - 4;
+      const radius = height - 12;
+
+      // Scale arc with red zone
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.strokeStyle = COLORS.scale;
+      ctx.arc(pivotX, pivotY, radius, -Math.PI / 2 + valueToAngle(scale.min, scale),
+        -Math.PI / 2 + valueToAngle(scale.red, scale));
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.strokeStyle = COLORS.red;
+      ctx.arc(pivotX, pivotY, radius, -Math.PI / 2 + valueToAngle(scale.red, scale),
+        -Math.PI / 2 + valueToAngle(scale.max, scale));
+      ctx.stroke();
+
+      // Tick marks
+      scale.marks.forEach(mark => {
+        const angle = valueToAngle(mark, scale);
+        const sin = Math.sin(angle);
+        const cos = Math.cos(angle);
+        ctx.beginPath();
+        ctx.strokeStyle = mark > scale.red ? COLORS.red : COLORS.scale;
+        ctx.moveTo(pivotX + sin * radius, pivotY - cos * radius);
+        ctx.lineTo(pivotX + sin * (radius - 5), pivotY - cos * (radius - 5));
+        ctx.stroke();
+      });
+
+      // Needle
+      const angle = valueToAngle(getNeedleValue(), scale);
+      ctx.save();
+      ctx.strokeStyle = COLORS.needle;
+      ctx.shadowColor = COLORS.glow;
+      ctx.shadowBlur = 4;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(pivotX, pivotY);
+      ctx.lineTo(pivotX + Math.sin(angle) * (radius + 2), pivotY - Math.cos(angle) * (radius + 2));
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    function setMode(mode) {
+      if (!MODES[mode]) throw new Error('UNKNOWN METER MODE: ' + mode);
+      meter.mode = mode;
+      meter.ppmDb = meter.peakDb;
+    }
+
+    function setReference(db) {
+      if (!isFinite(db)) throw new Error('REFERENCE MUST BE A NUMBER');
+      meter.reference = Math.max(-40, Math.min(0, db));
+      return meter.reference;
+    }
+
+    function resetClip() {
+      meter.clipped = false;
+      meter.clipCount = 0;
+    }
+
+    /**
+     * Silence all readings (e.g. when the source stops)
+     */
+    function reset() {
+      meter.rmsDb = MIN_DB;
+      meter.peakDb = MIN_DB;
+      meter.heldPeakDb = MIN_DB;
+      meter.vuLinear = 0;
+      meter.ppmDb = MIN_DB;
+    }
+
+    function getReadings() {
+      return {
+        mode: meter.mode,
+        label: MODES[meter.mode].label,
+        reference: meter.reference,
+        rmsDb: meter.rmsDb,
+        peakDb: meter.peakDb,
+        heldPeakDb: meter.heldPeakDb,
+        needle: getNeedleValue(),
+        clipped: meter.clipped,
+        clipCount: meter.clipCount,
+      };
+    }
+
+    return {
+      process: process,
+      draw: draw,
+      setMode: setMode,
+      setReference: setReference,
+      resetClip: resetClip,
+      reset: reset,
+      getReadings: getReadings,
+    };
+  }
+
+  /**
+   * dB value for display: "-12.3", "+1.0" or "-INF"
+   */
+  function formatDb(db, signed) {
+    if (db <= MIN_DB) return '-INF';
+    const text = db.toFixed(1);
+    return signed && db >= 0 ? '+' + text : text;
+  }
+
+  // Public API
+  return {
+    MODES: Object.keys(MODES),
+    MIN_DB: MIN_DB,
+    create: create,
+    formatDb: formatDb,
+  };
+
+})();
+
+console.log('[Meter] Module loaded');
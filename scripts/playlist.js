@@ -0,0 +1,434 @@
+/**
+ * Playlist
+ * Ordered list of audio files with shuffle, repeat and persistence
+ *
+ * Tracks are kept as { id, name, type, size, blob }. The blobs and the
+ * playlist state (track order, current track, shuffle, repeat) are
+ * stored in IndexedDB so the list survives reloads. Without IndexedDB
+ * the playlist still works, it just starts empty every time.
+ *
+ * Play order is a separate list of track indices: identity normally,
+ * a permutation with the current track first while shuffle is on.
+ *
+ * Repeat modes:
+ * - off: stop after the last track
+ * - one: automatic advance replays the same track (next/prev still move)
+ * - all: wrap around at either end
+ */
+
+const Playlist = (function() {
+  'use strict';
+
+  const DB_NAME = 'stereoApp.playlist';
+  const DB_VERSION = 1;
+  const TRACK_STORE = 'tracks';
+  const META_STORE = 'meta';
+  const STATE_KEY = 'state';
+
+  const REPEAT_MODES = ['off', 'one', 'all'];
+
+  const playlist = {
+    tracks: [],
+    order: [],
+    position: -1,      // index into order
+    shuffle: false,
+    repeat: 'off',
+    nextId: 1,
+  };
+
+  const listeners = {
+    change: [],
+  };
+
+  let dbPromise = null;
+
+  // Settles when the saved playlist has been restored; adds wait for it
+  // so new tracks are not overwritten by the restore or given its ids
+  let restoring = Promise.resolve(0);
+
+  // ------ Events ------
+
+  /**
+   * Subscribe to 'change' (reason), fired after any edit or move
+   */
+  function on(event, callback) {
+    if (!listeners[event]) {
+      throw new Error('Unknown playlist event: ' + event);
+    }
+    listeners[event].push(callback);
+    return function() { off(event, callback); };
+  }
+
+  function off(event, callback) {
+    const list = listeners[event];
+    if (!list) return;
+    const index = list.indexOf(callback);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  function emit(event, ...args) {
+    listeners[event].forEach(callback => {
+      try {
+        callback(...args);
+      } catch (err) {
+        console.error(`[Playlist] ${event} listener failed:`, err);
+      }
+    });
+  }
+
+  // ------ IndexedDB ------
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      dbPromise = Promise.resolve(null);
+      return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TRACK_STORE)) {
+          db.createObjectStore(TRACK_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[Playlist] IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Run fn(stores) in one transaction; resolves when it commits
+   */
+  async function transact(mode, fn) {
+    const db = await openDb();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([TRACK_STORE, META_STORE], mode);
+      const result = fn({
+        tracks: tx.objectStore(TRACK_STORE),
+        meta: tx.objectStore(META_STORE),
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function snapshot() {
+    return {
+      ids: playlist.tracks.map(track => track.id),
+      order: playlist.order.slice(),
+      position: playlist.position,
+      shuffle: playlist.shuffle,
+      repeat: playlist.repeat,
+      nextId: playlist.nextId,
+    };
+  }
+
+  function saveState() {
+    return transact('readwrite', stores => {
+      stores.meta.put(snapshot(), STATE_KEY);
+    }).catch(err => console.warn('[Playlist] Could not save state:', err));
+  }
+
+  /**
+   * Restore the saved playlist. Tracks whose blobs are missing are dropped.
+   * Files added while this runs are queued after the restored tracks.
+   */
+  function load() {
+    restoring = restore();
+    return restoring;
+  }
+
+  async function restore() {
+    let saved = null;
+    let records = [];
+
+    try {
+      await transact('readonly', stores => {
+        requestToPromise(stores.meta.get(STATE_KEY)).then(value => { saved = value; });
+        requestToPromise(stores.tracks.getAll()).then(value => { records = value; });
+      });
+    } catch (err) {
+      console.warn('[Playlist] Could not load playlist:', err);
+      return 0;
+    }
+
+    if (!saved || !saved.ids.length) return 0;
+
+    const byId = new Map(records.map(record => [record.id, record]));
+    const tracks = saved.ids.map(id => byId.get(id)).filter(Boolean);
+    const kept = new Set(tracks.map(track => track.id));
+
+    // Map saved order (indices into saved.ids) onto the surviving tracks
+    const newIndex = new Map();
+    saved.ids.filter(id => kept.has(id)).forEach((id, index) => newIndex.set(id, index));
+    const order = saved.order
+      .map(index => newIndex.get(saved.ids[index]))
+      .filter(index => index !== undefined);
+
+    playlist.tracks = tracks;
+    playlist.order = order.length === tracks.length ? order : tracks.map((_, index) => index);
+    playlist.position = Math.max(0, Math.min(saved.position, playlist.order.length - 1));
+    playlist.shuffle = !!saved.shuffle;
+    playlist.repeat = REPEAT_MODES.indexOf(saved.repeat) !== -1 ? saved.repeat : 'off';
+    playlist.nextId = Math.max(saved.nextId || 1, ...tracks.map(track => track.id + 1));
+
+    emit('change', 'load');
+    return tracks.length;
+  }
+
+  // ------ Order ------
+
+  function shuffled(indices) {
+    const result = indices.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      const swap = result[i];
+      result[i] = result[j];
+      result[j] = swap;
+    }
+    return result;
+  }
+
+  function currentIndex() {
+    return playlist.position >= 0 ? playlist.order[playlist.position] : -1;
+  }
+
+  /**
+   * Rebuild the play order around the current track
+   */
+  function rebuildOrder() {
+    const current = currentIndex();
+    const all = playlist.tracks.map((_, index) => index);
+
+    if (!playlist.shuffle) {
+      playlist.order = all;
+      playlist.position = current;
+      return;
+    }
+
+    const rest = shuffled(all.filter(index => index !== current));
+    playlist.order = current >= 0 ? [current].concat(rest) : rest;
+    playlist.position = current >= 0 ? 0 : -1;
+  }
+
+  // ------ Editing ------
+
+  /**
+   * Append files; returns the index of the first new track
+   */
+  async function add(files) {
+    await restoring;
+
+    const first = playlist.tracks.length;
+    const added = Array.from(files).map(file => ({
+      id: playlist.nextId++,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      blob: file,
+    }));
+    if (!added.length) return -1;
+
+    playlist.tracks = playlist.tracks.concat(added);
+    const newIndices = added.map((_, i) => first + i);
+    playlist.order = playlist.order.concat(playlist.shuffle ? shuffled(newIndices) : newIndices);
+    if (playlist.position === -1) playlist.position = playlist.order.indexOf(first);
+
+    try {
+      await transact('readwrite', stores => {
+        added.forEach(track => stores.tracks.put(track));
+        stores.meta.put(snapshot(), STATE_KEY);
+      });
+    } catch (err) {
+      // Quota errors leave the tracks playable for this session
+      console.warn('[Playlist] Could not store tracks:', err);
+    }
+
+    emit('change', 'add');
+    return first;
+  }
+
+  function remove(index) {
+    const track = playlist.tracks[index];
+    if (!track) throw new Error('NO TRACK ' + (index + 1));
+
+    const wasCurrent = currentIndex() === index;
+    playlist.tracks.splice(index, 1);
+
+    const removedPosition = playlist.order.indexOf(index);
+    playlist.order = playlist.order
+      .filter(i => i !== index)
+      .map(i => (i > index ? i - 1 : i));
+    if (removedPosition < playlist.position || playlist.position >= playlist.order.length) {
+      playlist.position--;
+    }
+    if (!playlist.tracks.length) playlist.position = -1;
+
+    transact('readwrite', stores => {
+      stores.tracks.delete(track.id);
+      stores.meta.put(snapshot(), STATE_KEY);
+    }).catch(err => console.warn('[Playlist] Could not remove track:', err));
+
+    emit('change', wasCurrent ? 'remove-current' : 'remove');
+    return track;
+  }
+
+  function clear() {
+    playlist.tracks = [];
+    playlist.order = [];
+    playlist.position = -1;
+
+    transact('readwrite', stores => {
+      stores.tracks.clear();
+      stores.meta.put(snapshot(), STATE_KEY);
+    }).catch(err => console.warn('[Playlist] Could not clear playlist:', err));
+
+    emit('change', 'clear');
+  }
+
+  // ------ Navigation ------
+
+  /**
+   * Make a track current by its list index
+   */
+  function select(index) {
+    if (!playlist.tracks[index]) throw new Error('NO TRACK ' + (index + 1));
+    playlist.position = playlist.order.indexOf(index);
+    saveState();
+    emit('change', 'select');
+    return index;
+  }
+
+  /**
+   * Index of the track after the current one without moving, or -1.
+   * auto is true for end-of-track advances, where repeat-one applies.
+   */
+  function peekNext(auto) {
+    if (!playlist.tracks.length) return -1;
+    if (auto && playlist.repeat === 'one') return currentIndex();
+    if (playlist.position + 1 < playlist.order.length) return playlist.order[playlist.position + 1];
+    if (playlist.repeat === 'all') return playlist.order[0];
+    return -1;
+  }
+
+  function next(auto) {
+    const index = peekNext(auto);
+    if (index === -1) return -1;
+
+    if (!(auto && playlist.repeat === 'one')) {
+      playlist.position++;
+      if (playlist.position >= playlist.order.length) {
+        // Wrapped: a fresh shuffle for the next lap, keeping the chosen track first
+        playlist.position = 0;
+        if (playlist.shuffle && playlist.order.length > 2) {
+          const rest = shuffled(playlist.order.filter(i => i !== index));
+          playlist.order = [index].concat(rest);
+        }
+      }
+    }
+
+    saveState();
+    emit('change', 'next');
+    return index;
+  }
+
+  function previous() {
+    if (!playlist.tracks.length) return -1;
+
+    if (playlist.position > 0) {
+      playlist.position--;
+    } else if (playlist.repeat === 'all') {
+      playlist.position = playlist.order.length - 1;
+    } else {
+      return -1;
+    }
+
+    saveState();
+    emit('change', 'previous');
+    return currentIndex();
+  }
+
+  // ------ Modes ------
+
+  function setShuffle(enabled) {
+    playlist.shuffle = !!enabled;
+    rebuildOrder();
+    saveState();
+    emit('change', 'shuffle');
+    return playlist.shuffle;
+  }
+
+  function setRepeat(mode) {
+    if (REPEAT_MODES.indexOf(mode) === -1) {
+      throw new Error('REPEAT MUST BE ' + REPEAT_MODES.join(', ').toUpperCase());
+    }
+    playlist.repeat = mode;
+    saveState();
+    emit('change', 'repeat');
+    return mode;
+  }
+
+  // ------ Queries ------
+
+  function getTracks() {
+    return playlist.tracks.map((track, index) => ({
+      index: index,
+      name: track.name,
+      size: track.size,
+      current: index === currentIndex(),
+    }));
+  }
+
+  /**
+   * Track indices in play order, from the current one onward
+   */
+  function getUpcoming() {
+    return playlist.position >= 0 ? playlist.order.slice(playlist.position) : playlist.order.slice();
+  }
+
+  // Public API
+  return {
+    REPEAT_MODES: REPEAT_MODES,
+    load: load,
+    add: add,
+    remove: remove,
+    clear: clear,
+    select: select,
+    next: next,
+    previous: previous,
+    peekNext: peekNext,
+    setShuffle: setShuffle,
+    setRepeat: setRepeat,
+    getTrack: function(index) { return playlist.tracks[index] || null; },
+    getTracks: getTracks,
+    getUpcoming: getUpcoming,
+    getCurrentIndex: currentIndex,
+    size: function() { return playlist.tracks.length; },
+    getSettings: function() { return { shuffle: playlist.shuffle, repeat: playlist.repeat }; },
+    on: on,
+    off: off,
+  };
+
+})();
+
+console.log('[Playlist] Module loaded');
@@ -0,0 +1,477 @@
+/**
+ * Recorder
+ * Captures whatever is connected to its input as downloadable takes
+ *
+ * - wav:  an AudioWorklet tap collects 16-bit PCM on the main thread and
+ *         writes a RIFF/WAVE file on stop
+ * - webm: MediaRecorder encodes Opus in the browser as it goes
+ *
+ * Pre-roll keeps the last few seconds of PCM in a ring buffer while the
+ * recorder is armed, so a WAV take can start before REC was pressed.
+ * MediaRecorder cannot be fed past audio, so WebM takes start at REC.
+ *
+ * Input is always captured as stereo; mono sources are copied to both
+ * channels.
+ */
+
+const Recorder = (function() {
+  'use strict';
+
+  const FORMATS = {
+    wav: { mime: 'audio/wav', extension: 'wav' },
+    webm: { mime: 'audio/webm;codecs=opus', extension: 'webm' },
+  };
+
+  const LIMITS = {
+    preRoll: [0, 10], // s
+  };
+
+  const CHANNELS = 2;
+  const BLOCK_FRAMES = 4096; // frames per message from the worklet
+  const PROCESSOR_NAME = 'stereo-recorder-tap';
+  const FLUSH_TIMEOUT = 500; // ms; a suspended context never answers
+
+  // Runs on the audio thread: batches input into blocks and posts them.
+  // 'flush' posts the partial block, 'stop' lets the node be collected.
+  const WORKLET_SOURCE = `
+    class RecorderTap extends AudioWorkletProcessor {
+      constructor(options) {
+        super();
+        this.blockFrames = options.processorOptions.blockFrames;
+        this.channels = options.processorOptions.channels;
+        this.running = true;
+        this.reset();
+        this.port.onmessage = event => {
+          if (event.data === 'flush') this.send(true);
+          if (event.data === 'stop') this.running = false;
+        };
+      }
+
+      reset() {
+        this.buffers = [];
+        for (let c = 0; c < this.channels; c++) this.buffers.push(new Float32Array(this.blockFrames));
+        this.filled = 0;
+      }
+
+      send(flush) {
+        const buffers = this.buffers.map(buffer => buffer.subarray(0, this.filled).slice());
+        this.port.postMessage({ buffers: buffers, flush: flush }, buffers.map(buffer => buffer.buffer));
+        this.reset();
+      }
+
+      process(inputs) {
+        const input = inputs[0];
+        const frames = input.length ? input[0].length : 128;
+        for (let c = 0; c < this.channels; c++) {
+          const source = input[c] || input[0];
+          if (source) {
+            this.buffers[c].set(source, this.filled);
+          } else {
+            this.buffers[c].fill(0, this.filled, this.filled + frames);
+          }
+        }
+        this.filled += frames;
+        if (this.filled + frames > this.blockFrames) this.send(false);
+        return this.running;
+      }
+    }
+    registerProcessor('${PROCESSOR_NAME}', RecorderTap);
+  `;
+
+  // One addModule per context
+  const worklets = new WeakMap();
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  function isSupported(format) {
+    if (format === 'wav') {
+      return typeof AudioWorkletNode !== 'undefined';
+    }
+    if (format === 'webm') {
+      return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(FORMATS.webm.mime);
+    }
+    return false;
+  }
+
+  function loadWorklet(context) {
+    if (!worklets.has(context)) {
+      const url = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+      const loaded = context.audioWorklet.addModule(url)
+        .catch(err => {
+          worklets.delete(context);
+          throw err;
+        })
+        .finally(() => URL.revokeObjectURL(url));
+      worklets.set(context, loaded);
+    }
+    return worklets.get(context);
+  }
+
+  /**
+   * Planar float channels to interleaved 16-bit samples
+   */
+  function interleave(buffers) {
+    const frames = buffers[0].length;
+    const channels = buffers.length;
+    const samples = new Int16Array(frames * channels);
+
+    for (let c = 0; c < channels; c++) {
+      const data = buffers[c];
+      for (let i = 0; i < frames; i++) {
+        const x = Math.max(-1, Math.min(1, data[i]));
+        samples[i * channels + c] = x < 0 ? x * 0x8000 : x * 0x7fff;
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * 16-bit PCM WAV from interleaved blocks
+   */
+  function encodeWav(blocks, channels, sampleRate) {
+    const dataBytes = blocks.reduce((total, block) => total + block.byteLength, 0);
+    const header = new DataView(new ArrayBuffer(44));
+    const writeTag = (offset, tag) => {
+      for (let i = 0; i < 4; i++) header.setUint8(offset + i, tag.charCodeAt(i));
+    };
+
+    writeTag(0, 'RIFF');
+    header.setUint32(4, 36 + dataBytes, true);
+    writeTag(8, 'WAVE');
+    writeTag(12, 'fmt ');
+    header.setUint32(16, 16, true);
+    header.setUint16(20, 1, true); // PCM
+    header.setUint16(22, channels, true);
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * channels * 2, true);
+    header.setUint16(32, channels * 2, true);
+    header.setUint16(34, 16, true);
+    writeTag(36, 'data');
+    header.setUint32(40, dataBytes, true);
+
+    return new Blob([header.buffer].concat(blocks), { type: FORMATS.wav.mime });
+  }
+
+  /**
+   * Save a take through a temporary download link
+   */
+  function download(take, filename) {
+    const url = URL.createObjectURL(take.blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename + '.' + FORMATS[take.format].extension;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Create a recorder. Connect sources to recorder.input.
+   * options: { format: 'wav'|'webm', preRoll: seconds }
+   */
+  function create(context, options) {
+    const opts = Object.assign({ format: 'wav', preRoll: 0 }, options);
+    const settings = {
+      format: FORMATS[opts.format] ? opts.format : 'wav',
+      preRoll: clamp(Number(opts.preRoll) || 0, LIMITS.preRoll),
+    };
+
+    const input = context.createGain();
+
+    let tap = null;
+    let tapLoading = null;
+    let flushed = null;  // resolves when the worklet has sent its partial block
+
+    // Pre-roll ring of interleaved blocks
+    let ring = [];
+    let ringFrames = 0;
+
+    let take = null;
+
+    // ------ PCM tap ------
+
+    function ensureTap() {
+      if (tap) return Promise.resolve(tap);
+      if (tapLoading) return tapLoading;
+
+      tapLoading = loadWorklet(context).then(() => {
+        tap = new AudioWorkletNode(context, PROCESSOR_NAME, {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: CHANNELS,
+          channelCountMode: 'explicit',
+          channelInterpretation: 'speakers',
+          processorOptions: { blockFrames: BLOCK_FRAMES, channels: CHANNELS },
+        });
+        tap.port.onmessage = event => receive(event.data);
+        input.connect(tap);
+        return tap;
+      }).finally(() => {
+        tapLoading = null;
+      });
+      return tapLoading;
+    }
+
+    function releaseTap() {
+      ring = [];
+      ringFrames = 0;
+      if (!tap) return;
+
+      input.disconnect(tap);
+      tap.port.postMessage('stop');
+      tap.port.onmessage = null;
+      tap = null;
+    }
+
+    function receive(message) {
+      if (message.buffers[0].length) {
+        const block = interleave(message.buffers);
+        const frames = block.length / CHANNELS;
+
+        if (take && take.format === 'wav') {
+          take.blocks.push(block);
+          take.frames += frames;
+        } else if (settings.preRoll > 0) {
+          ring.push(block);
+          ringFrames += frames;
+          trimRing(Math.round(settings.preRoll * context.sampleRate));
+        }
+      }
+
+      if (message.flush && flushed) {
+        flushed();
+        flushed = null;
+      }
+    }
+
+    /**
+     * Drop whole blocks that are older than the pre-roll needs
+     */
+    function trimRing(limit) {
+      while (ring.length && ringFrames - ring[0].length / CHANNELS >= limit) {
+        ringFrames -= ring.shift().length / CHANNELS;
+      }
+    }
+
+    /**
+     * Empty the ring into the first blocks of a take, cut to the pre-roll
+     */
+    function takePreRoll() {
+      const limit = Math.round(settings.preRoll * context.sampleRate);
+      trimRing(limit);
+
+      const blocks = ring;
+      let frames = ringFrames;
+      if (frames > limit && blocks.length) {
+        const excess = frames - limit;
+        blocks[0] = blocks[0].subarray(excess * CHANNELS);
+        frames = limit;
+      }
+
+      ring = [];
+      ringFrames = 0;
+      return { blocks: blocks, frames: frames };
+    }
+
+    function flushTap() {
+      if (!tap) return Promise.resolve();
+      return new Promise(resolve => {
+        flushed = resolve;
+        tap.port.postMessage('flush');
+        setTimeout(resolve, FLUSH_TIMEOUT);
+      });
+    }
+
+    // ------ Takes ------
+
+    /**
+     * Start a take in the current format. Resolves once capture runs.
+     */
+    async function start() {
+      if (take) throw new Error('ALREADY RECORDING');
+
+      const format = settings.format;
+      if (!isSupported(format)) {
+        throw new Error(format.toUpperCase() + ' RECORDING NOT SUPPORTED');
+      }
+
+      if (format === 'webm') {
+        const destination = context.createMediaStreamDestination();
+        destination.channelCount = CHANNELS;
+        input.connect(destination);
+
+        const recorder = new MediaRecorder(destination.stream, { mimeType: FORMATS.webm.mime });
+        const parts = [];
+        recorder.ondataavailable = event => {
+          if (event.data.size) parts.push(event.data);
+        };
+        recorder.start(1000);
+
+        take = {
+          format: format,
+          recorder: recorder,
+          destination: destination,
+          parts: parts,
+          preRoll: 0,
+          startTime: context.currentTime,
+        };
+        return;
+      }
+
+      // Claim the take before waiting so a second start fails
+      take = { format: format, blocks: [], frames: 0, preRoll: 0, startTime: context.currentTime };
+      const current = take;
+      try {
+        await ensureTap();
+      } catch (err) {
+        take = null;
+        throw err;
+      }
+      if (take !== current) {
+        // Stopped or cancelled while the worklet loaded
+        if (!settings.preRoll) releaseTap();
+        return;
+      }
+
+      const preRoll = takePreRoll();
+      current.blocks = preRoll.blocks.concat(current.blocks);
+      current.frames += preRoll.frames;
+      current.preRoll = preRoll.frames / context.sampleRate;
+      current.startTime = context.currentTime;
+    }
+
+    /**
+     * Finish the take. Resolves with { format, blob, duration, preRoll,
+     * sampleRate, channels }.
+     */
+    async function stop() {
+      if (!take) throw new Error('NOT RECORDING');
+      const current = take;
+
+      if (current.format === 'webm') {
+        take = null;
+        await new Promise(resolve => {
+          current.recorder.onstop = resolve;
+          current.recorder.stop();
+        });
+        input.disconnect(current.destination);
+
+        return {
+          format: 'webm',
+          blob: new Blob(current.parts, { type: current.recorder.mimeType || FORMATS.webm.mime }),
+          duration: context.currentTime - current.startTime,
+          preRoll: 0,
+          sampleRate: context.sampleRate,
+          channels: CHANNELS,
+        };
+      }
+
+      // Collect what the worklet is still holding before closing the take
+      if (tapLoading) await tapLoading.catch(() => {});
+      await flushTap();
+      take = null;
+      if (!settings.preRoll) releaseTap();
+
+      return {
+        format: 'wav',
+        blob: encodeWav(current.blocks, CHANNELS, context.sampleRate),
+        duration: current.frames / context.sampleRate,
+        preRoll: current.preRoll,
+        sampleRate: context.sampleRate,
+        channels: CHANNELS,
+      };
+    }
+
+    /**
+     * Drop the take without encoding it
+     */
+    function cancel() {
+      if (!take) return false;
+      const current = take;
+      take = null;
+
+      if (current.format === 'webm') {
+        current.recorder.onstop = () => input.disconnect(current.destination);
+        current.recorder.stop();
+      } else if (!settings.preRoll) {
+        releaseTap();
+      }
+      return true;
+    }
+
+    // ------ Settings ------
+
+    function setFormat(format) {
+      if (!FORMATS[format]) {
+        throw new Error('FORMAT MUST BE ' + Object.keys(FORMATS).join(', ').toUpperCase());
+      }
+      if (take) throw new Error('STOP RECORDING FIRST');
+      if (!isSupported(format)) throw new Error(format.toUpperCase() + ' RECORDING NOT SUPPORTED');
+
+      settings.format = format;
+      return format;
+    }
+
+    /**
+     * Seconds of audio kept from before each WAV take. Anything above
+     * zero starts the tap so the ring fills while idle.
+     */
+    function setPreRoll(seconds) {
+      const value = Number(seconds);
+      if (!isFinite(value)) throw new Error('PRE-ROLL MUST BE A NUMBER');
+
+      settings.preRoll = clamp(value, LIMITS.preRoll);
+      if (settings.preRoll > 0 && isSupported('wav')) {
+        ensureTap().catch(err => console.warn('[Recorder] Could not start pre-roll:', err));
+      } else if (!take || take.format !== 'wav') {
+        releaseTap();
+      }
+      return settings.preRoll;
+    }
+
+    function getElapsed() {
+      return take ? Math.max(0, context.currentTime - take.startTime) : 0;
+    }
+
+    function getSettings() {
+      return {
+        format: settings.format,
+        preRoll: settings.preRoll,
+        recording: !!take,
+        elapsed: getElapsed(),
+      };
+    }
+
+    if (settings.preRoll > 0) setPreRoll(settings.preRoll);
+
+    return {
+      input: input,
+      start: start,
+      stop: stop,
+      cancel: cancel,
+      setFormat: setFormat,
+      setPreRoll: setPreRoll,
+      isRecording: function() { return !!take; },
+      getElapsed: getElapsed,
+      getSettings: getSettings,
+    };
+  }
+
+  // Public API
+  return {
+    FORMATS: Object.keys(FORMATS),
+    LIMITS: LIMITS,
+    isSupported: isSupported,
+    encodeWav: encodeWav,
+    download: download,
+    create: create,
+  };
+
+})();
+
+console.log('[Recorder] Module loaded');
@@ -0,0 +1,262 @@
+/**
+ * Oscilloscope Trace
+ * Draws analyser time-domain data onto the CRT as a phosphor trace
+ *
+ * Modes:
+ * - 'yt': amplitude over time with rising/falling edge trigger
+ * - 'xy': left channel on X, right channel on Y (Lissajous figures)
+ *
+ * Samples are byte time-domain data (128 = 0 V, full scale = 1 V).
+ * Scaling follows the graticule: one division is DIVISION_PX pixels,
+ * timebase is ms/div and sensitivity is volts/div. Old frames fade
+ * out instead of being cleared to simulate phosphor persistence.
+ */
+
+const Scope = (function() {
+  'use strict';
+
+  // Must match the major grid size in .crt-graticule
+  const DIVISION_PX = 60;
+
+  // Largest AnalyserNode fftSize
+  const MAX_BUFFER = 32768;
+
+  const TRACE_COLOR = '#40ff90';
+  const TRACE_GLOW = 'rgba(64, 255, 144, 0.8)';
+
+  const DEFAULTS = {
+    mode: 'yt',
+    timebase: 1,         // ms per division
+    voltsPerDiv: 0.5,    // volts per division
+    triggerLevel: 0,     // volts
+    triggerSlope: 'rising',
+    persistence: 0.8,    // 0 = no afterglow, < 1
+  };
+
+  const LIMITS = {
+    timebase: [0.05, 100],
+    voltsPerDiv: [0.01, 5],
+    triggerLevel: [-1, 1],
+    persistence: [0, 0.98],
+  };
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * Create a trace renderer on a canvas
+   */
+  function create(canvas, options) {
+    const ctx = canvas.getContext('2d');
+    const settings = Object.assign({}, DEFAULTS, options);
+
+    let width = 0;
+    let height = 0;
+    let triggered = false;
+
+    function resize() {
+      const ratio = window.devicePixelRatio || 1;
+      const w = canvas.clientWidth;
+      const h = canvas.clientHeight;
+
+      if (w !== width || h !== height) {
+        width = w;
+        height = h;
+        canvas.width = Math.round(w * ratio);
+        canvas.height = Math.round(h * ratio);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      }
+    }
+
+    /**
+     * Fade the previous frame toward transparent
+     */
+    function fade() {
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.fillStyle = 'rgba(0, 0, 0, ' + (1 - settings.persistence) + ')';
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    }
+
+    function beginTrace() {
+      ctx.save();
+      ctx.strokeStyle = TRACE_COLOR;
+      ctx.lineWidth = 1.5;
+      ctx.lineJoin = 'round';
+      ctx.shadowColor = TRACE_GLOW;
+      ctx.shadowBlur = 6;
+      ctx.beginPath();
+    }
+
+    function endTrace() {
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    function toVolts(byte) {
+      return (byte - 128) / 128;
+    }
+
+    /**
+     * Index of the first trigger crossing, or -1 (free-running)
+     */
+    function findTrigger(samples, searchLength) {
+      const level = settings.triggerLevel;
+      const rising = settings.triggerSlope === 'rising';
+
+      for (let i = 1; i < searchLength; i++) {
+        const prev = toVolts(samples[i - 1]);
+        const curr = toVolts(samples[i]);
+        if (rising ? (prev < level && curr >= level) : (prev > level && curr <= level)) {
+          return i;
+        }
+      }
+      return -1;
+    }
+
+    /**
+     * Timebase actually drawn. The analyser holds at most MAX_BUFFER
+     * samples, half for the screen and half for the trigger search, so
+     * long timebases on wide screens are shortened to what fits.
+     */
+    function getTimebase(sampleRate) {
+      const divisions = (width || canvas.clientWidth) / DIVISION_PX;
+      const longest = MAX_BUFFER / 2 / sampleRate * 1000 / divisions;
+      return Math.min(settings.timebase, longest);
+    }
+
+    /**
+     * Samples needed to fill the screen at the current timebase
+     */
+    function visibleSamples(sampleRate) {
+      const divisions = (width || canvas.clientWidth) / DIVISION_PX;
+      const samples = Math.ceil(divisions * getTimebase(sampleRate) / 1000 * sampleRate);
+      return Math.min(samples, MAX_BUFFER / 2);
+    }
+
+    /**
+     * Analyser fftSize that covers one screen plus a trigger search
+     * window of the same length
+     */
+    function requiredBufferSize(sampleRate) {
+      const needed = visibleSamples(sampleRate) * 2;
+      let size = 32;
+      while (size < needed && size < MAX_BUFFER) size *= 2;
+      return size;
+    }
+
+    function drawYT(samples, sampleRate) {
+      resize();
+      fade();
+
+      const visible = Math.min(visibleSamples(sampleRate), samples.length);
+      const searchLength = Math.max(1, samples.length - visible);
+      const trigger = findTrigger(samples, searchLength);
+      const start = trigger === -1 ? 0 : trigger;
+      triggered = trigger !== -1;
+
+      const centerY = height / 2;
+      const pxPerVolt = DIVISION_PX / settings.voltsPerDiv;
+      const pxPerSample = width / visibleSamples(sampleRate);
+
+      beginTrace();
+      for (let i = 0; i < visible && start + i < samples.length; i++) {
+        const x = i * pxPerSample;
+        const y = centerY - toVolts(samples[start + i]) * pxPerVolt;
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      endTrace();
+    }
+
+    function drawXY(left, right) {
+      resize();
+      fade();
+      triggered = false;
+
+      const centerX = width / 2;
+      const centerY = height / 2;
+      const pxPerVolt = DIVISION_PX / settings.voltsPerDiv;
+      const length = Math.min(left.length, right.length);
+
+      beginTrace();
+      for (let i = 0; i < length; i++) {
+        const x = centerX + toVolts(left[i]) * pxPerVolt;
+        const y = centerY - toVolts(right[i]) * pxPerVolt;
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      endTrace();
+    }
+
+    /**
+     * Flat baseline for when there is no signal
+     */
+    function drawIdle() {
+      resize();
+      fade();
+      triggered = false;
+
+      beginTrace();
+      if (settings.mode === 'xy') {
+        ctx.arc(width / 2, height / 2, 1.5, 0, Math.PI * 2);
+      } else {
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+      }
+      endTrace();
+    }
+
+    function clear() {
+      ctx.clearRect(0, 0, width, height);
+    }
+
+    function set(name, value) {
+      switch (name) {
+        case 'mode':
+          if (value !== 'yt' && value !== 'xy') throw new Error('MODE MUST BE YT OR XY');
+          settings.mode = value;
+          clear();
+          break;
+        case 'triggerSlope':
+          if (value !== 'rising' && value !== 'falling') throw new Error('SLOPE MUST BE RISING OR FALLING');
+          settings.triggerSlope = value;
+          break;
+        default:
+          if (!LIMITS[name]) throw new Error('UNKNOWN SETTING: ' + name);
+          if (!isFinite(value)) throw new Error(name.toUpperCase() + ' MUST BE A NUMBER');
+          settings[name] = clamp(Number(value), LIMITS[name]);
+      }
+      return settings[name];
+    }
+
+    return {
+      drawYT: drawYT,
+      drawXY: drawXY,
+      drawIdle: drawIdle,
+      clear: clear,
+      set: set,
+      requiredBufferSize: requiredBufferSize,
+      getTimebase: getTimebase,
+      isTriggered: function() { return triggered; },
+      getSettings: function() { return Object.assign({}, settings); },
+    };
+  }
+
+  // Public API
+  return {
+    create: create,
+    LIMITS: LIMITS,
+  };
+
+})();
+
+console.log('[Scope] Module loaded');
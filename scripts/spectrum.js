@@ -0,0 +1,165 @@
+/**
+ * Spectrum Layout
+ * Band edges and gain compensation for the EQ visualizer
+ *
+ * Scales:
+ * - log:          equal ratio between edges
+ * - octave:       ISO 266 octave centers (31.5 Hz - 16 kHz)
+ * - third-octave: ISO 266 third-octave centers (25 Hz - 20 kHz)
+ * - mel:          equal steps on the mel scale
+ * - linear:       equal steps in Hz
+ *
+ * ISO scales have a fixed set of centers; asking for fewer bars merges
+ * neighbouring bands, asking for more is capped at the ISO count. A range
+ * holding no ISO center is an error.
+ *
+ * Gain compensation is a tilt in dB/octave relative to the first band,
+ * boosting highs since they are naturally quieter in most material.
+ */
+
+const Spectrum = (function() {
+  'use strict';
+
+  const SCALES = ['log', 'octave', 'third-octave', 'mel', 'linear'];
+
+  const ISO_CENTERS = {
+    'octave': [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000],
+    'third-octave': [
+      25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+      1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+    ],
+  };
+
+  // Half-band ratio for ISO edges: 2^(1/2) for octaves, 2^(1/6) for thirds
+  const ISO_HALF_BAND = {
+    'octave': Math.pow(2, 1 / 2),
+    'third-octave': Math.pow(2, 1 / 6),
+  };
+
+  function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+  }
+
+  function melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+  }
+
+  /**
+   * count + 1 edges spaced evenly through a mapping
+   */
+  function spacedEdges(count, minFreq, maxFreq, toScale, fromScale) {
+    const lo = toScale(minFreq);
+    const hi = toScale(maxFreq);
+    const edges = [];
+    for (let i = 0; i <= count; i++) {
+      edges.push(fromScale(lo + (hi - lo) * i / count));
+    }
+    return edges;
+  }
+
+  function isoEdges(count, minFreq, maxFreq, scale) {
+    const half = ISO_HALF_BAND[scale];
+    const centers = ISO_CENTERS[scale].filter(center => center >= minFreq && center <= maxFreq);
+    if (!centers.length) {
+      throw new Error('NO ' + scale.toUpperCase() + ' BANDS BETWEEN ' +
+        formatFrequency(minFreq) + ' AND ' + formatFrequency(maxFreq) + ' HZ');
+    }
+    const bands = Math.max(1, Math.min(count, centers.length));
+    const edges = [];
+
+    // Split the ISO bands into `bands` nearly equal groups
+    for (let i = 0; i <= bands; i++) {
+      const index = Math.round(i * centers.length / bands);
+      if (index === 0) {
+        edges.push(centers[0] / half);
+      } else {
+        edges.push(centers[index - 1] * half);
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Band edges in Hz for a bar count on a scale
+   */
+  function bandEdges(count, scale, minFreq, maxFreq) {
+    const bars = Math.max(1, Math.floor(count));
+
+    switch (scale) {
+      case 'log':
+        return spacedEdges(bars, minFreq, maxFreq, Math.log, Math.exp);
+      case 'mel':
+        return spacedEdges(bars, minFreq, maxFreq, hzToMel, melToHz);
+      case 'linear':
+        return spacedEdges(bars, minFreq, maxFreq, f => f, f => f);
+      case 'octave':
+      case 'third-octave':
+        return isoEdges(bars, minFreq, maxFreq, scale);
+      default:
+        throw new Error('UNKNOWN SCALE: ' + scale);
+    }
+  }
+
+  /**
+   * Geometric center of each band
+   */
+  function bandCenters(edges) {
+    const centers = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+      centers.push(Math.sqrt(edges[i] * edges[i + 1]));
+    }
+    return centers;
+  }
+
+  /**
+   * Linear gain per band for a tilt in dB/octave, 1.0 at the first band
+   */
+  function tiltGains(centers, dbPerOctave) {
+    const reference = centers[0];
+    return centers.map(center => {
+      const octaves = Math.log2(center / reference);
+      return Math.pow(10, dbPerOctave * octaves / 20);
+    });
+  }
+
+  /**
+   * Full layout: edges, centers and gains
+   */
+  function createLayout(options) {
+    const edges = bandEdges(options.bars, options.scale, options.minFreq, options.maxFreq);
+    const centers = bandCenters(edges);
+    return {
+      bars: centers.length,
+      scale: options.scale,
+      tilt: options.tilt,
+      minFreq: options.minFreq,
+      maxFreq: options.maxFreq,
+      edges: edges,
+      centers: centers,
+      gains: tiltGains(centers, options.tilt),
+    };
+  }
+
+  /**
+   * Compact frequency label: 63, 630, 1.2K, 16K
+   */
+  function formatFrequency(hz) {
+    if (hz >= 10000) return Math.round(hz / 1000) + 'K';
+    if (hz >= 1000) return (hz / 1000).toFixed(1).replace(/\.0$/, '') + 'K';
+    return String(Math.round(hz));
+  }
+
+  // Public API
+  return {
+    SCALES: SCALES,
+    bandEdges: bandEdges,
+    bandCenters: bandCenters,
+    tiltGains: tiltGains,
+    createLayout: createLayout,
+    formatFrequency: formatFrequency,
+  };
+
+})();
+
+console.log('[Spectrum] Module loaded');
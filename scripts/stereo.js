@@ -0,0 +1,188 @@
+/**
+ * Stereo Image
+ * Phase correlation and balance from the split L/R channels
+ *
+ * Correlation is the normalised cross-product of the two channels:
+ *   +1  identical (mono)
+ *    0  unrelated (wide stereo)
+ *   -1  out of phase (cancels when summed to mono)
+ *
+ * Balance compares channel RMS: -1 is hard left, +1 hard right.
+ * The app up-mixes mono sources to both channels before the split, so
+ * a mono mic reads +1 and centred rather than "L ONLY".
+ * Both are integrated over ~300 ms like a hardware correlation meter
+ * and rest at 0 when the input is below the noise floor.
+ */
+
+const Stereo = (function() {
+  'use strict';
+
+  const INTEGRATION_TIME = 0.3; // seconds
+
+  // Mean square below this (about -70 dBFS) counts as silence
+  const SILENCE = 1e-7;
+
+  const COLORS = {
+    scale: 'rgba(0, 212, 255, 0.35)',
+    label: 'rgba(0, 212, 255, 0.6)',
+    positive: '#00d4ff',
+    caution: '#ffaa00',
+    negative: '#ff3366',
+  };
+
+  function toDb(meanSquare) {
+    return meanSquare > 0 ? Math.max(-90, 10 * Math.log10(meanSquare)) : -90;
+  }
+
+  /**
+   * Create a correlation/balance meter, optionally drawing on a canvas
+   */
+  function create(canvas) {
+    const ctx = canvas ? canvas.getContext('2d') : null;
+
+    const meter = {
+      lr: 0,
+      ll: 0,
+      rr: 0,
+      correlation: 0,
+      balance: 0,
+    };
+
+    /**
+     * Feed one block of float samples per channel; dt in seconds
+     */
+    function process(left, right, dt) {
+      const length = Math.min(left.length, right.length);
+      if (!length) return;
+
+      let lr = 0;
+      let ll = 0;
+      let rr = 0;
+      for (let i = 0; i < length; i++) {
+        const l = left[i];
+        const r = right[i];
+        lr += l * r;
+        ll += l * l;
+        rr += r * r;
+      }
+
+      const k = 1 - Math.exp(-Math.min(0.5, Math.max(0, dt)) / INTEGRATION_TIME);
+      meter.lr += (lr / length - meter.lr) * k;
+      meter.ll += (ll / length - meter.ll) * k;
+      meter.rr += (rr / length - meter.rr) * k;
+
+      const energy = Math.sqrt(meter.ll * meter.rr);
+      if (meter.ll + meter.rr < SILENCE) {
+        meter.correlation = 0;
+        meter.balance = 0;
+        return;
+      }
+
+      // With one side silent there is no phase relationship to show
+      meter.correlation = energy > 0 ? Math.max(-1, Math.min(1, meter.lr / energy)) : 0;
+
+      const l = Math.sqrt(meter.ll);
+      const r = Math.sqrt(meter.rr);
+      meter.balance = (r - l) / (r + l);
+    }
+
+    function reset() {
+      meter.lr = 0;
+      meter.ll = 0;
+      meter.rr = 0;
+      meter.correlation = 0;
+      meter.balance = 0;
+    }
+
+    function correlationColor(value) {
+      if (value < 0) return COLORS.negative;
+      if (value < 0.3) return COLORS.caution;
+      return COLORS.positive;
+    }
+
+    /**
+     * One horizontal -1..+1 scale with a bar growing from the center
+     */
+    function drawScale(y, value, labels, color) {
+      const width = canvas.clientWidth;
+      const left = 18;
+      const right = width - 18;
+      const center = (left + right) / 2;
+      const x = center + value * (right - left) / 2;
+
+      ctx.fillStyle = COLORS.label;
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'right';
+      ctx.fillText(labels[0], left - 4, y);
+      ctx.textAlign = 'left';
+      ctx.fillText(labels[1], right + 4, y);
+
+      // Track with center tick
+      ctx.fillStyle = COLORS.scale;
+      ctx.fillRect(left, y - 0.5, right - left, 1);
+      ctx.fillRect(center - 0.5, y - 4, 1, 8);
+
+      ctx.save();
+      ctx.fillStyle = color;
+      ctx.shadowColor = color;
+      ctx.shadowBlur = 6;
+      ctx.fillRect(Math.min(center, x), y - 2, Math.max(1, Math.abs(x - center)), 4);
+      ctx.fillRect(x - 1, y - 4, 2, 8);
+      ctx.restore();
+    }
+
+    function draw() {
+      if (!ctx) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '8px "Share Tech Mono", monospace';
+
+      drawScale(height * 0.3, meter.correlation, ['-1', '+1'], correlationColor(meter.correlation));
+      drawScale(height * 0.75, meter.balance, ['L', 'R'], COLORS.positive);
+    }
+
+    function getReadings() {
+      return {
+        correlation: meter.correlation,
+        balance: meter.balance,
+        leftDb: toDb(meter.ll),
+        rightDb: toDb(meter.rr),
+      };
+    }
+
+    return {
+      process: process,
+      draw: draw,
+      reset: reset,
+      getReadings: getReadings,
+    };
+  }
+
+  /**
+   * Balance as text: "C", "L 3.2 DB", "R 0.5 DB" or "L ONLY"
+   */
+  function formatBalance(leftDb, rightDb) {
+    if (rightDb <= -90 && leftDb > -90) return 'L ONLY';
+    if (leftDb <= -90 && rightDb > -90) return 'R ONLY';
+    const difference = rightDb - leftDb;
+    if (Math.abs(difference) < 0.05) return 'C';
+    return (difference < 0 ? 'L ' : 'R ') + Math.abs(difference).toFixed(1) + ' DB';
+  }
+
+  // Public API
+  return {
+    create: create,
+    formatBalance: formatBalance,
+  };
+
+})();
+
+console.log('[Stereo] Module loaded');
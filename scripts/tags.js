@@ -0,0 +1,617 @@
+/**
+ * Track Tags
+ * Reads embedded metadata from audio files without decoding them
+ *
+ * Supported:
+ * - MP3:  ID3v2.2/2.3/2.4 (text frames, APIC/PIC cover art), ID3v1/1.1
+ *         as a fallback, bitrate from the first frame or Xing/Info header
+ * - FLAC: STREAMINFO, VORBIS_COMMENT and PICTURE blocks
+ * - OGG:  Vorbis and Opus comment headers (METADATA_BLOCK_PICTURE art)
+ * - WAV:  fmt chunk, LIST/INFO chunk and embedded "id3 " chunks
+ *
+ * Only the byte ranges that hold metadata are read from the Blob, so
+ * large files are never loaded whole.
+ *
+ * Result: { format, title, artist, album, year, track, genre, bitrate
+ * (kbps), sampleRate, channels, duration (s), picture: { mime, data } }
+ * with null for anything the file does not say.
+ */
+
+const Tags = (function() {
+  'use strict';
+
+  const HEAD_BYTES = 256 * 1024;   // first read; covers most tags
+  const OGG_HEADER_BYTES = 4 * 1024 * 1024;
+  const TAIL_BYTES = 64 * 1024;    // last OGG page for the duration
+
+  const ID3_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TYER: 'year', TYE: 'year', TDRC: 'year',
+    TRCK: 'track', TRK: 'track',
+    TCON: 'genre', TCO: 'genre',
+  };
+
+  const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    DATE: 'year',
+    YEAR: 'year',
+    TRACKNUMBER: 'track',
+    GENRE: 'genre',
+  };
+
+  const RIFF_INFO_FIELDS = {
+    INAM: 'title',
+    IART: 'artist',
+    IPRD: 'album',
+    ICRD: 'year',
+    ITRK: 'track',
+    IPRT: 'track',
+    IGNR: 'genre',
+  };
+
+  // kbps by [version group][layer][index]; version group 0 = MPEG1, 1 = MPEG2/2.5
+  const MPEG_BITRATES = [
+    [
+      [],
+      [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],   // Layer III
+      [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],  // Layer II
+      [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448], // Layer I
+    ],
+    [
+      [],
+      [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+      [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+      [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    ],
+  ];
+
+  const MPEG_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG1
+    2: [22050, 24000, 16000], // MPEG2
+    0: [11025, 12000, 8000],  // MPEG2.5
+  };
+
+  // ------ Byte helpers ------
+
+  async function readRange(blob, start, length) {
+    const from = Math.max(0, start);
+    const slice = blob.slice(from, Math.min(blob.size, from + length));
+    return new Uint8Array(await slice.arrayBuffer());
+  }
+
+  function ascii(bytes, start, length) {
+    let text = '';
+    for (let i = start; i < start + length && i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+  }
+
+  function uint32be(bytes, offset) {
+    return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+  }
+
+  function uint32le(bytes, offset) {
+    return bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0);
+  }
+
+  function uint24be(bytes, offset) {
+    return (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2];
+  }
+
+  function synchsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+  }
+
+  /**
+   * ID3 text: 0 Latin-1, 1 UTF-16 with byte order mark, 2 UTF-16BE, 3 UTF-8.
+   * TextDecoder only strips a BOM, it does not switch byte order on one.
+   */
+  function decodeText(bytes, encoding) {
+    let label = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'][encoding] || 'iso-8859-1';
+    if (encoding === 1 && bytes[0] === 0xFE && bytes[1] === 0xFF) label = 'utf-16be';
+    return new TextDecoder(label).decode(bytes).replace(/\0+$/, '').split('\0')[0].trim();
+  }
+
+  /**
+   * End of a null-terminated string (two zero bytes for UTF-16)
+   */
+  function findTerminator(bytes, start, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+      if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+  }
+
+  /**
+   * Undo ID3 unsynchronisation (FF 00 -> FF)
+   */
+  function resync(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      out[length++] = bytes[i];
+      if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+    }
+    return out.subarray(0, length);
+  }
+
+  function emptyTags(format) {
+    return {
+      format: format,
+      title: null,
+      artist: null,
+      album: null,
+      year: null,
+      track: null,
+      genre: null,
+      bitrate: null,
+      sampleRate: null,
+      channels: null,
+      duration: null,
+      picture: null,
+    };
+  }
+
+  /**
+   * Copy fields the target does not have yet
+   */
+  function fillMissing(target, source) {
+    Object.keys(source).forEach(key => {
+      if ((target[key] === null || target[key] === '') && source[key]) target[key] = source[key];
+    });
+    return target;
+  }
+
+  // ------ ID3 ------
+
+  /**
+   * Parse an ID3v2 tag starting at offset 0 of bytes
+   */
+  function parseId3v2(bytes, tags) {
+    const version = bytes[3];
+    const flags = bytes[5];
+    const size = synchsafe(bytes, 6);
+    let body = bytes.subarray(10, 10 + size);
+
+    if (version < 4 && (flags & 0x80)) body = resync(body);
+
+    let offset = 0;
+    if (flags & 0x40) {
+      // Extended header: v2.4 size includes itself, v2.3 does not
+      offset = version === 4 ? synchsafe(body, 0) : uint32be(body, 0) + 4;
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+
+    while (offset + headerLength <= body.length) {
+      const id = ascii(body, offset, idLength);
+      if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+      const frameSize = version === 2 ? uint24be(body, offset + 3)
+        : version === 4 ? synchsafe(body, offset + 4)
+          : uint32be(body, offset + 4);
+      const formatFlags = version === 2 ? 0 : body[offset + 9];
+      let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+      offset += headerLength + frameSize;
+
+      if (version === 4) {
+        // Compressed or encrypted frames cannot be read
+        if (formatFlags & 0x0C) continue;
+        // Grouping byte and data length indicator come before the data
+        if (formatFlags & 0x40) frame = frame.subarray(1);
+        if (formatFlags & 0x01) frame = frame.subarray(4);
+        if (formatFlags & 0x02) frame = resync(frame);
+      }
+      if (!frame.length) continue;
+
+      if (ID3_FRAMES[id]) {
+        const field = ID3_FRAMES[id];
+        if (!tags[field]) tags[field] = decodeText(frame.subarray(1), frame[0]);
+      } else if ((id === 'APIC' || id === 'PIC') && !tags.picture) {
+        tags.picture = parseId3Picture(frame, id === 'PIC');
+      }
+    }
+
+    // "(17)Rock" or "(17)" genre references: keep the readable part
+    if (tags.genre) tags.genre = tags.genre.replace(/^\(\d+\)/, '') || null;
+    if (tags.year) tags.year = tags.year.substring(0, 4);
+
+    return tags;
+  }
+
+  function parseId3Picture(frame, legacy) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mime;
+
+    if (legacy) {
+      // v2.2 PIC: three-letter image format
+      const format = ascii(frame, 1, 3).toLowerCase();
+      mime = format === 'png' ? 'image/png' : 'image/jpeg';
+      offset = 4;
+    } else {
+      const end = findTerminator(frame, offset, 0);
+      mime = ascii(frame, offset, end - offset) || 'image/jpeg';
+      if (mime.indexOf('/') === -1) mime = 'image/' + mime.toLowerCase();
+      offset = end + 1;
+    }
+
+    offset++; // picture type
+    const descriptionEnd = findTerminator(frame, offset, encoding);
+    offset = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+    return { mime: mime, data: frame.slice(offset) };
+  }
+
+  function parseId3v1(bytes) {
+    if (ascii(bytes, 0, 3) !== 'TAG') return null;
+
+    const text = (start, length) => decodeText(bytes.subarray(start, start + length), 0) || null;
+    const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+
+    return {
+      title: text(3, 30),
+      artist: text(33, 30),
+      album: text(63, 30),
+      year: text(93, 4),
+      track: hasTrack ? String(bytes[126]) : null,
+    };
+  }
+
+  // ------ MPEG audio ------
+
+  /**
+   * First frame header after the tag: bitrate, rate, channels and,
+   * for VBR files with a Xing/Info header, the real average bitrate.
+   * base is the file position of bytes[0].
+   */
+  function parseMpegFrame(bytes, start, base, fileSize, tags) {
+    for (let i = start; i < bytes.length - 4; i++) {
+      if (bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) continue;
+
+      const versionBits = (bytes[i + 1] >> 3) & 3;
+      const layerBits = (bytes[i + 1] >> 1) & 3;
+      const bitrateIndex = bytes[i + 2] >> 4;
+      const rateIndex = (bytes[i + 2] >> 2) & 3;
+      if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+        continue;
+      }
+
+      const mpeg1 = versionBits === 3;
+      const mono = (bytes[i + 3] >> 6) === 3;
+      const sampleRate = MPEG_SAMPLE_RATES[versionBits][rateIndex];
+      const samplesPerFrame = layerBits === 3 ? 384 : (layerBits === 1 && !mpeg1 ? 576 : 1152);
+
+      tags.sampleRate = sampleRate;
+      tags.channels = mono ? 1 : 2;
+      tags.bitrate = MPEG_BITRATES[mpeg1 ? 0 : 1][layerBits][bitrateIndex];
+
+      // Xing/Info VBR header sits after the side information
+      const xing = i + 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+      const marker = ascii(bytes, xing, 4);
+      if (marker === 'Xing' || marker === 'Info') {
+        const flags = uint32be(bytes, xing + 4);
+        let field = xing + 8;
+        const frames = flags & 1 ? uint32be(bytes, field) : 0;
+        if (flags & 1) field += 4;
+        const audioBytes = flags & 2 ? uint32be(bytes, field) : fileSize - base - i;
+        if (frames) {
+          tags.duration = frames * samplesPerFrame / sampleRate;
+          tags.bitrate = Math.round(audioBytes * 8 / tags.duration / 1000);
+        }
+      }
+
+      if (!tags.duration && tags.bitrate) {
+        tags.duration = (fileSize - base - i) * 8 / (tags.bitrate * 1000);
+      }
+      return;
+    }
+  }
+
+  async function readMp3(blob, head) {
+    const tags = emptyTags('MP3');
+
+    if (ascii(head, 0, 3) === 'ID3') {
+      const size = synchsafe(head, 6) + 10 + (head[5] & 0x10 ? 10 : 0);
+      parseId3v2(size > head.length ? await readRange(blob, 0, size) : head, tags);
+
+      // The first audio frame follows the tag
+      if (size + 4096 <= head.length) {
+        parseMpegFrame(head, size, 0, blob.size, tags);
+      } else {
+        parseMpegFrame(await readRange(blob, size, 8192), 0, size, blob.size, tags);
+      }
+    } else {
+      parseMpegFrame(head, 0, 0, blob.size, tags);
+    }
+
+    if (blob.size > 128) {
+      const v1 = parseId3v1(await readRange(blob, blob.size - 128, 128));
+      if (v1) fillMissing(tags, v1);
+    }
+
+    return tags;
+  }
+
+  // ------ Vorbis comments and FLAC ------
+
+  /**
+   * Vorbis comment block (little-endian lengths)
+   */
+  function parseVorbisComment(bytes, offset, tags) {
+    const decoder = new TextDecoder('utf-8');
+    const vendorLength = uint32le(bytes, offset);
+    let position = offset + 4 + vendorLength;
+    const count = uint32le(bytes, position);
+    position += 4;
+
+    for (let i = 0; i < count && position + 4 <= bytes.length; i++) {
+      const length = uint32le(bytes, position);
+      const comment = decoder.decode(bytes.subarray(position + 4, position + 4 + length));
+      position += 4 + length;
+
+      const split = comment.indexOf('=');
+      if (split === -1) continue;
+      const key = comment.substring(0, split).toUpperCase();
+      const value = comment.substring(split + 1).trim();
+
+      if (VORBIS_FIELDS[key] && !tags[VORBIS_FIELDS[key]]) {
+        tags[VORBIS_FIELDS[key]] = value;
+      } else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+        tags.picture = parseFlacPicture(base64ToBytes(value), 0);
+      }
+    }
+
+    if (tags.year) tags.year = tags.year.substring(0, 4);
+  }
+
+  function base64ToBytes(text) {
+    try {
+      const binary = atob(text);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      return bytes;
+    } catch (err) {
+      return new Uint8Array(0);
+    }
+  }
+
+  /**
+   * FLAC PICTURE block (big-endian), also used inside Vorbis comments
+   */
+  function parseFlacPicture(bytes, offset) {
+    if (bytes.length < offset + 32) return null;
+
+    let position = offset + 4; // picture type
+    const mimeLength = uint32be(bytes, position);
+    const mime = ascii(bytes, position + 4, mimeLength);
+    position += 4 + mimeLength;
+    position += 4 + uint32be(bytes, position); // description
+    position += 16;                            // width, height, depth, colours
+    const length = uint32be(bytes, position);
+
+    return { mime: mime || 'image/jpeg', data: bytes.slice(position + 4, position + 4 + length) };
+  }
+
+  async function readFlac(blob, head) {
+    const tags = emptyTags('FLAC');
+    let bytes = head;
+    let offset = 4;
+
+    while (offset + 4 <= bytes.length) {
+      const last = bytes[offset] & 0x80;
+      const type = bytes[offset] & 0x7F;
+      const length = uint24be(bytes, offset + 1);
+      const start = offset + 4;
+
+      // Large blocks (usually pictures) may run past the first read
+      if (start + length > bytes.length && (type === 4 || type === 6)) {
+        bytes = await readRange(blob, 0, start + length + 4);
+      }
+
+      if (type === 0) {
+        tags.sampleRate = (bytes[start + 10] << 12) | (bytes[start + 11] << 4) | (bytes[start + 12] >> 4);
+        tags.channels = ((bytes[start + 12] >> 1) & 7) + 1;
+        const totalSamples = (bytes[start + 13] & 0x0F) * 0x100000000 + uint32be(bytes, start + 14);
+        if (totalSamples && tags.sampleRate) tags.duration = totalSamples / tags.sampleRate;
+      } else if (type === 4) {
+        parseVorbisComment(bytes, start, tags);
+      } else if (type === 6 && !tags.picture) {
+        tags.picture = parseFlacPicture(bytes, start);
+      }
+
+      offset = start + length;
+      if (last) break;
+    }
+
+    if (tags.duration) tags.bitrate = Math.round(blob.size * 8 / tags.duration / 1000);
+    return tags;
+  }
+
+  // ------ OGG ------
+
+  /**
+   * Reassemble the first packets of the first logical stream
+   */
+  function oggPackets(bytes, wanted) {
+    const packets = [];
+    let current = [];
+    let offset = 0;
+
+    while (offset + 27 <= bytes.length && packets.length < wanted) {
+      if (ascii(bytes, offset, 4) !== 'OggS') break;
+
+      const segments = bytes[offset + 26];
+      let position = offset + 27 + segments;
+
+      for (let i = 0; i < segments; i++) {
+        const lacing = bytes[offset + 27 + i];
+        current.push(bytes.subarray(position, position + lacing));
+        position += lacing;
+        if (lacing < 255) {
+          const length = current.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(length);
+          let at = 0;
+          current.forEach(part => { packet.set(part, at); at += part.length; });
+          packets.push(packet);
+          current = [];
+          if (packets.length >= wanted) break;
+        }
+      }
+      offset = position;
+    }
+    return packets;
+  }
+
+  /**
+   * Granule position of the last page, for the duration
+   */
+  function lastGranule(bytes) {
+    for (let i = bytes.length - 27; i >= 0; i--) {
+      if (bytes[i] === 0x4F && ascii(bytes, i, 4) === 'OggS') {
+        return uint32le(bytes, i + 6) + uint32le(bytes, i + 10) * 0x100000000;
+      }
+    }
+    return 0;
+  }
+
+  async function readOgg(blob) {
+    const packets = oggPackets(await readRange(blob, 0, OGG_HEADER_BYTES), 2);
+    const id = packets[0];
+    const comments = packets[1];
+    if (!id) return emptyTags('OGG');
+
+    const opus = ascii(id, 0, 8) === 'OpusHead';
+    const tags = emptyTags(opus ? 'OPUS' : 'OGG');
+    let preSkip = 0;
+    let clockRate;
+
+    if (opus) {
+      tags.channels = id[9];
+      preSkip = id[10] | (id[11] << 8);
+      tags.sampleRate = uint32le(id, 12) || 48000;
+      clockRate = 48000; // Opus granules always count 48 kHz samples
+      if (comments) parseVorbisComment(comments, 8, tags);
+    } else {
+      tags.channels = id[11];
+      tags.sampleRate = uint32le(id, 12);
+      clockRate = tags.sampleRate;
+      const nominal = uint32le(id, 20);
+      if (nominal > 0 && nominal < 0x80000000) tags.bitrate = Math.round(nominal / 1000);
+      if (comments) parseVorbisComment(comments, 7, tags);
+    }
+
+    const granule = lastGranule(await readRange(blob, blob.size - TAIL_BYTES, TAIL_BYTES));
+    if (granule > preSkip && clockRate) {
+      tags.duration = (granule - preSkip) / clockRate;
+      if (!tags.bitrate) tags.bitrate = Math.round(blob.size * 8 / tags.duration / 1000);
+    }
+    return tags;
+  }
+
+  // ------ WAV ------
+
+  async function readWav(blob, head) {
+    const tags = emptyTags('WAV');
+    let offset = 12;
+    let byteRate = 0;
+    let dataLength = 0;
+
+    while (offset + 8 <= blob.size) {
+      let bytes = head;
+      let base = 0;
+      if (offset + 8 > head.length) {
+        // Chunks after the audio data
+        bytes = await readRange(blob, offset, 8);
+        base = offset;
+      }
+
+      const id = ascii(bytes, offset - base, 4);
+      const length = uint32le(bytes, offset - base + 4);
+      const start = offset + 8;
+
+      if (id === 'fmt ' || id === 'LIST' || id.toLowerCase() === 'id3 ') {
+        const chunk = start + length <= head.length
+          ? head.subarray(start, start + length)
+          : await readRange(blob, start, length);
+
+        if (id === 'fmt ') {
+          tags.channels = chunk[2] | (chunk[3] << 8);
+          tags.sampleRate = uint32le(chunk, 4);
+          byteRate = uint32le(chunk, 8);
+          tags.bitrate = Math.round(byteRate * 8 / 1000);
+        } else if (id === 'LIST' && ascii(chunk, 0, 4) === 'INFO') {
+          parseRiffInfo(chunk, tags);
+        } else if (ascii(chunk, 0, 3) === 'ID3') {
+          parseId3v2(chunk, tags);
+        }
+      } else if (id === 'data') {
+        dataLength = length;
+      }
+
+      // Chunks are word-aligned
+      offset = start + length + (length & 1);
+    }
+
+    if (byteRate && dataLength) tags.duration = dataLength / byteRate;
+    return tags;
+  }
+
+  function parseRiffInfo(chunk, tags) {
+    let offset = 4;
+    while (offset + 8 <= chunk.length) {
+      const id = ascii(chunk, offset, 4);
+      const length = uint32le(chunk, offset + 4);
+      const field = RIFF_INFO_FIELDS[id];
+      if (field && !tags[field]) {
+        tags[field] = decodeText(chunk.subarray(offset + 8, offset + 8 + length), 3) || null;
+      }
+      offset += 8 + length + (length & 1);
+    }
+    if (tags.year) tags.year = tags.year.substring(0, 4);
+  }
+
+  // ------ Entry point ------
+
+  /**
+   * Read tags from a File or Blob. Unknown formats resolve with an
+   * empty result rather than failing.
+   */
+  async function read(blob) {
+    const head = await readRange(blob, 0, HEAD_BYTES);
+
+    if (ascii(head, 0, 4) === 'fLaC') return readFlac(blob, head);
+    if (ascii(head, 0, 4) === 'OggS') return readOgg(blob);
+    if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WAVE') return readWav(blob, head);
+    if (ascii(head, 0, 3) === 'ID3' || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0)) {
+      return readMp3(blob, head);
+    }
+
+    return emptyTags(null);
+  }
+
+  /**
+   * "Artist - Title", falling back to whichever is known, or null
+   */
+  function displayName(tags) {
+    if (!tags) return null;
+    if (tags.artist && tags.title) return tags.artist + ' - ' + tags.title;
+    return tags.title || null;
+  }
+
+  // Public API
+  return {
+    read: read,
+    displayName: displayName,
+  };
+
+})();
+
+console.log('[Tags] Module loaded');
@@ -0,0 +1,241 @@
+/**
+ * Transcript
+ * Export and replay of the SYSTEM LOG and terminal transcript
+ *
+ * Entries are { source, time, type, text } where source is 'log' or
+ * 'terminal' and time is a millisecond timestamp.
+ *
+ * Formats:
+ * - text:   human-readable, one "[HH:MM:SS] text" line per entry
+ * - json:   single document with metadata and per-source arrays
+ * - ndjson: one JSON entry per line, merged in time order
+ */
+
+const Transcript = (function() {
+  'use strict';
+
+  const FORMAT_VERSION = 1;
+
+  const FORMATS = {
+    text: { extension: 'txt', mime: 'text/plain' },
+    json: { extension: 'json', mime: 'application/json' },
+    ndjson: { extension: 'ndjson', mime: 'application/x-ndjson' },
+  };
+
+  // Replay pacing for entries without usable timestamps
+  const REPLAY_DEFAULTS = {
+    speed: 1,
+    maxGap: 2000,        // ms, longest pause between lines at 1x
+    untimedDelay: 80,    // ms, gap for plain-text imports
+  };
+
+  function formatClock(time) {
+    return new Date(time).toLocaleTimeString('en-US', { hour12: false });
+  }
+
+  function byTime(a, b) {
+    return a.time - b.time;
+  }
+
+  /**
+   * Serialize { log, terminal } entry arrays into a format
+   */
+  function serialize(data, format) {
+    const log = data.log || [];
+    const terminal = data.terminal || [];
+
+    switch (format) {
+      case 'text': {
+        const lines = [];
+        if (log.length) {
+          lines.push('=== SYSTEM LOG ===');
+          log.forEach(entry => lines.push('[' + formatClock(entry.time) + '] ' + entry.text));
+        }
+        if (terminal.length) {
+          if (lines.length) lines.push('');
+          lines.push('=== TERMINAL ===');
+          terminal.forEach(entry => lines.push('[' + formatClock(entry.time) + '] ' + entry.text));
+        }
+        return lines.join('\n') + '\n';
+      }
+
+      case 'json':
+        return JSON.stringify({
+          version: FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          log: log.map(entry => toRecord(entry, 'log')),
+          terminal: terminal.map(entry => toRecord(entry, 'terminal')),
+        }, null, 2) + '\n';
+
+      case 'ndjson':
+        return log.map(entry => toRecord(entry, 'log'))
+          .concat(terminal.map(entry => toRecord(entry, 'terminal')))
+          .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+          .map(record => JSON.stringify(record))
+          .join('\n') + '\n';
+
+      default:
+        throw new Error('UNKNOWN FORMAT: ' + format);
+    }
+  }
+
+  function toRecord(entry, source) {
+    return {
+      source: source,
+      time: new Date(entry.time).toISOString(),
+      type: entry.type || '',
+      text: entry.text,
+    };
+  }
+
+  function fromRecord(record, fallbackSource) {
+    if (!record || typeof record.text !== 'string') return null;
+    const time = typeof record.time === 'number' ? record.time : Date.parse(record.time);
+    return {
+      source: record.source === 'log' ? 'log' : fallbackSource || 'terminal',
+      time: isFinite(time) ? time : null,
+      type: record.type || '',
+      text: record.text,
+    };
+  }
+
+  /**
+   * Parse an exported file back into entries (any of the three formats)
+   */
+  function parse(content) {
+    const trimmed = content.trim();
+    if (!trimmed) return [];
+
+    // JSON document
+    if (trimmed[0] === '{' && trimmed.indexOf('\n{') === -1) {
+      let doc = null;
+      try {
+        doc = JSON.parse(trimmed);
+      } catch (err) {
+        // Fall through to NDJSON
+      }
+      if (doc && (Array.isArray(doc.log) || Array.isArray(doc.terminal))) {
+        return (doc.log || []).map(record => fromRecord(record, 'log'))
+          .concat((doc.terminal || []).map(record => fromRecord(record, 'terminal')))
+          .filter(Boolean);
+      }
+    }
+
+    // NDJSON
+    if (trimmed[0] === '{') {
+      return trimmed.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return fromRecord(JSON.parse(line));
+          } catch (err) {
+            throw new Error('INVALID NDJSON LINE: ' + line.substring(0, 40));
+          }
+        })
+        .filter(Boolean);
+    }
+
+    // Plain text export or any text file
+    let source = 'terminal';
+    return trimmed.split('\n').reduce((entries, line) => {
+      if (line === '=== SYSTEM LOG ===') {
+        source = 'log';
+      } else if (line === '=== TERMINAL ===') {
+        source = 'terminal';
+      } else if (line.trim()) {
+        entries.push({
+          source: source,
+          time: null,
+          type: '',
+          text: line.replace(/^\[\d{2}:\d{2}:\d{2}\] /, ''),
+        });
+      }
+      return entries;
+    }, []);
+  }
+
+  /**
+   * Save content as a file through a temporary download link
+   */
+  function download(filename, content, format) {
+    const blob = new Blob([content], { type: FORMATS[format].mime });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename + '.' + FORMATS[format].extension;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Replay entries through onLine(entry), keeping their original spacing
+   * divided by speed. Pauses longer than maxGap (2 s by default) are cut
+   * to maxGap so idle stretches do not stall the replay; pass
+   * maxGap: Infinity for exact timing. Returns a controller with stop().
+   *
+   * Nothing is played before replay() returns, so onDone never runs
+   * before the caller has the controller.
+   */
+  function replay(entries, options) {
+    const opts = Object.assign({}, REPLAY_DEFAULTS, options);
+    const timed = entries.every(entry => entry.time !== null);
+    const queue = timed ? entries.slice().sort(byTime) : entries.slice();
+    let index = 0;
+    let timer = null;
+    let stopped = false;
+
+    function delayBefore(i) {
+      if (i === 0) return 0;
+      if (!timed) return opts.untimedDelay / opts.speed;
+      const gap = Math.min(opts.maxGap, Math.max(0, queue[i].time - queue[i - 1].time));
+      return gap / opts.speed;
+    }
+
+    function step() {
+      timer = null;
+      if (stopped) return;
+
+      if (index >= queue.length) {
+        if (typeof opts.onDone === 'function') opts.onDone(queue.length);
+        return;
+      }
+
+      opts.onLine(queue[index]);
+      index++;
+
+      if (index < queue.length) {
+        timer = setTimeout(step, delayBefore(index));
+      } else {
+        step();
+      }
+    }
+
+    timer = setTimeout(step, 0);
+
+    return {
+      stop: function() {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+        return index;
+      },
+      getProgress: function() { return { played: index, total: queue.length }; },
+    };
+  }
+
+  // Public API
+  return {
+    FORMATS: Object.keys(FORMATS),
+    MAX_GAP: REPLAY_DEFAULTS.maxGap,
+    serialize: serialize,
+    parse: parse,
+    download: download,
+    replay: replay,
+  };
+
+})();
+
+console.log('[Transcript] Module loaded');
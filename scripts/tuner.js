@@ -0,0 +1,285 @@
+/**
+ * Tuner
+ * Fundamental frequency, note name and cents from time-domain data
+ *
+ * Detection is YIN (de Cheveigné & Kawahara, 2002): the cumulative mean
+ * normalised difference function is searched for its first dip below a
+ * threshold, and the dip is refined by parabolic interpolation. Clarity
+ * (1 - the dip depth) says how periodic the block was.
+ *
+ * With a canvas, draw() shows a needle over a -50..+50 cent scale with
+ * the note name above it.
+ */
+
+const Tuner = (function() {
+  'use strict';
+
+  const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  const LIMITS = {
+    reference: [400, 480], // Hz for A4
+  };
+
+  const DEFAULTS = {
+    reference: 440,
+    minFrequency: 30, // Hz; low B on a five-string bass is 30.9
+    maxFrequency: 2000,
+    threshold: 0.15,  // YIN dip threshold
+    minLevel: -50,    // dBFS RMS below which there is no reading
+  };
+
+  const IN_TUNE = 5;        // cents either side that count as in tune
+  const HOLD_TIME = 0.5;    // s the last reading stays after the signal goes
+  const NEEDLE_TAU = 0.08;  // s, needle smoothing
+
+  const COLORS = {
+    scale: 'rgba(0, 212, 255, 0.7)',
+    inTune: '#00ff88',
+    needle: '#e8fbff',
+    glow: 'rgba(0, 212, 255, 0.6)',
+    text: '#00d4ff',
+    dim: 'rgba(0, 212, 255, 0.35)',
+    background: 'rgba(0, 0, 0, 0.75)',
+  };
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * YIN pitch of one block. Returns { frequency, clarity } or null.
+   */
+  function detect(samples, sampleRate, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const maxTau = Math.min(Math.floor(sampleRate / opts.minFrequency), Math.floor(samples.length / 2));
+    const minTau = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+    const span = samples.length - maxTau;
+    if (maxTau <= minTau) return null;
+
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+    const rms = Math.sqrt(sumSquares / samples.length);
+    if (rms <= 0 || 20 * Math.log10(rms) < opts.minLevel) return null;
+
+    // Difference function, then cumulative mean normalisation
+    const cmnd = new Float32Array(maxTau + 1);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let tau = 1; tau <= maxTau; tau++) {
+      let sum = 0;
+      for (let j = 0; j < span; j++) {
+        const delta = samples[j] - samples[j + tau];
+        sum += delta * delta;
+      }
+      running += sum;
+      cmnd[tau] = running > 0 ? sum * tau / running : 1;
+    }
+
+    // First dip under the threshold, followed down to its minimum
+    let tau = -1;
+    for (let t = minTau; t < maxTau; t++) {
+      if (cmnd[t] < opts.threshold) {
+        while (t + 1 < maxTau && cmnd[t + 1] < cmnd[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+    if (tau === -1) return null;
+
+    const left = cmnd[tau - 1];
+    const right = cmnd[tau + 1];
+    const curve = left - 2 * cmnd[tau] + right;
+    const offset = curve > 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curve)) : 0;
+
+    return {
+      frequency: sampleRate / (tau + offset),
+      clarity: Math.max(0, Math.min(1, 1 - cmnd[tau])),
+    };
+  }
+
+  /**
+   * Power-of-two block length holding the two periods of the lowest
+   * detectable note that detect() compares
+   */
+  function blockSize(sampleRate) {
+    const needed = 2 * Math.ceil(sampleRate / DEFAULTS.minFrequency);
+    let size = 32;
+    while (size < needed && size < 32768) size *= 2;
+    return size;
+  }
+
+  /**
+   * Nearest equal-tempered note: { name, octave, midi, cents, target }
+   */
+  function toNote(frequency, reference) {
+    const a4 = reference || DEFAULTS.reference;
+    const exact = 69 + 12 * Math.log2(frequency / a4);
+    const midi = Math.round(exact);
+
+    return {
+      name: NOTE_NAMES[((midi % 12) + 12) % 12],
+      octave: Math.floor(midi / 12) - 1,
+      midi: midi,
+      cents: (exact - midi) * 100,
+      target: a4 * Math.pow(2, (midi - 69) / 12),
+    };
+  }
+
+  /**
+   * Create a tuner, optionally drawing its needle on a canvas.
+   * options: { reference } - A4 in Hz
+   */
+  function create(canvas, options) {
+    const opts = Object.assign({ reference: DEFAULTS.reference }, options);
+    const ctx = canvas ? canvas.getContext('2d') : null;
+
+    const tuner = {
+      reference: clamp(opts.reference, LIMITS.reference),
+      reading: null,     // { frequency, clarity, name, octave, midi, cents, target }
+      heldFor: 0,        // s since the last detection
+      needle: 0,         // smoothed cents
+    };
+
+    /**
+     * Analyse one block; dt is seconds since the last call.
+     * Returns the current reading (held briefly after the signal goes).
+     */
+    function process(samples, sampleRate, dt) {
+      const step = Math.min(0.5, Math.max(0, dt));
+      const pitch = detect(samples, sampleRate);
+
+      if (pitch) {
+        tuner.reading = Object.assign({}, pitch, toNote(pitch.frequency, tuner.reference));
+        tuner.heldFor = 0;
+      } else if (tuner.reading) {
+        tuner.heldFor += step;
+        if (tuner.heldFor > HOLD_TIME) tuner.reading = null;
+      }
+
+      const targetCents = tuner.reading ? tuner.reading.cents : 0;
+      tuner.needle += (targetCents - tuner.needle) * (1 - Math.exp(-step / NEEDLE_TAU));
+      return tuner.reading;
+    }
+
+    function centsToX(cents, left, width) {
+      return left + (clamp(cents, [-50, 50]) + 50) / 100 * width;
+    }
+
+    function draw() {
+      if (!ctx) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = COLORS.background;
+      ctx.fillRect(0, 0, width, height);
+
+      const reading = tuner.reading;
+      const left = 16;
+      const scaleWidth = width - 32;
+      const baseline = height - 18;
+
+      // Note name and frequency
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = reading ? COLORS.text : COLORS.dim;
+      ctx.font = '700 28px Orbitron, monospace';
+      ctx.fillText(reading ? reading.name + reading.octave : '--', width / 2, 4);
+      ctx.font = '11px "Share Tech Mono", monospace';
+      ctx.fillText(reading ? reading.frequency.toFixed(1) + ' HZ' : 'A4 = ' + tuner.reference + ' HZ', width / 2, 38);
+
+      // In-tune zone and ticks every 10 cents
+      const zoneLeft = centsToX(-IN_TUNE, left, scaleWidth);
+      ctx.fillStyle = 'rgba(0, 255, 136, 0.15)';
+      ctx.fillRect(zoneLeft, baseline - 16, centsToX(IN_TUNE, left, scaleWidth) - zoneLeft, 16);
+
+      ctx.strokeStyle = COLORS.scale;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(left, baseline);
+      ctx.lineTo(left + scaleWidth, baseline);
+      for (let cents = -50; cents <= 50; cents += 10) {
+        const x = Math.round(centsToX(cents, left, scaleWidth)) + 0.5;
+        const tick = cents === 0 ? 16 : cents % 50 === 0 ? 10 : 6;
+        ctx.moveTo(x, baseline);
+        ctx.lineTo(x, baseline - tick);
+      }
+      ctx.stroke();
+
+      ctx.fillStyle = COLORS.dim;
+      ctx.textBaseline = 'top';
+      ctx.fillText('-50', left, baseline + 3);
+      ctx.fillText('0', centsToX(0, left, scaleWidth), baseline + 3);
+      ctx.fillText('+50', left + scaleWidth, baseline + 3);
+      if (!reading) return;
+
+      // Needle
+      const inTune = Math.abs(reading.cents) <= IN_TUNE;
+      const x = centsToX(tuner.needle, left, scaleWidth);
+      ctx.save();
+      ctx.strokeStyle = inTune ? COLORS.inTune : COLORS.needle;
+      ctx.shadowColor = inTune ? COLORS.inTune : COLORS.glow;
+      ctx.shadowBlur = 6;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, baseline + 2);
+      ctx.lineTo(x, baseline - 24);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    function setReference(hz) {
+      const value = Number(hz);
+      if (!isFinite(value)) throw new Error('REFERENCE MUST BE A NUMBER');
+      tuner.reference = clamp(value, LIMITS.reference);
+      if (tuner.reading) {
+        Object.assign(tuner.reading, toNote(tuner.reading.frequency, tuner.reference));
+      }
+      return tuner.reference;
+    }
+
+    function reset() {
+      tuner.reading = null;
+      tuner.heldFor = 0;
+      tuner.needle = 0;
+    }
+
+    return {
+      process: process,
+      draw: draw,
+      setReference: setReference,
+      reset: reset,
+      getReading: function() { return tuner.reading ? Object.assign({}, tuner.reading) : null; },
+      getReference: function() { return tuner.reference; },
+    };
+  }
+
+  /**
+   * Cents for display: "+12", "-3" or "0"
+   */
+  function formatCents(cents) {
+    const rounded = Math.round(cents);
+    return rounded > 0 ? '+' + rounded : String(rounded);
+  }
+
+  // Public API
+  return {
+    NOTE_NAMES: NOTE_NAMES,
+    LIMITS: LIMITS,
+    IN_TUNE: IN_TUNE,
+    detect: detect,
+    blockSize: blockSize,
+    toNote: toNote,
+    formatCents: formatCents,
+    create: create,
+  };
+
+})();
+
+console.log('[Tuner] Module loaded');
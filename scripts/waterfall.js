@@ -0,0 +1,334 @@
+/**
+ * Waterfall
+ * Scrolling spectrogram of the full analyser FFT
+ *
+ * Time runs right to left, frequency bottom to top. Each new column is
+ * the float spectrum (dBFS per bin) mapped onto pixel rows, taking the
+ * loudest bin where several share a row and interpolating where bins are
+ * wider than a row. Columns are kept in a ring buffer so a frozen image
+ * can be inspected point by point.
+ *
+ * Colormaps are 256-entry lookup tables built from a few stops.
+ */
+
+const Waterfall = (function() {
+  'use strict';
+
+  const COLORMAP_STOPS = {
+    phosphor: ['#000000', '#002a33', '#006f85', '#00d4ff', '#e8fbff'],
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e',
+      '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+      '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+    amber: ['#000000', '#331a00', '#804000', '#ffaa00', '#fff2cc'],
+    grayscale: ['#000000', '#ffffff'],
+  };
+
+  const DEFAULTS = {
+    colormap: 'phosphor',
+    minDb: -100,
+    maxDb: -20,
+    speed: 60,        // columns per second
+    scale: 'log',     // frequency axis: 'log' or 'linear'
+    minFreq: 20,
+  };
+
+  const LIMITS = {
+    minDb: [-160, -10],
+    maxDb: [-140, 0],
+    speed: [5, 240],
+    minFreq: [1, 1000],
+  };
+
+  const CROSSHAIR_COLOR = 'rgba(255, 255, 255, 0.7)';
+
+  function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  /**
+   * Flat RGB table of 256 entries interpolated between the stops
+   */
+  function buildLut(name) {
+    const stops = COLORMAP_STOPS[name].map(hexToRgb);
+    const lut = new Uint8ClampedArray(256 * 3);
+
+    for (let i = 0; i < 256; i++) {
+      const position = i / 255 * (stops.length - 1);
+      const index = Math.min(stops.length - 2, Math.floor(position));
+      const t = position - index;
+      for (let c = 0; c < 3; c++) {
+        lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+      }
+    }
+    return lut;
+  }
+
+  function clamp(value, range) {
+    return Math.max(range[0], Math.min(range[1], value));
+  }
+
+  /**
+   * Create a waterfall on a canvas, with an optional overlay canvas
+   * for the crosshair
+   */
+  function create(canvas, overlay, options) {
+    const ctx = canvas.getContext('2d');
+    const overlayCtx = overlay ? overlay.getContext('2d') : null;
+    const settings = Object.assign({}, DEFAULTS, options);
+
+    let lut = buildLut(settings.colormap);
+    let width = 0;
+    let height = 0;
+    let column = null;          // ImageData for one new column
+    let history = [];           // ring buffer of Float32Array(height), dB per row
+    let head = 0;               // index of the newest column
+    let rowBins = null;         // [lowBin, highBin, fractional bin] per row
+    let mappedFor = '';         // cache key for rowBins
+    let pending = 0;            // fractional columns owed by the scroll speed
+    let frozen = false;
+    let crosshair = null;       // { x, y } in canvas pixels
+
+    function resize() {
+      const ratio = window.devicePixelRatio || 1;
+      const w = Math.max(1, Math.round(canvas.clientWidth * ratio));
+      const h = Math.max(1, Math.round(canvas.clientHeight * ratio));
+      if (w === width && h === height) return;
+
+      width = w;
+      height = h;
+      canvas.width = w;
+      canvas.height = h;
+      if (overlay) {
+        overlay.width = w;
+        overlay.height = h;
+      }
+      column = ctx.createImageData(1, h);
+      history = new Array(w).fill(null);
+      head = 0;
+      mappedFor = '';
+      clear();
+    }
+
+    /**
+     * Frequency at the center of pixel row y (0 = top)
+     */
+    function rowToFrequency(y, nyquist) {
+      const position = 1 - (y + 0.5) / height;
+      if (settings.scale === 'linear') {
+        return settings.minFreq + (nyquist - settings.minFreq) * position;
+      }
+      return settings.minFreq * Math.pow(nyquist / settings.minFreq, position);
+    }
+
+    function mapRows(binCount, nyquist) {
+      const key = binCount + ':' + nyquist + ':' + height + ':' + settings.scale + ':' + settings.minFreq;
+      if (key === mappedFor) return;
+      mappedFor = key;
+
+      const binWidth = nyquist / binCount;
+      rowBins = [];
+      for (let y = 0; y < height; y++) {
+        const top = rowToFrequency(y - 0.5, nyquist);
+        const bottom = rowToFrequency(y + 0.5, nyquist);
+        const center = rowToFrequency(y, nyquist) / binWidth;
+        rowBins.push([
+          Math.max(0, Math.min(binCount - 1, Math.floor(bottom / binWidth))),
+          Math.max(0, Math.min(binCount - 1, Math.ceil(top / binWidth))),
+          Math.min(binCount - 1, center),
+        ]);
+      }
+    }
+
+    /**
+     * dB per row for one spectrum
+     */
+    function spectrumToRows(spectrum, nyquist) {
+      mapRows(spectrum.length, nyquist);
+      const rows = new Float32Array(height);
+
+      for (let y = 0; y < height; y++) {
+        const bins = rowBins[y];
+        if (bins[1] - bins[0] > 1) {
+          let max = -Infinity;
+          for (let bin = bins[0]; bin <= bins[1]; bin++) {
+            if (spectrum[bin] > max) max = spectrum[bin];
+          }
+          rows[y] = max;
+        } else {
+          // Bins wider than a row: interpolate between neighbours
+          const index = Math.floor(bins[2]);
+          const next = Math.min(spectrum.length - 1, index + 1);
+          const t = bins[2] - index;
+          rows[y] = spectrum[index] * (1 - t) + spectrum[next] * t;
+        }
+      }
+      return rows;
+    }
+
+    function paintColumn(rows, x) {
+      const data = column.data;
+      const range = settings.maxDb - settings.minDb;
+
+      for (let y = 0; y < height; y++) {
+        const value = rows ? rows[y] : -Infinity;
+        const level = isFinite(value) ? (value - settings.minDb) / range : 0;
+        const index = Math.round(Math.max(0, Math.min(1, level)) * 255) * 3;
+        const offset = y * 4;
+        data[offset] = lut[index];
+        data[offset + 1] = lut[index + 1];
+        data[offset + 2] = lut[index + 2];
+        data[offset + 3] = 255;
+      }
+      ctx.putImageData(column, x, 0);
+    }
+
+    /**
+     * Add spectra for the elapsed time. spectrum is a Float32Array of dB
+     * values (getFloatFrequencyData) or null for silence.
+     */
+    function push(spectrum, sampleRate, dt) {
+      resize();
+      if (frozen) return;
+
+      pending += Math.min(0.5, Math.max(0, dt)) * settings.speed;
+      const count = Math.min(width, Math.floor(pending));
+      if (!count) return;
+      pending -= count;
+
+      const rows = spectrum ? spectrumToRows(spectrum, sampleRate / 2) : null;
+      if (rows) rows.sampleRate = sampleRate;
+
+      // Scroll left and fill the new columns with the latest spectrum
+      ctx.drawImage(canvas, -count, 0);
+      for (let i = count; i > 0; i--) {
+        head = (head + 1) % width;
+        history[head] = rows;
+        paintColumn(rows, width - i);
+      }
+    }
+
+    /**
+     * Redraw the whole image from history (after colormap or range changes)
+     */
+    function repaint() {
+      for (let x = 0; x < width; x++) {
+        const index = (head - (width - 1 - x) + width * 2) % width;
+        paintColumn(history[index], x);
+      }
+    }
+
+    function clear() {
+      ctx.fillStyle = 'rgb(' + lut[0] + ',' + lut[1] + ',' + lut[2] + ')';
+      ctx.fillRect(0, 0, width, height);
+      if (overlayCtx) overlayCtx.clearRect(0, 0, width, height);
+    }
+
+    function drawCrosshair() {
+      if (!overlayCtx) return;
+      overlayCtx.clearRect(0, 0, width, height);
+      if (!crosshair) return;
+
+      overlayCtx.strokeStyle = CROSSHAIR_COLOR;
+      overlayCtx.lineWidth = 1;
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(crosshair.x + 0.5, 0);
+      overlayCtx.lineTo(crosshair.x + 0.5, height);
+      overlayCtx.moveTo(0, crosshair.y + 0.5);
+      overlayCtx.lineTo(width, crosshair.y + 0.5);
+      overlayCtx.stroke();
+    }
+
+    /**
+     * Frequency, age and level under a point given in CSS pixels.
+     * Returns null outside the image or where nothing was recorded.
+     */
+    function inspect(cssX, cssY) {
+      const ratio = window.devicePixelRatio || 1;
+      const x = Math.round(cssX * ratio);
+      const y = Math.round(cssY * ratio);
+      if (x < 0 || y < 0 || x >= width || y >= height) return null;
+
+      crosshair = { x: x, y: y };
+      drawCrosshair();
+
+      const age = width - 1 - x;
+      const rows = history[(head - age + width) % width];
+      if (!rows) return null;
+
+      return {
+        frequency: rowToFrequency(y, rows.sampleRate / 2),
+        secondsAgo: age / settings.speed,
+        db: rows[y],
+      };
+    }
+
+    function setFrozen(value) {
+      frozen = value;
+      pending = 0;
+      if (!frozen) {
+        crosshair = null;
+        drawCrosshair();
+      }
+      return frozen;
+    }
+
+    function set(name, value) {
+      switch (name) {
+        case 'colormap':
+          if (!COLORMAP_STOPS[value]) throw new Error('UNKNOWN COLORMAP: ' + value);
+          settings.colormap = value;
+          lut = buildLut(value);
+          repaint();
+          break;
+        case 'scale':
+          if (value !== 'log' && value !== 'linear') throw new Error('SCALE MUST BE LOG OR LINEAR');
+          settings.scale = value;
+          history.fill(null);
+          clear();
+          break;
+        default:
+          if (!LIMITS[name]) throw new Error('UNKNOWN SETTING: ' + name);
+          if (!isFinite(value)) throw new Error(name.toUpperCase() + ' MUST BE A NUMBER');
+          settings[name] = clamp(Number(value), LIMITS[name]);
+          if (name === 'minDb' || name === 'maxDb') {
+            // Keep at least 10 dB between floor and ceiling
+            if (settings.maxDb - settings.minDb < 10) {
+              if (name === 'minDb') settings.maxDb = settings.minDb + 10;
+              else settings.minDb = settings.maxDb - 10;
+            }
+            repaint();
+          }
+          if (name === 'minFreq') {
+            history.fill(null);
+            clear();
+          }
+      }
+      return settings[name];
+    }
+
+    return {
+      push: push,
+      clear: function() {
+        history.fill(null);
+        clear();
+      },
+      inspect: inspect,
+      setFrozen: setFrozen,
+      isFrozen: function() { return frozen; },
+      set: set,
+      getSettings: function() { return Object.assign({}, settings); },
+    };
+  }
+
+  // Public API
+  return {
+    COLORMAPS: Object.keys(COLORMAP_STOPS),
+    LIMITS: LIMITS,
+    create: create,
+  };
+
+})();
+
+console.log('[Waterfall] Module loaded');
@@ -1,62 +1,336 @@
 /**
  * Sound Effects
  * Audio functionality for the stereo display app
+ *
+ * Sounds are registered in named schemes that map UI events
+ * (submit, error, fileLoaded...) to sound files, so app.js only
+ * ever plays events and never references file paths directly.
+ *
+ * Playback runs on the app's AudioContext: files are decoded once into
+ * AudioBuffers and every play() starts a new voice, so rapid repeats
+ * overlap instead of cutting each other off.
  */
 
 const Sounds = (function() {
   'use strict';
 
-  // Sound file paths
-  const SOUNDS = {
-    // keypress: '/sounds/keypress.mp3',
-    // submit: '/sounds/submit.mp3',
-    // error: '/sounds/error.mp3',
+  // Sound file paths, keyed by scheme then by UI event
+  const SCHEMES = {
+    hawber: {
+      micConnected:     'sounds/hawber--sound-001--prompt.wav',
+      create:           'sounds/hawber--sound-002--creation.wav',
+      commandAccepted:  'sounds/hawber--sound-003--completion-submitted.wav',
+      playbackComplete: 'sounds/hawber--sound-004--completion-accepted.wav',
+      error:            'sounds/hawber--sound-005--attention-alert.wav',
+      notify:           'sounds/hawber--sound-006--attention-notification.wav',
+      terminalCleared:  'sounds/hawber--sound-007--pages-riffle.wav',
+      submit:           'sounds/hawber--sound-008--keyboard-sent.wav',
+      fileLoaded:       'sounds/hawber--sound-009--receiving-bite.wav',
+      receive:          'sounds/hawber--sound-010--receiving-chomp.wav',
+      micDisconnected:  'sounds/hawber--sound-011--pen-reclick.wav',
+    },
   };
 
-  // Audio cache
-  const audioCache = {};
+  const DEFAULT_SCHEME = 'hawber';
+
+  // Per-voice defaults
+  //   maxVoices     - overlapping voices allowed before the oldest is stolen
+  //   playbackRate  - base rate (1 = original pitch)
+  //   pitchVariance - +/- random rate offset applied on each play
+  //   route         - 'speakers' or 'analyser' (speakers + EQ display)
+  const DEFAULT_OPTIONS = {
+    maxVoices: 3,
+    playbackRate: 1,
+    pitchVariance: 0,
+    route: 'speakers',
+  };
+
+  // Per-event overrides of DEFAULT_OPTIONS
+  const EVENT_OPTIONS = {
+    submit: { maxVoices: 6, pitchVariance: 0.08 },
+    receive: { maxVoices: 4, pitchVariance: 0.05 },
+    error: { maxVoices: 1 },
+  };
+
+  // Active scheme
+  let currentScheme = DEFAULT_SCHEME;
+  let SOUNDS = SCHEMES[currentScheme];
+
+  // Playback settings
+  const settings = {
+    muted: false,
+    volume: 0.6,
+    // Per-event enable map - events missing here are enabled
+    enabled: {},
+  };
+
+  // Audio graph, attached from app.js
+  const engine = {
+    context: null,
+    analyser: null,
+    masterGain: null,
+  };
+
+  // Decoded AudioBuffers and in-flight loads
+  const bufferCache = {};
+  const loading = {};
+
+  // Active voices per event, oldest first
+  const voices = {};
 
   /**
-   * Preload a sound file
+   * Share the app's AudioContext and analyser
    */
-  function preload(name) {
-    if (SOUNDS[name] && !audioCache[name]) {
-      audioCache[name] = new Audio(SOUNDS[name]);
+  function attachContext(context, analyser) {
+    if (engine.context === context) {
+      engine.analyser = analyser || engine.analyser;
+      return;
     }
+
+    engine.context = context;
+    engine.analyser = analyser || null;
+    engine.masterGain = context.createGain();
+    engine.masterGain.gain.value = settings.volume;
+    engine.masterGain.connect(context.destination);
+
+    // Buffers are bound to the context that decoded them
+    clearCache();
+  }
+
+  /**
+   * Fetch and decode a sound file into an AudioBuffer
+   */
+  function preload(name) {
+    if (!SOUNDS[name] || !engine.context) return Promise.resolve(null);
+    if (bufferCache[name]) return Promise.resolve(bufferCache[name]);
+    if (loading[name]) return loading[name];
+
+    const scheme = currentScheme;
+    const context = engine.context;
+
+    // A load started before clearCache() must not drop a newer one's entry
+    const done = () => {
+      if (loading[name] === request) delete loading[name];
+    };
+
+    const request = fetch(SOUNDS[name])
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.arrayBuffer();
+      })
+      .then(data => context.decodeAudioData(data))
+      .then(buffer => {
+        done();
+        // Scheme or context may have changed while decoding
+        if (scheme !== currentScheme || context !== engine.context) return null;
+        bufferCache[name] = buffer;
+        return buffer;
+      })
+      .catch(err => {
+        done();
+        console.warn(`[Sounds] Could not load ${name}:`, err);
+        return null;
+      });
+
+    loading[name] = request;
+    return request;
   }
 
   /**
    * Play a sound by name
    */
-  function play(name) {
+  function play(name, overrides) {
     if (!SOUNDS[name]) {
       console.warn(`[Sounds] Unknown sound: ${name}`);
       return;
     }
 
-    if (!audioCache[name]) {
-      preload(name);
+    if (settings.muted || !isEnabled(name)) return;
+
+    if (!engine.context) {
+      console.warn(`[Sounds] No audio context attached, cannot play ${name}`);
+      return;
+    }
+
+    if (bufferCache[name]) {
+      startVoice(name, bufferCache[name], overrides);
+    } else {
+      preload(name).then(buffer => {
+        if (buffer) startVoice(name, buffer, overrides);
+      });
+    }
+  }
+
+  function startVoice(name, buffer, overrides) {
+    const options = Object.assign({}, getOptions(name), overrides);
+    const active = voices[name] || (voices[name] = []);
+
+    // Steal the oldest voices once the cap is reached
+    while (active.length >= Math.max(1, options.maxVoices)) {
+      const oldest = active.shift();
+      try {
+        oldest.stop();
+      } catch (err) {
+        // Already stopped
+      }
+    }
+
+    const source = engine.context.createBufferSource();
+    source.buffer = buffer;
+
+    const variance = options.pitchVariance
+      ? (Math.random() * 2 - 1) * options.pitchVariance
+      : 0;
+    source.playbackRate.value = Math.max(0.1, options.playbackRate + variance);
+
+    source.connect(engine.masterGain);
+    if (options.route === 'analyser' && engine.analyser) {
+      source.connect(engine.analyser);
     }
 
-    const audio = audioCache[name];
-    audio.currentTime = 0;
-    audio.play().catch(err => {
-      console.warn(`[Sounds] Could not play ${name}:`, err);
+    source.addEventListener('ended', () => {
+      const index = active.indexOf(source);
+      if (index !== -1) active.splice(index, 1);
+      source.disconnect();
     });
+
+    active.push(source);
+    source.start();
   }
 
   /**
    * Preload all sounds
    */
   function preloadAll() {
-    Object.keys(SOUNDS).forEach(preload);
+    return Promise.all(Object.keys(SOUNDS).map(preload));
+  }
+
+  function clearCache() {
+    Object.keys(bufferCache).forEach(key => delete bufferCache[key]);
+    Object.keys(loading).forEach(key => delete loading[key]);
+  }
+
+  /**
+   * Stop every playing voice
+   */
+  function stopAll() {
+    Object.keys(voices).forEach(name => {
+      voices[name].forEach(source => {
+        try {
+          source.stop();
+        } catch (err) {
+          // Already stopped
+        }
+      });
+      voices[name] = [];
+    });
+  }
+
+  /**
+   * Switch to a named sound scheme
+   */
+  function setScheme(name) {
+    if (!SCHEMES[name]) {
+      console.warn(`[Sounds] Unknown scheme: ${name}`);
+      return false;
+    }
+
+    currentScheme = name;
+    SOUNDS = SCHEMES[name];
+
+    // Drop buffers from the previous scheme
+    clearCache();
+    return true;
+  }
+
+  /**
+   * Global mute
+   */
+  function setMuted(muted) {
+    settings.muted = !!muted;
+    if (settings.muted) stopAll();
+  }
+
+  /**
+   * Master volume (0-1)
+   */
+  function setVolume(volume) {
+    settings.volume = Math.max(0, Math.min(1, Number(volume) || 0));
+    if (engine.masterGain) {
+      engine.masterGain.gain.setValueAtTime(settings.volume, engine.context.currentTime);
+    }
+  }
+
+  /**
+   * Enable or disable a single event
+   */
+  function setEnabled(name, enabled) {
+    settings.enabled[name] = !!enabled;
+  }
+
+  function isEnabled(name) {
+    return settings.enabled[name] !== false;
+  }
+
+  /**
+   * Voice options for an event (defaults merged with overrides)
+   */
+  function getOptions(name) {
+    return Object.assign({}, DEFAULT_OPTIONS, EVENT_OPTIONS[name]);
+  }
+
+  function setOptions(name, options) {
+    EVENT_OPTIONS[name] = Object.assign({}, EVENT_OPTIONS[name], options);
+  }
+
+  /**
+   * Route an event to 'speakers' or 'analyser'
+   */
+  function setRoute(name, route) {
+    if (route !== 'speakers' && route !== 'analyser') {
+      console.warn(`[Sounds] Unknown route: ${route}`);
+      return false;
+    }
+    setOptions(name, { route: route });
+    return true;
+  }
+
+  /**
+   * Snapshot of scheme and settings
+   */
+  function getSettings() {
+    return {
+      scheme: currentScheme,
+      muted: settings.muted,
+      volume: settings.volume,
+      enabled: Object.keys(SOUNDS).reduce((map, name) => {
+        map[name] = isEnabled(name);
+        return map;
+      }, {}),
+      options: Object.keys(SOUNDS).reduce((map, name) => {
+        map[name] = getOptions(name);
+        return map;
+      }, {}),
+    };
   }
 
   // Public API
   return {
+    attachContext: attachContext,
     play: play,
     preload: preload,
     preloadAll: preloadAll,
+    stopAll: stopAll,
+    setScheme: setScheme,
+    getSchemes: function() { return Object.keys(SCHEMES); },
+    getEvents: function() { return Object.keys(SOUNDS); },
+    setMuted: setMuted,
+    setVolume: setVolume,
+    setEnabled: setEnabled,
+    isEnabled: isEnabled,
+    setOptions: setOptions,
+    setRoute: setRoute,
+    getSettings: getSettings,
   };
 
 })();
@@ -0,0 +1,127 @@
+/**
+ * Feed Stand-in Server
+ * Local test source for the terminal data feed (scripts/feed.js)
+ *
+ * Usage: node tools/feed-server.js [port] [intervalMs]
+ *
+ *   SSE:        feed connect http://localhost:8787/sse
+ *   WebSocket:  feed connect ws://localhost:8787/ws
+ *
+ * Sends a mix of plain-text and typed JSON messages. No dependencies;
+ * the WebSocket side only implements unmasked server-to-client text
+ * frames, which is all the feed needs.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const INTERVAL = Number(process.argv[3]) || 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+let sequence = 0;
+
+function nextMessage() {
+  sequence++;
+
+  if (sequence % 10 === 0) {
+    return JSON.stringify({ text: 'CHECKPOINT ' + sequence, type: 'success' });
+  }
+  if (sequence % 7 === 0) {
+    return JSON.stringify({ text: 'WARNING: SIGNAL DRIFT ' + (Math.random() * 5).toFixed(2) + '%', type: 'error' });
+  }
+  if (sequence % 3 === 0) {
+    return JSON.stringify({ text: 'HEARTBEAT ' + new Date().toISOString(), type: 'dim' });
+  }
+  return 'DATA ' + sequence.toString().padStart(5, '0') + ' VALUE=' + (Math.random() * 100).toFixed(3);
+}
+
+// ------ Server-Sent Events ------
+
+function handleSSE(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write('retry: 1000\n\n');
+
+  const timer = setInterval(() => {
+    res.write('data: ' + nextMessage() + '\n\n');
+  }, INTERVAL);
+
+  req.on('close', () => clearInterval(timer));
+}
+
+// ------ WebSocket ------
+
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+function handleUpgrade(req, socket) {
+  if (req.url !== '/ws' || !req.headers['sec-websocket-key']) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto
+    .createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + WS_GUID)
+    .digest('base64');
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n'
+  );
+
+  const timer = setInterval(() => {
+    socket.write(encodeFrame(nextMessage()));
+  }, INTERVAL);
+
+  // Any client frame (including close) ends the session
+  socket.on('data', () => socket.end());
+  socket.on('close', () => clearInterval(timer));
+  socket.on('error', () => clearInterval(timer));
+}
+
+// ------ Server ------
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/sse') {
+    handleSSE(req, res);
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Try /sse or /ws\n');
+});
+
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, () => {
+  console.log('[FeedServer] SSE:       http://localhost:' + PORT + '/sse');
+  console.log('[FeedServer] WebSocket: ws://localhost:' + PORT + '/ws');
+});